@@ -0,0 +1,129 @@
+// auth.js
+const crypto = require('crypto');
+const db = require('./db.js');
+
+const ROLES = ['admin', 'manager', 'kitchen', 'cashier', 'robot'];
+const MIN_PASSWORD_LENGTH = 8;
+
+// scrypt parameters - stored alongside the hash so they can be raised later
+// without invalidating existing passwords
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_COST = 16384;
+
+// === Password Hashing ===
+// Format: scrypt$<cost>$<salt hex>$<hash hex>
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, { N: SCRYPT_COST }, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${SCRYPT_COST}$${salt.toString('hex')}$${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const parts = (storedHash || '').split('$');
+    if (parts.length !== 4 || parts[0] !== 'scrypt') {
+      return resolve(false);
+    }
+
+    const cost = parseInt(parts[1]);
+    const salt = Buffer.from(parts[2], 'hex');
+    const expected = Buffer.from(parts[3], 'hex');
+
+    crypto.scrypt(password, salt, expected.length, { N: cost }, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(crypto.timingSafeEqual(derivedKey, expected));
+    });
+  });
+}
+
+function validatePassword(password) {
+  if (!password || typeof password !== 'string') {
+    return { valid: false, message: 'Password is required' };
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return { valid: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  return { valid: true };
+}
+
+// Returns the session user for valid credentials, null otherwise
+async function authenticate(username, password) {
+  if (!username || !password) return null;
+
+  const user = await db.getUserByUsername(username);
+  if (!user || !user.password_hash) return null;
+
+  const ok = await verifyPassword(password, user.password_hash);
+  if (!ok) return null;
+
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    role: user.role
+  };
+}
+
+// === First-run Admin Bootstrap ===
+// If no admin can log in yet, create one from ADMIN_USERNAME / ADMIN_PASSWORD.
+// Without ADMIN_PASSWORD a random password is generated and logged once.
+async function bootstrapAdmin(logger) {
+  const adminCount = await db.countAdminsWithPassword();
+  if (adminCount > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  const passwordHash = await hashPassword(password);
+
+  const existing = await db.getUserByUsername(username);
+  if (existing) {
+    await db.updateUser(existing.id, { name: existing.name, username, role: 'admin' });
+    await db.setUserPassword(existing.id, passwordHash);
+  } else {
+    await db.createUser({ name: 'Administrator', username, role: 'admin', passwordHash });
+  }
+
+  logger.warn(`🔑 No admin account found - bootstrapped admin user '${username}'`);
+  if (generated) {
+    logger.warn(`🔑 Generated admin password: ${password} (set ADMIN_PASSWORD or change it after first login)`);
+  }
+}
+
+// === Authentication Middleware ===
+function requireAuth(req, res, next) {
+  if (req.session && req.session.user) {
+    return next();
+  } else if (req.originalUrl.startsWith('/api/')) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  } else {
+    return res.redirect('/login');
+  }
+}
+
+function requireRole(role) {
+  return function(req, res, next) {
+    if (req.session && req.session.user && req.session.user.role === role) {
+      return next();
+    } else {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  authenticate,
+  bootstrapAdmin,
+  requireAuth,
+  requireRole
+};
@@ -0,0 +1,211 @@
+// command-tracker.js
+// Follows every robot command (MQTTService.publishCommand) until the robot confirms it on its feedback topic:
+//   [queued ->] sent -> acked -> completed | failed, or timed_out.
+// A command published while the broker is away waits in the outbox as 'queued'; its ack timer starts when the
+// outbox replays it. No timer runs while the broker is disconnected - nothing could be sent or acked.
+// Commands without an ack are resent with the same commandId, so robots must ignore a commandId they already
+// executed and only ack it again.
+const { audience, emitTo } = require('./realtime');
+
+const FEEDBACK_STATUSES = {
+  ack: 'acked',
+  acked: 'acked',
+  received: 'acked',
+  accepted: 'acked',
+  completed: 'completed',
+  done: 'completed',
+  failed: 'failed',
+  error: 'failed',
+  rejected: 'failed'
+};
+
+const FINISHED_STATUSES = ['completed', 'failed', 'timed_out'];
+
+function formatCommand(command) {
+  return {
+    commandId: command.commandId,
+    type: command.type,
+    robotId: command.robotId,
+    target: command.payload.target_table || command.payload.tableNumber || null,
+    batchId: command.payload.batchId || null,
+    status: command.status,
+    attempts: command.attempts,
+    error: command.error,
+    responses: command.responses,
+    sentAt: command.sentAt,
+    ackedAt: command.ackedAt,
+    finishedAt: command.finishedAt
+  };
+}
+
+class CommandTracker {
+  constructor(mqttService, options = {}) {
+    this.mqttService = mqttService;
+    this.io = null;
+
+    const envRetries = parseInt(process.env.ROBOT_COMMAND_RETRIES);
+    this.options = {
+      ackTimeout: options.ackTimeout || parseInt(process.env.ROBOT_COMMAND_ACK_TIMEOUT) || 10,           // seconds
+      completeTimeout: options.completeTimeout || parseInt(process.env.ROBOT_COMMAND_TIMEOUT) || 600,    // seconds after the ack
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : (envRetries >= 0 ? envRetries : 2),
+      history: options.history || 200                                                                    // finished commands kept
+    };
+
+    // commandId -> command, oldest first
+    this.commands = new Map();
+    this.timer = null;
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  start() {
+    this.mqttService.on('commandSent', sent => this.track(sent));
+    this.mqttService.on('robotFeedback', data => this.handleFeedback(data));
+    this.mqttService.on('outboxReplayed', message => this.handleReplayed(message));
+    this.mqttService.on('outboxExpired', message => this.handleExpired(message));
+
+    this.timer = setInterval(() => this.checkTimeouts(), 1000);
+    this.timer.unref();
+    console.log('📬 Robot command tracker started', this.options);
+  }
+
+  track(sent) {
+    const now = sent.queued ? null : new Date();
+    const command = {
+      ...sent,
+      status: sent.queued ? 'queued' : 'sent',
+      attempts: 1,
+      error: null,
+      responses: {},
+      sentAt: now,
+      lastSentAt: now,
+      ackedAt: null,
+      finishedAt: null
+    };
+    this.commands.set(command.commandId, command);
+    this.changed(command);
+  }
+
+  // { commandId, status, robotId, reason } on /cafe/robot/feedback or /cafe/robot/{id}/feedback
+  handleFeedback(data) {
+    const commandId = data.commandId || data.command_id;
+    const command = commandId && this.commands.get(commandId);
+    if (!command) return;
+
+    const status = FEEDBACK_STATUSES[String(data.status || '').toLowerCase()];
+    if (!status) {
+      console.log(`🔍 Unknown feedback status '${data.status}' for command ${commandId}`);
+      return;
+    }
+
+    // A fleet-wide command is answered by every robot; the first answer moves it on
+    const robotId = data.robotId || data.robot_id || command.robotId || 'robot';
+    command.responses[robotId] = status;
+    if (FINISHED_STATUSES.includes(command.status)) return this.changed(command);
+
+    if (status === 'acked') {
+      if (command.status !== 'sent') return;
+      command.status = 'acked';
+      command.ackedAt = new Date();
+    } else {
+      if (!command.ackedAt) command.ackedAt = new Date();
+      command.status = status;
+      command.error = status === 'failed' ? (data.reason || data.error || 'failed') : null;
+      command.finishedAt = new Date();
+      if (status === 'failed') console.warn(`⚠️ Robot command ${command.type} ${commandId} failed: ${command.error}`);
+    }
+    this.changed(command);
+  }
+
+  // The queued command of an outbox message, if it is one
+  queuedCommand(message) {
+    try {
+      const command = this.commands.get(JSON.parse(message.payload).commandId);
+      return command && command.status === 'queued' ? command : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  handleReplayed(message) {
+    const command = this.queuedCommand(message);
+    if (!command) return;
+    command.status = 'sent';
+    command.sentAt = command.lastSentAt = new Date();
+    this.changed(command);
+  }
+
+  handleExpired(message) {
+    const command = this.queuedCommand(message);
+    if (command) this.timeOut(command, 'expired in the outbox before the broker was back');
+  }
+
+  checkTimeouts() {
+    // Resends would fail and acks cannot arrive; the timers go on once the broker is back
+    if (!this.mqttService.isConnected) return;
+
+    const now = Date.now();
+    this.commands.forEach(command => {
+      if (command.status === 'sent' && now - command.lastSentAt.getTime() > this.options.ackTimeout * 1000) {
+        if (command.retryable && command.attempts <= this.options.maxRetries) {
+          this.resend(command);
+        } else {
+          this.timeOut(command, `no ack after ${command.attempts} attempt(s)`);
+        }
+      } else if (command.status === 'acked' && now - command.ackedAt.getTime() > this.options.completeTimeout * 1000) {
+        this.timeOut(command, 'acked but never completed');
+      }
+    });
+  }
+
+  resend(command) {
+    command.attempts++;
+    command.lastSentAt = new Date();
+    console.warn(`🔁 Resending robot command ${command.type} ${command.commandId} (attempt ${command.attempts})`);
+
+    // A failed publish is caught by the next timeout check like a missing ack; resends skip the outbox
+    this.mqttService.publish(command.topic, { ...command.payload, attempt: command.attempts }, { ...command.options, queue: false })
+      .catch(error => console.error(`❌ Failed to resend robot command ${command.commandId}:`, error.message));
+    this.changed(command);
+  }
+
+  timeOut(command, reason) {
+    console.warn(`⏰ Robot command ${command.type} ${command.commandId} timed out: ${reason}`);
+    command.status = 'timed_out';
+    command.error = reason;
+    command.finishedAt = new Date();
+    this.changed(command);
+  }
+
+  changed(command) {
+    if (this.io) emitTo(this.io, audience('robot:status'), 'robot_command_updated', formatCommand(command));
+    if (FINISHED_STATUSES.includes(command.status)) this.prune();
+  }
+
+  prune() {
+    const finished = [...this.commands.values()].filter(command => FINISHED_STATUSES.includes(command.status));
+    finished.slice(0, Math.max(0, finished.length - this.options.history))
+      .forEach(command => this.commands.delete(command.commandId));
+  }
+
+  // filters: { status, robotId }, newest first
+  list(filters = {}) {
+    return [...this.commands.values()]
+      .filter(command => !filters.status || command.status === filters.status)
+      .filter(command => !filters.robotId || command.robotId === filters.robotId || filters.robotId in command.responses)
+      .reverse()
+      .map(formatCommand);
+  }
+
+  get(commandId) {
+    const command = this.commands.get(commandId);
+    return command ? formatCommand(command) : null;
+  }
+}
+
+module.exports = {
+  CommandTracker,
+  FINISHED_STATUSES
+};
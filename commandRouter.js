@@ -0,0 +1,35 @@
+// commandRouter.js
+// State of recent robot commands from command-tracker.js
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('./permissions');
+
+const COMMAND_STATUSES = ['queued', 'sent', 'acked', 'completed', 'failed', 'timed_out'];
+
+let commandTracker;
+
+function setCommandTracker(tracker) {
+  commandTracker = tracker;
+}
+
+// ?status=acked&robotId=robot-1
+router.get('/', requirePermission('robot:status'), (req, res) => {
+  const { status, robotId } = req.query;
+  if (status && !COMMAND_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: 'Invalid status. Allowed: ' + COMMAND_STATUSES.join(', ') });
+  }
+
+  const commands = commandTracker.list({ status, robotId });
+  res.json({ success: true, count: commands.length, commands });
+});
+
+router.get('/:commandId', requirePermission('robot:status'), (req, res) => {
+  const command = commandTracker.get(req.params.commandId);
+  if (!command) {
+    return res.status(404).json({ success: false, message: 'Command not found' });
+  }
+  res.json({ success: true, command });
+});
+
+module.exports = router;
+module.exports.setCommandTracker = setCommandTracker;
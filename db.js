@@ -1,420 +1,2365 @@
-const express = require('express');
-var mysql = require('mysql');
-
-var connection = mysql.createConnection({
-    host: 'localhost',
-    user: 'root',
-    password: '',
-    port: '3306',
-    database: 'order'
-});
-
-connection.connect(function(err) {
-    if (err) throw err;
-    console.log('🟢 MySQL database connected successfully');
-});
-
-// Helper function to process and validate items
-function processOrderItems(items) {
-    try {
-        let parsedItems;
-        
-        // اگر items یک string است، JSON parse کن
-        if (typeof items === 'string') {
-            parsedItems = JSON.parse(items);
-        } else {
-            parsedItems = items;
-        }
-        
-        // اگر array نیست، خطا بده
-        if (!Array.isArray(parsedItems)) {
-            throw new Error('Items must be an array');
-        }
-        
-        // ترکیب آیتم‌های تکراری (اگر Flutter آیتم‌های جداگانه فرستاده)
-        const itemMap = new Map();
-        
-        parsedItems.forEach(item => {
-            const itemName = item.name || item.title || 'نامشخص';
-            const itemPrice = parseFloat(item.price || 0);
-            const itemQuantity = parseInt(item.quantity || item.count || 1);
-            
-            if (itemMap.has(itemName)) {
-                // آیتم تکراری پیدا شد - quantity را اضافه کن
-                const existingItem = itemMap.get(itemName);
-                existingItem.quantity += itemQuantity;
-                existingItem.totalItemPrice = existingItem.price * existingItem.quantity;
-            } else {
-                // آیتم جدید
-                itemMap.set(itemName, {
-                    name: itemName,
-                    quantity: itemQuantity,
-                    price: itemPrice,
-                    totalItemPrice: itemPrice * itemQuantity
-                });
-            }
-        });
-        
-        // تبدیل Map به Array
-        const processedItems = Array.from(itemMap.values());
-        
-        console.log('🔄 ITEM CONSOLIDATION:');
-        console.log('📥 Original items count:', parsedItems.length);
-        console.log('📤 Processed items count:', processedItems.length);
-        
-        return processedItems;
-    } catch (error) {
-        console.error('❌ Error processing items:', error);
-        return [];
-    }
-}
-
-// Helper function to calculate total price from items
-function calculateTotalPrice(items) {
-    const processedItems = processOrderItems(items);
-    return processedItems.reduce((total, item) => {
-        return total + (item.price * item.quantity);
-    }, 0);
-}
-
-// Create new order - با محاسبه درست قیمت
-async function createOrder(orderData) {
-    return new Promise((resolve, reject) => {
-        const { tableId, tableLocation, restaurantId, items } = orderData;
-        
-        // پردازش آیتم‌ها و محاسبه قیمت کل
-        const processedItems = processOrderItems(items);
-        const calculatedTotalPrice = calculateTotalPrice(items);
-        
-        console.log('📝 Processing order with items:', JSON.stringify(processedItems, null, 2));
-        console.log('💰 Calculated total price:', calculatedTotalPrice);
-        
-        const query = `
-            INSERT INTO orders (tableId, tableLocation, restaurantId, items, totalPrice, status, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, 'pending', NOW(), NOW())
-        `;
-        
-        // ذخیره آیتم‌های پردازش شده به صورت JSON
-        const itemsJson = JSON.stringify(processedItems);
-        const params = [tableId, tableLocation, restaurantId, itemsJson, calculatedTotalPrice];
-        
-        connection.query(query, params, (err, result) => {
-            if (err) {
-                console.error('❌ Database error creating order:', err);
-                reject(err);
-            } else {
-                console.log(`✅ Created new order with ID: ${result.insertId}`);
-                console.log(`📊 Order details: Table ${tableId}, Total: ${calculatedTotalPrice}, Items count: ${processedItems.length}`);
-                resolve(result.insertId);
-            }
-        });
-    });
-}
-
-// Get all orders from database - با پردازش بهتر آیتم‌ها
-async function getAllOrders() {
-    return new Promise((resolve, reject) => {
-        const query = `
-            SELECT * FROM orders 
-            ORDER BY created_at DESC
-        `;
-        
-        connection.query(query, [], (err, rows) => {
-            if (err) {
-                console.error('❌ Database error getting all orders:', err);
-                reject(err);
-            } else {
-                console.log(`📊 Retrieved ${rows.length} orders from database`);
-                
-                // پردازش آیتم‌ها برای هر سفارش
-                const ordersWithParsedItems = rows.map(order => {
-                    const parsedItems = processOrderItems(order.items);
-                    
-                    return {
-                        ...order,
-                        items: parsedItems,
-                        // اضافه کردن تعداد کل آیتم‌ها
-                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
-                    };
-                });
-                
-                resolve(ordersWithParsedItems);
-            }
-        });
-    });
-}
-
-// Get pending orders (orders that are not completed or cancelled)
-async function getPendingOrders() {
-    return new Promise((resolve, reject) => {
-        const query = `
-            SELECT * FROM orders 
-            WHERE status NOT IN ('completed', 'cancelled', 'delivered') 
-            ORDER BY created_at ASC
-        `;
-        
-        connection.query(query, [], (err, rows) => {
-            if (err) {
-                console.error('❌ Database error getting pending orders:', err);
-                reject(err);
-            } else {
-                console.log(`⏳ Retrieved ${rows.length} pending orders from database`);
-                
-                // پردازش آیتم‌ها برای سفارشات در انتظار
-                const ordersWithParsedItems = rows.map(order => {
-                    const parsedItems = processOrderItems(order.items);
-                    
-                    return {
-                        ...order,
-                        items: parsedItems,
-                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
-                    };
-                });
-                
-                resolve(ordersWithParsedItems);
-            }
-        });
-    });
-}
-
-// Get orders by status
-async function getOrdersByStatus(status) {
-    return new Promise((resolve, reject) => {
-        const query = `
-            SELECT * FROM orders 
-            WHERE status = ? 
-            ORDER BY created_at DESC
-        `;
-        
-        connection.query(query, [status], (err, rows) => {
-            if (err) {
-                console.error(`❌ Database error getting orders with status ${status}:`, err);
-                reject(err);
-            } else {
-                console.log(`🔍 Retrieved ${rows.length} orders with status '${status}' from database`);
-                
-                // پردازش آیتم‌ها
-                const ordersWithParsedItems = rows.map(order => {
-                    const parsedItems = processOrderItems(order.items);
-                    
-                    return {
-                        ...order,
-                        items: parsedItems,
-                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
-                    };
-                });
-                
-                resolve(ordersWithParsedItems);
-            }
-        });
-    });
-}
-
-// Get recent orders (last N orders)
-async function getRecentOrders(limit = 10) {
-    return new Promise((resolve, reject) => {
-        const query = `
-            SELECT * FROM orders 
-            ORDER BY created_at DESC 
-            LIMIT ?
-        `;
-        
-        connection.query(query, [limit], (err, rows) => {
-            if (err) {
-                console.error('❌ Database error getting recent orders:', err);
-                reject(err);
-            } else {
-                console.log(`📅 Retrieved ${rows.length} recent orders from database`);
-                
-                // پردازش آیتم‌ها
-                const ordersWithParsedItems = rows.map(order => {
-                    const parsedItems = processOrderItems(order.items);
-                    
-                    return {
-                        ...order,
-                        items: parsedItems,
-                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
-                    };
-                });
-                
-                resolve(ordersWithParsedItems);
-            }
-        });
-    });
-}
-
-// Get order by ID
-async function getOrderById(orderId) {
-    return new Promise((resolve, reject) => {
-        const query = `
-            SELECT * FROM orders 
-            WHERE id = ?
-        `;
-        
-        connection.query(query, [orderId], (err, rows) => {
-            if (err) {
-                console.error('❌ Database error getting order by ID:', err);
-                reject(err);
-            } else {
-                console.log(`🔍 Retrieved order with ID ${orderId}`);
-                
-                if (rows.length === 0) {
-                    resolve(null);
-                } else {
-                    const order = rows[0];
-                    const parsedItems = processOrderItems(order.items);
-                    
-                    resolve({
-                        ...order,
-                        items: parsedItems,
-                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
-                    });
-                }
-            }
-        });
-    });
-}
-
-// Update order status
-async function updateOrderStatus(orderId, newStatus) {
-    return new Promise((resolve, reject) => {
-        const query = `
-            UPDATE orders 
-            SET status = ?, updated_at = NOW() 
-            WHERE id = ?
-        `;
-        
-        connection.query(query, [newStatus, orderId], (err, result) => {
-            if (err) {
-                console.error('❌ Database error updating order status:', err);
-                reject(err);
-            } else {
-                console.log(`✅ Updated order ${orderId} status to '${newStatus}'`);
-                resolve(result);
-            }
-        });
-    });
-}
-
-// User management functions - اصلاح شده برای استفاده از connection
-async function getAllUsers() {
-    return new Promise((resolve, reject) => {
-        const query = 'SELECT * FROM users ORDER BY created_at DESC';
-        
-        connection.query(query, [], (err, rows) => {
-            if (err) {
-                console.error('❌ Database error getting users:', err);
-                reject(err);
-            } else {
-                console.log(`👥 Retrieved ${rows.length} users from database`);
-                resolve(rows);
-            }
-        });
-    });
-}
-
-async function createUser(user) {
-    return new Promise((resolve, reject) => {
-        const query = 'INSERT INTO users (name, role, created_at, updated_at) VALUES (?, ?, NOW(), NOW())';
-        const params = [user.name, user.role];
-        
-        connection.query(query, params, (err, result) => {
-            if (err) {
-                console.error('❌ Database error creating user:', err);
-                reject(err);
-            } else {
-                console.log(`✅ Created new user with ID: ${result.insertId}`);
-                resolve(result.insertId);
-            }
-        });
-    });
-}
-
-async function updateUser(id, user) {
-    return new Promise((resolve, reject) => {
-        const query = 'UPDATE users SET name = ?, role = ?, updated_at = NOW() WHERE id = ?';
-        const params = [user.name, user.role, id];
-        
-        connection.query(query, params, (err, result) => {
-            if (err) {
-                console.error('❌ Database error updating user:', err);
-                reject(err);
-            } else {
-                console.log(`✅ Updated user ${id}`);
-                resolve(result);
-            }
-        });
-    });
-}
-
-async function deleteUser(id) {
-    return new Promise((resolve, reject) => {
-        const query = 'DELETE FROM users WHERE id = ?';
-        
-        connection.query(query, [id], (err, result) => {
-            if (err) {
-                console.error('❌ Database error deleting user:', err);
-                reject(err);
-            } else {
-                console.log(`🗑️ Deleted user ${id}`);
-                resolve(result);
-            }
-        });
-    });
-}
-
-// تابع جدید برای به‌روزرسانی آیتم‌های سفارش
-async function updateOrderItems(orderId, newItems) {
-    return new Promise((resolve, reject) => {
-        const processedItems = processOrderItems(newItems);
-        const calculatedTotalPrice = processedItems.reduce((total, item) => {
-            return total + (item.price * item.quantity);
-        }, 0);
-        
-        const query = `
-            UPDATE orders 
-            SET items = ?, totalPrice = ?, updated_at = NOW() 
-            WHERE id = ?
-        `;
-        
-        const itemsJson = JSON.stringify(processedItems);
-        const params = [itemsJson, calculatedTotalPrice, orderId];
-        
-        connection.query(query, params, (err, result) => {
-            if (err) {
-                console.error('❌ Database error updating order items:', err);
-                reject(err);
-            } else {
-                console.log(`✅ Updated order ${orderId} items and total price to ${calculatedTotalPrice}`);
-                resolve(result);
-            }
-        });
-    });
-}
-
-// Export both individual functions and the connection
-module.exports = {
-    // Export the connection for direct use in routes
-    query: connection.query.bind(connection),
-    
-    // Export all async functions
-    createOrder,
-    getAllOrders,
-    getPendingOrders,
-    getOrdersByStatus,
-    getRecentOrders,
-    getOrderById,
-    updateOrderStatus,
-    updateOrderItems, // تابع جدید
-    getAllUsers, 
-    createUser, 
-    updateUser, 
-    deleteUser,
-    
-    // Export helper functions
-    processOrderItems,
-    calculateTotalPrice,
-    
-    // Export the connection itself
-    connection: connection
+const express = require('express');
+var mysql = require('mysql');
+
+var dbConfig = {
+    host: 'localhost',
+    user: 'root',
+    password: '',
+    port: '3306',
+    database: 'order'
+};
+
+var connection = mysql.createConnection(dbConfig);
+
+// Transactions get a connection of their own: on the shared one above they would take in the queries of
+// every other request running meanwhile, and row locks would not keep those out
+var transactionPool = mysql.createPool({ ...dbConfig, connectionLimit: 5 });
+
+connection.connect(function(err) {
+    if (err) throw err;
+    console.log('🟢 MySQL database connected successfully');
+});
+
+// Schema statements run at startup. ALTERs that were already applied fail with
+// a duplicate column/key error and are skipped, so this is safe to run on every boot.
+const schemaStatements = [
+    `CREATE TABLE IF NOT EXISTS orders (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        tableId VARCHAR(50) NOT NULL,
+        tableLocation VARCHAR(255) NULL,
+        restaurantId VARCHAR(50) NULL,
+        items TEXT NOT NULL,
+        totalPrice DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        role VARCHAR(20) NOT NULL,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )`,
+    'ALTER TABLE users ADD COLUMN username VARCHAR(64) NULL',
+    'ALTER TABLE users ADD UNIQUE INDEX idx_users_username (username)',
+    'ALTER TABLE users ADD COLUMN password_hash VARCHAR(255) NULL',
+    'ALTER TABLE users ADD COLUMN password_updated_at DATETIME NULL',
+    `CREATE TABLE IF NOT EXISTS order_status_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        from_status VARCHAR(20) NULL,
+        to_status VARCHAR(20) NOT NULL,
+        changed_by VARCHAR(64) NULL,
+        changed_by_role VARCHAR(20) NULL,
+        source VARCHAR(32) NOT NULL DEFAULT 'dashboard',
+        note VARCHAR(255) NULL,
+        created_at DATETIME(3) NOT NULL,
+        INDEX idx_order_status_history_order (order_id, created_at)
+    )`,
+    `CREATE TABLE IF NOT EXISTS menu_categories (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        sort_order INT NOT NULL DEFAULT 0,
+        active TINYINT(1) NOT NULL DEFAULT 1,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS menu_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        category_id INT NULL,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(500) NULL,
+        price DECIMAL(10, 2) NOT NULL,
+        image_url VARCHAR(500) NULL,
+        available TINYINT(1) NOT NULL DEFAULT 1,
+        sort_order INT NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL,
+        INDEX idx_menu_items_category (category_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS menu_modifiers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        menu_item_id INT NOT NULL,
+        group_name VARCHAR(50) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        price_delta DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        available TINYINT(1) NOT NULL DEFAULT 1,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL,
+        INDEX idx_menu_modifiers_item (menu_item_id)
+    )`,
+    // Payments - هر سفارش می‌تواند چند پرداخت (split) و refund داشته باشد
+    `CREATE TABLE IF NOT EXISTS payments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        type VARCHAR(10) NOT NULL DEFAULT 'payment',
+        method VARCHAR(20) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        tip DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        refund_of INT NULL,
+        reference VARCHAR(100) NULL,
+        note VARCHAR(255) NULL,
+        recorded_by VARCHAR(64) NULL,
+        created_at DATETIME NOT NULL,
+        INDEX idx_payments_order (order_id),
+        INDEX idx_payments_refund_of (refund_of)
+    )`,
+    "ALTER TABLE orders ADD COLUMN payment_status VARCHAR(20) NOT NULL DEFAULT 'unpaid'",
+    'ALTER TABLE orders ADD COLUMN amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE orders ADD COLUMN tip_total DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE orders ADD COLUMN paid_at DATETIME NULL',
+    'ALTER TABLE orders ADD INDEX idx_orders_payment_status (payment_status)',
+    // Table sessions - یک بازدید از میز؛ همه‌ی سفارش‌های آن بازدید را گروه می‌کند
+    `CREATE TABLE IF NOT EXISTS table_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        table_id VARCHAR(50) NOT NULL,
+        table_location VARCHAR(255) NULL,
+        restaurant_id VARCHAR(50) NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        opened_at DATETIME NOT NULL,
+        closed_at DATETIME NULL,
+        closed_by VARCHAR(64) NULL,
+        INDEX idx_table_sessions_table (table_id, status)
+    )`,
+    'ALTER TABLE orders ADD COLUMN session_id INT NULL',
+    'ALTER TABLE orders ADD INDEX idx_orders_session (session_id)',
+    // Settings - key/value، مقدارها به صورت JSON ذخیره می‌شوند
+    `CREATE TABLE IF NOT EXISTS settings (
+        setting_key VARCHAR(64) PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_by VARCHAR(64) NULL,
+        updated_at DATETIME NOT NULL
+    )`,
+    // Invoices - یک فاکتور برای هر سفارش یا هر table session، با شماره‌ی ترتیبی
+    `CREATE TABLE IF NOT EXISTS invoices (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        invoice_number VARCHAR(32) NULL,
+        order_id INT NULL,
+        session_id INT NULL,
+        items TEXT NOT NULL,
+        subtotal DECIMAL(10, 2) NOT NULL,
+        tax DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        total DECIMAL(10, 2) NOT NULL,
+        issued_by VARCHAR(64) NULL,
+        issued_at DATETIME NOT NULL,
+        UNIQUE INDEX idx_invoices_number (invoice_number),
+        UNIQUE INDEX idx_invoices_order (order_id),
+        UNIQUE INDEX idx_invoices_session (session_id)
+    )`,
+    // Pricing - VAT per category، تخفیف‌ها و service charge
+    'ALTER TABLE menu_categories ADD COLUMN vat_rate DECIMAL(5, 2) NULL',
+    `CREATE TABLE IF NOT EXISTS discounts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        value DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        buy_quantity INT NULL,
+        get_quantity INT NULL,
+        menu_item_id INT NULL,
+        category_id INT NULL,
+        min_subtotal DECIMAL(10, 2) NULL,
+        code VARCHAR(32) NULL,
+        starts_at DATETIME NULL,
+        ends_at DATETIME NULL,
+        time_from TIME NULL,
+        time_to TIME NULL,
+        days VARCHAR(20) NULL,
+        active TINYINT(1) NOT NULL DEFAULT 1,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL,
+        UNIQUE INDEX idx_discounts_code (code)
+    )`,
+    'ALTER TABLE orders ADD COLUMN subtotal DECIMAL(10, 2) NULL',
+    'ALTER TABLE orders ADD COLUMN discount_total DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE orders ADD COLUMN service_charge DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE orders ADD COLUMN tax_total DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE orders ADD COLUMN tax_inclusive TINYINT(1) NOT NULL DEFAULT 1',
+    'ALTER TABLE orders ADD COLUMN pricing TEXT NULL',
+    'ALTER TABLE invoices ADD COLUMN discount_total DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE invoices ADD COLUMN service_charge DECIMAL(10, 2) NOT NULL DEFAULT 0',
+    'ALTER TABLE invoices ADD COLUMN pricing TEXT NULL',
+    'ALTER TABLE orders ADD COLUMN delivered_at DATETIME NULL',
+    'ALTER TABLE orders ADD COLUMN delivered_by VARCHAR(64) NULL',
+    `CREATE TABLE IF NOT EXISTS dispatch_queue (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        table_id VARCHAR(50) NOT NULL,
+        priority INT NOT NULL DEFAULT 0,
+        position INT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        robot_id VARCHAR(64) NULL,
+        batch_id VARCHAR(64) NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        last_error VARCHAR(255) NULL,
+        queued_at DATETIME NOT NULL,
+        assigned_at DATETIME NULL,
+        finished_at DATETIME NULL,
+        updated_at DATETIME NOT NULL,
+        UNIQUE INDEX idx_dispatch_queue_order (order_id),
+        INDEX idx_dispatch_queue_status (status, priority, queued_at)
+    )`,
+    `CREATE TABLE IF NOT EXISTS robots (
+        id VARCHAR(64) PRIMARY KEY,
+        name VARCHAR(100) NULL,
+        capabilities TEXT NULL,
+        tray_capacity INT NOT NULL DEFAULT 1,
+        firmware VARCHAR(64) NULL,
+        status VARCHAR(32) NULL,
+        battery DECIMAL(5, 2) NULL,
+        last_heartbeat DATETIME NULL,
+        registered_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS floor_locations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        type VARCHAR(20) NOT NULL DEFAULT 'table',
+        code VARCHAR(50) NOT NULL,
+        name VARCHAR(100) NULL,
+        x DECIMAL(10, 3) NOT NULL,
+        y DECIMAL(10, 3) NOT NULL,
+        theta DECIMAL(8, 5) NOT NULL DEFAULT 0,
+        active TINYINT(1) NOT NULL DEFAULT 1,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL,
+        UNIQUE INDEX idx_floor_locations_code (type, code)
+    )`,
+    `CREATE TABLE IF NOT EXISTS robot_telemetry (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        robot_id VARCHAR(64) NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        status VARCHAR(32) NULL,
+        battery DECIMAL(5, 2) NULL,
+        x DECIMAL(10, 3) NULL,
+        y DECIMAL(10, 3) NULL,
+        theta DECIMAL(8, 5) NULL,
+        order_id INT NULL,
+        data TEXT NULL,
+        recorded_at DATETIME(3) NOT NULL,
+        INDEX idx_robot_telemetry_robot (robot_id, recorded_at),
+        INDEX idx_robot_telemetry_time (recorded_at)
+    )`,
+    `CREATE TABLE IF NOT EXISTS robot_alerts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        robot_id VARCHAR(64) NOT NULL,
+        type VARCHAR(32) NOT NULL,
+        severity VARCHAR(16) NOT NULL DEFAULT 'warning',
+        message VARCHAR(255) NOT NULL,
+        data TEXT NULL,
+        raised_at DATETIME NOT NULL,
+        resolved_at DATETIME NULL,
+        acknowledged_by VARCHAR(50) NULL,
+        acknowledged_at DATETIME NULL,
+        INDEX idx_robot_alerts_active (resolved_at, robot_id)
+    )`,
+    // Emergency stops and who cleared them; rows without cleared_at are still in force.
+    // robot_id NULL = the whole fleet
+    `CREATE TABLE IF NOT EXISTS emergency_stops (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        robot_id VARCHAR(64) NULL,
+        source VARCHAR(16) NOT NULL,
+        reason VARCHAR(255) NULL,
+        command_id VARCHAR(64) NULL,
+        triggered_by VARCHAR(64) NOT NULL,
+        triggered_role VARCHAR(20) NULL,
+        triggered_at DATETIME NOT NULL,
+        cleared_by VARCHAR(50) NULL,
+        cleared_role VARCHAR(20) NULL,
+        clear_reason VARCHAR(255) NULL,
+        cleared_at DATETIME NULL,
+        INDEX idx_emergency_stops_active (cleared_at)
+    )`,
+    // MQTT messages waiting for the broker to come back, replayed in id order
+    `CREATE TABLE IF NOT EXISTS mqtt_outbox (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        topic VARCHAR(255) NOT NULL,
+        payload MEDIUMTEXT NOT NULL,
+        qos TINYINT NOT NULL DEFAULT 1,
+        retain TINYINT(1) NOT NULL DEFAULT 0,
+        kind VARCHAR(16) NOT NULL DEFAULT 'event',
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NULL
+    )`,
+    // Kitchen display - ایستگاه هر آیتم (اگر خالی باشد، ایستگاه دسته‌ی آن)
+    'ALTER TABLE menu_categories ADD COLUMN station VARCHAR(20) NULL',
+    'ALTER TABLE menu_items ADD COLUMN station VARCHAR(20) NULL',
+    // One ticket per order and station; opened_at starts the prep timer (again when the order is sent back)
+    `CREATE TABLE IF NOT EXISTS kitchen_tickets (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        order_id INT NOT NULL,
+        table_id VARCHAR(50) NULL,
+        station VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        target_minutes INT NOT NULL,
+        created_at DATETIME NOT NULL,
+        opened_at DATETIME NOT NULL,
+        started_at DATETIME NULL,
+        done_at DATETIME NULL,
+        overdue_at DATETIME NULL,
+        UNIQUE INDEX idx_kitchen_tickets_order (order_id, station),
+        INDEX idx_kitchen_tickets_status (status, station)
+    )`,
+    `CREATE TABLE IF NOT EXISTS kitchen_ticket_lines (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ticket_id INT NOT NULL,
+        menu_item_id INT NULL,
+        name VARCHAR(100) NOT NULL,
+        quantity INT NOT NULL,
+        modifiers VARCHAR(500) NULL,
+        notes VARCHAR(255) NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        started_at DATETIME NULL,
+        started_by VARCHAR(64) NULL,
+        done_at DATETIME NULL,
+        done_by VARCHAR(64) NULL,
+        INDEX idx_kitchen_ticket_lines_ticket (ticket_id)
+    )`,
+    // QR table tokens - توکن امضاشده‌ی هر میز؛ سفارش مشتری میز را از توکن می‌گیرد نه از body
+    // session_id: for a token that expires with the table session, the session it belongs to
+    `CREATE TABLE IF NOT EXISTS table_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        table_id VARCHAR(50) NOT NULL,
+        restaurant_id VARCHAR(50) NULL,
+        nonce VARCHAR(32) NOT NULL,
+        session_bound TINYINT(1) NOT NULL DEFAULT 0,
+        session_id INT NULL,
+        created_by VARCHAR(64) NULL,
+        created_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        revoked_by VARCHAR(64) NULL,
+        UNIQUE INDEX idx_table_tokens_nonce (nonce),
+        INDEX idx_table_tokens_table (table_id, revoked_at)
+    )`,
+    // Orders a session invoice covers; orders invoiced on their own before the session closed are left out
+    'ALTER TABLE invoices ADD COLUMN order_ids TEXT NULL',
+    // 0: the customer named the table (orders.requireTableToken off) instead of scanning its QR token
+    'ALTER TABLE orders ADD COLUMN table_verified TINYINT(1) NOT NULL DEFAULT 1',
+    // Last number handed out per sequence; invoices take theirs under a row lock (createInvoice)
+    `CREATE TABLE IF NOT EXISTS counters (
+        name VARCHAR(32) PRIMARY KEY,
+        value INT NOT NULL
+    )`,
+    // Invoices numbered from their id before the counter existed carry on from the highest one
+    "INSERT IGNORE INTO counters (name, value) SELECT 'invoice', COALESCE(MAX(id), 0) FROM invoices"
+];
+
+const IGNORABLE_SCHEMA_ERRORS = ['ER_DUP_FIELDNAME', 'ER_DUP_KEYNAME'];
+
+async function ensureSchema() {
+    for (const statement of schemaStatements) {
+        await new Promise((resolve, reject) => {
+            connection.query(statement, [], (err) => {
+                if (err && !IGNORABLE_SCHEMA_ERRORS.includes(err.code)) {
+                    console.error('❌ Database error applying schema:', err);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+    console.log('🗄️ Database schema is up to date');
+}
+
+// Promise wrapper around connection.query for the newer helpers below
+function runQuery(query, params, errorLabel) {
+    return new Promise((resolve, reject) => {
+        connection.query(query, params, (err, result) => {
+            if (err) {
+                console.error(`❌ Database error ${errorLabel}:`, err);
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        });
+    });
+}
+
+// Runs work(query) in one transaction; query(sql, params, errorLabel) works like runQuery.
+// Commits when work resolves, rolls back when it throws.
+async function withTransaction(work) {
+    const transaction = await new Promise((resolve, reject) => {
+        transactionPool.getConnection((err, conn) => (err ? reject(err) : resolve(conn)));
+    });
+    const query = (sql, params, errorLabel) => new Promise((resolve, reject) => {
+        transaction.query(sql, params, (err, result) => {
+            if (err) {
+                console.error(`❌ Database error ${errorLabel}:`, err);
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        });
+    });
+    
+    try {
+        await query('START TRANSACTION', [], 'starting transaction');
+        const result = await work(query);
+        await query('COMMIT', [], 'committing transaction');
+        return result;
+    } catch (error) {
+        await query('ROLLBACK', [], 'rolling back transaction').catch(() => {});
+        throw error;
+    } finally {
+        transaction.release();
+    }
+}
+
+// Consolidation key for an order line: the same menu item with the same modifiers and notes
+// is one line; "latte, oat milk" and "latte, no sugar" stay separate.
+// modifiers may be modifier IDs (from the client) or resolved modifier objects (from the DB).
+function getItemKey(item) {
+    const menuItemId = item.menuItemId || null;
+    const base = menuItemId ? `menu:${menuItemId}` : (item.name || item.title || 'نامشخص');
+    const modifierIds = (item.modifiers || [])
+        .map(modifier => (typeof modifier === 'object' ? modifier.id : modifier))
+        .map(id => parseInt(id))
+        .sort((a, b) => a - b);
+    const notes = normalizeNotes(item.notes).toLowerCase();
+    
+    return `${base}|${modifierIds.join(',')}|${notes}`;
+}
+
+const MAX_NOTES_LENGTH = 200;
+
+function normalizeNotes(notes) {
+    if (!notes || typeof notes !== 'string') return '';
+    return notes.trim().replace(/\s+/g, ' ').substring(0, MAX_NOTES_LENGTH);
+}
+
+// Helper function to process and validate items
+function processOrderItems(items) {
+    try {
+        let parsedItems;
+        
+        // اگر items یک string است، JSON parse کن
+        if (typeof items === 'string') {
+            parsedItems = JSON.parse(items);
+        } else {
+            parsedItems = items;
+        }
+        
+        // اگر array نیست، خطا بده
+        if (!Array.isArray(parsedItems)) {
+            throw new Error('Items must be an array');
+        }
+        
+        // ترکیب آیتم‌های تکراری (اگر Flutter آیتم‌های جداگانه فرستاده)
+        const itemMap = new Map();
+        
+        parsedItems.forEach(item => {
+            const itemName = item.name || item.title || 'نامشخص';
+            const itemQuantity = parseInt(item.quantity || item.count || 1);
+            const menuItemId = item.menuItemId || null;
+            const itemKey = getItemKey(item);
+            
+            // قیمت واحد = قیمت پایه + مجموع قیمت modifierها
+            // (سفارش‌های قدیمی basePrice ندارند و فقط price دارند)
+            const modifiers = (item.modifiers || []).filter(modifier => typeof modifier === 'object');
+            const basePrice = parseFloat(item.basePrice !== undefined ? item.basePrice : (item.price || 0));
+            const modifiersPrice = modifiers.reduce((sum, modifier) => sum + parseFloat(modifier.priceDelta || 0), 0);
+            const itemPrice = basePrice + modifiersPrice;
+            
+            if (itemMap.has(itemKey)) {
+                // آیتم تکراری پیدا شد - quantity را اضافه کن
+                const existingItem = itemMap.get(itemKey);
+                existingItem.quantity += itemQuantity;
+                existingItem.totalItemPrice = existingItem.price * existingItem.quantity;
+            } else {
+                // آیتم جدید
+                itemMap.set(itemKey, {
+                    menuItemId: menuItemId,
+                    name: itemName,
+                    quantity: itemQuantity,
+                    basePrice: basePrice,
+                    modifiers: modifiers,
+                    notes: normalizeNotes(item.notes),
+                    price: itemPrice,
+                    totalItemPrice: itemPrice * itemQuantity
+                });
+                
+                // سفارش‌های ذخیره شده: نرخ مالیات و تخفیف هر خط از pricing.js
+                if (item.vatRate !== undefined) itemMap.get(itemKey).vatRate = item.vatRate;
+                if (item.discount) itemMap.get(itemKey).discount = item.discount;
+            }
+        });
+        
+        // تبدیل Map به Array
+        const processedItems = Array.from(itemMap.values());
+        
+        console.log('🔄 ITEM CONSOLIDATION:');
+        console.log('📥 Original items count:', parsedItems.length);
+        console.log('📤 Processed items count:', processedItems.length);
+        
+        return processedItems;
+    } catch (error) {
+        console.error('❌ Error processing items:', error);
+        return [];
+    }
+}
+
+// Pricing breakdown stored with the order (discounts, service, taxes) - null for older orders
+function parsePricing(pricing) {
+    if (!pricing) return null;
+    try {
+        return typeof pricing === 'string' ? JSON.parse(pricing) : pricing;
+    } catch (error) {
+        console.error('❌ Error parsing order pricing:', error);
+        return null;
+    }
+}
+
+// Helper function to calculate total price from items (modifier prices are part of each line's price)
+function calculateTotalPrice(items) {
+    const processedItems = processOrderItems(items);
+    return processedItems.reduce((total, item) => {
+        return total + (item.price * item.quantity);
+    }, 0);
+}
+
+// Error thrown when an order line cannot be matched to the menu - mapped to HTTP 400 by order.js
+function menuError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+}
+
+// Resolve client order lines against the menu catalog.
+// قیمت ارسالی از کلاینت نادیده گرفته می‌شود - قیمت همیشه از menu_items خوانده می‌شود.
+// Lines are matched by menuItemId (or id); older clients that only send a name are matched by exact name.
+async function resolveMenuItems(items) {
+    let parsedItems = typeof items === 'string' ? JSON.parse(items) : items;
+    if (!Array.isArray(parsedItems) || parsedItems.length === 0) {
+        throw menuError('INVALID_ITEMS', 'Items array is required and cannot be empty');
+    }
+    
+    const ids = parsedItems.map(item => parseInt(item.menuItemId || item.id)).filter(id => id > 0);
+    const names = parsedItems.filter(item => !(parseInt(item.menuItemId || item.id) > 0)).map(item => item.name || item.title);
+    
+    const byId = new Map((await getMenuItemsByIds(ids)).map(row => [row.id, row]));
+    const byName = new Map((await getMenuItemsByNames(names)).map(row => [row.name.toLowerCase(), row]));
+    const menuItemIds = [...byId.keys(), ...[...byName.values()].map(row => row.id)];
+    const modifiersById = new Map((await getModifiersForItems(menuItemIds)).map(row => [row.id, row]));
+    
+    return parsedItems.map(item => {
+        const id = parseInt(item.menuItemId || item.id);
+        const name = item.name || item.title;
+        const menuItem = id > 0 ? byId.get(id) : (name ? byName.get(name.toLowerCase()) : null);
+        
+        if (!menuItem) {
+            throw menuError('MENU_ITEM_NOT_FOUND', `Menu item not found: ${id > 0 ? '#' + id : (name || 'unnamed item')}`);
+        }
+        if (!menuItem.available) {
+            throw menuError('MENU_ITEM_UNAVAILABLE', `Menu item is not available: ${menuItem.name}`);
+        }
+        
+        // Only a missing quantity means 1; 0, negative or fractional quantities are rejected, not rounded up
+        const given = item.quantity !== undefined && item.quantity !== null ? item.quantity : item.count;
+        const quantity = given === undefined || given === null ? 1 : Number(given);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw menuError('INVALID_QUANTITY', `Invalid quantity for ${menuItem.name}`);
+        }
+        
+        return {
+            menuItemId: menuItem.id,
+            name: menuItem.name,
+            quantity: quantity,
+            basePrice: parseFloat(menuItem.price),
+            modifiers: resolveLineModifiers(menuItem, item.modifiers, modifiersById),
+            notes: normalizeNotes(item.notes)
+        };
+    });
+}
+
+// فقط یک انتخاب از این گروه‌ها مجاز است (مثلاً یک سایز)
+const SINGLE_CHOICE_MODIFIER_GROUPS = ['size'];
+
+// Modifiers arrive as IDs (or { id }) and must belong to the line's menu item
+function resolveLineModifiers(menuItem, requested, modifiersById) {
+    if (!requested) return [];
+    if (!Array.isArray(requested)) {
+        throw menuError('INVALID_MODIFIERS', `Modifiers for ${menuItem.name} must be an array`);
+    }
+    
+    const seenIds = new Set();
+    const seenGroups = new Set();
+    
+    return requested.map(entry => {
+        const id = parseInt(typeof entry === 'object' && entry !== null ? entry.id : entry);
+        const modifier = modifiersById.get(id);
+        
+        if (!modifier || modifier.menu_item_id !== menuItem.id) {
+            throw menuError('MODIFIER_NOT_FOUND', `Modifier #${id} is not available for ${menuItem.name}`);
+        }
+        if (seenIds.has(id)) {
+            throw menuError('DUPLICATE_MODIFIER', `Modifier '${modifier.name}' was selected twice for ${menuItem.name}`);
+        }
+        if (SINGLE_CHOICE_MODIFIER_GROUPS.includes(modifier.group_name) && seenGroups.has(modifier.group_name)) {
+            throw menuError('DUPLICATE_MODIFIER', `Only one ${modifier.group_name} can be selected for ${menuItem.name}`);
+        }
+        
+        seenIds.add(id);
+        seenGroups.add(modifier.group_name);
+        
+        return {
+            id: modifier.id,
+            group: modifier.group_name,
+            name: modifier.name,
+            priceDelta: parseFloat(modifier.price_delta)
+        };
+    });
+}
+
+// Pricing columns written with the order: subtotal, discounts, service, tax and the breakdown
+function pricingColumns(pricing) {
+    return [
+        pricing.subtotal,
+        pricing.discountTotal,
+        pricing.serviceCharge,
+        pricing.taxTotal,
+        pricing.taxInclusive ? 1 : 0,
+        JSON.stringify({ discounts: pricing.discounts, service: pricing.service, taxes: pricing.taxes })
+    ];
+}
+
+// Create new order
+// orderData.pricing comes from pricing.priceOrder (آیتم‌ها با منو تطبیق داده و قیمت‌گذاری شده‌اند)
+async function createOrder(orderData) {
+    const { tableId, tableLocation, restaurantId, pricing, tableVerified = true } = orderData;
+    const sessionId = await getOrOpenTableSession({ tableId, tableLocation, restaurantId });
+    
+    return new Promise((resolve, reject) => {
+        const processedItems = pricing.lines;
+        const calculatedTotalPrice = pricing.total;
+        
+        console.log('📝 Processing order with items:', JSON.stringify(processedItems, null, 2));
+        console.log(`💰 Subtotal: ${pricing.subtotal}, discounts: ${pricing.discountTotal}, service: ${pricing.serviceCharge}, tax: ${pricing.taxTotal}, total: ${calculatedTotalPrice}`);
+        
+        const query = `
+            INSERT INTO orders (tableId, tableLocation, restaurantId, items, totalPrice, status, session_id,
+                subtotal, discount_total, service_charge, tax_total, tax_inclusive, pricing, table_verified, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+        `;
+        
+        // ذخیره آیتم‌های پردازش شده به صورت JSON
+        const itemsJson = JSON.stringify(processedItems);
+        const params = [tableId, tableLocation, restaurantId, itemsJson, calculatedTotalPrice, sessionId, ...pricingColumns(pricing), tableVerified ? 1 : 0];
+        
+        connection.query(query, params, (err, result) => {
+            if (err) {
+                console.error('❌ Database error creating order:', err);
+                reject(err);
+            } else {
+                console.log(`✅ Created new order with ID: ${result.insertId}`);
+                console.log(`📊 Order details: Table ${tableId}, Total: ${calculatedTotalPrice}, Items count: ${processedItems.length}`);
+                
+                // اولین رکورد تاریخچه: ثبت سفارش توسط مشتری
+                // سفارش با مبلغ صفر (مثلاً تخفیف ۱۰۰٪) از همان ابتدا پرداخت‌شده است
+                insertStatusHistory(result.insertId, null, 'pending', { source: 'customer' })
+                    .then(() => calculatedTotalPrice > 0 ? null : refreshOrderPaymentStatus(result.insertId))
+                    .then(() => resolve(result.insertId))
+                    .catch(reject);
+            }
+        });
+    });
+}
+
+// Get all orders from database - با پردازش بهتر آیتم‌ها
+async function getAllOrders() {
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT * FROM orders 
+            ORDER BY created_at DESC
+        `;
+        
+        connection.query(query, [], (err, rows) => {
+            if (err) {
+                console.error('❌ Database error getting all orders:', err);
+                reject(err);
+            } else {
+                console.log(`📊 Retrieved ${rows.length} orders from database`);
+                
+                // پردازش آیتم‌ها برای هر سفارش
+                const ordersWithParsedItems = rows.map(order => {
+                    const parsedItems = processOrderItems(order.items);
+                    
+                    return {
+                        ...order,
+                        items: parsedItems,
+                        pricing: parsePricing(order.pricing),
+                        // اضافه کردن تعداد کل آیتم‌ها
+                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
+                    };
+                });
+                
+                resolve(ordersWithParsedItems);
+            }
+        });
+    });
+}
+
+// Get pending orders (orders that are not completed or cancelled)
+async function getPendingOrders() {
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT * FROM orders 
+            WHERE status NOT IN ('completed', 'cancelled', 'delivered') 
+            ORDER BY created_at ASC
+        `;
+        
+        connection.query(query, [], (err, rows) => {
+            if (err) {
+                console.error('❌ Database error getting pending orders:', err);
+                reject(err);
+            } else {
+                console.log(`⏳ Retrieved ${rows.length} pending orders from database`);
+                
+                // پردازش آیتم‌ها برای سفارشات در انتظار
+                const ordersWithParsedItems = rows.map(order => {
+                    const parsedItems = processOrderItems(order.items);
+                    
+                    return {
+                        ...order,
+                        items: parsedItems,
+                        pricing: parsePricing(order.pricing),
+                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
+                    };
+                });
+                
+                resolve(ordersWithParsedItems);
+            }
+        });
+    });
+}
+
+// Get orders by status
+async function getOrdersByStatus(status) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT * FROM orders 
+            WHERE status = ? 
+            ORDER BY created_at DESC
+        `;
+        
+        connection.query(query, [status], (err, rows) => {
+            if (err) {
+                console.error(`❌ Database error getting orders with status ${status}:`, err);
+                reject(err);
+            } else {
+                console.log(`🔍 Retrieved ${rows.length} orders with status '${status}' from database`);
+                
+                // پردازش آیتم‌ها
+                const ordersWithParsedItems = rows.map(order => {
+                    const parsedItems = processOrderItems(order.items);
+                    
+                    return {
+                        ...order,
+                        items: parsedItems,
+                        pricing: parsePricing(order.pricing),
+                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
+                    };
+                });
+                
+                resolve(ordersWithParsedItems);
+            }
+        });
+    });
+}
+
+// Get recent orders (last N orders)
+async function getRecentOrders(limit = 10) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT * FROM orders 
+            ORDER BY created_at DESC 
+            LIMIT ?
+        `;
+        
+        connection.query(query, [limit], (err, rows) => {
+            if (err) {
+                console.error('❌ Database error getting recent orders:', err);
+                reject(err);
+            } else {
+                console.log(`📅 Retrieved ${rows.length} recent orders from database`);
+                
+                // پردازش آیتم‌ها
+                const ordersWithParsedItems = rows.map(order => {
+                    const parsedItems = processOrderItems(order.items);
+                    
+                    return {
+                        ...order,
+                        items: parsedItems,
+                        pricing: parsePricing(order.pricing),
+                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
+                    };
+                });
+                
+                resolve(ordersWithParsedItems);
+            }
+        });
+    });
+}
+
+// Get order by ID
+async function getOrderById(orderId) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT * FROM orders 
+            WHERE id = ?
+        `;
+        
+        connection.query(query, [orderId], (err, rows) => {
+            if (err) {
+                console.error('❌ Database error getting order by ID:', err);
+                reject(err);
+            } else {
+                console.log(`🔍 Retrieved order with ID ${orderId}`);
+                
+                if (rows.length === 0) {
+                    resolve(null);
+                } else {
+                    const order = rows[0];
+                    const parsedItems = processOrderItems(order.items);
+                    
+                    resolve({
+                        ...order,
+                        items: parsedItems,
+                        pricing: parsePricing(order.pricing),
+                        totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
+                    });
+                }
+            }
+        });
+    });
+}
+
+// Record one status transition in order_status_history
+async function insertStatusHistory(orderId, fromStatus, toStatus, meta = {}) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, changed_by_role, source, note, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, NOW(3))
+        `;
+        const params = [
+            orderId,
+            fromStatus,
+            toStatus,
+            meta.changedBy || null,
+            meta.role || null,
+            meta.source || 'dashboard',
+            meta.note || null
+        ];
+        
+        connection.query(query, params, (err, result) => {
+            if (err) {
+                console.error('❌ Database error writing order status history:', err);
+                reject(err);
+            } else {
+                resolve(result.insertId);
+            }
+        });
+    });
+}
+
+// Update order status
+// meta: { fromStatus, changedBy, role, source, note, deliveredBy }
+// Moving to 'delivered' also stamps delivered_at and delivered_by (the robot id, or the user)
+// وقتی fromStatus داده شود، آپدیت فقط در صورتی انجام می‌شود که وضعیت فعلی هنوز همان باشد
+// (result.affectedRows === 0 یعنی وضعیت همزمان توسط کس دیگری تغییر کرده است)
+async function updateOrderStatus(orderId, newStatus, meta = {}) {
+    return new Promise((resolve, reject) => {
+        const delivered = newStatus === 'delivered';
+        let query = `
+            UPDATE orders 
+            SET status = ?, updated_at = NOW()${delivered ? ', delivered_at = NOW(), delivered_by = ?' : ''} 
+            WHERE id = ?
+        `;
+        const params = delivered
+            ? [newStatus, meta.deliveredBy || meta.changedBy || null, orderId]
+            : [newStatus, orderId];
+        
+        if (meta.fromStatus) {
+            query += ' AND status = ?';
+            params.push(meta.fromStatus);
+        }
+        
+        connection.query(query, params, (err, result) => {
+            if (err) {
+                console.error('❌ Database error updating order status:', err);
+                reject(err);
+            } else if (result.affectedRows === 0) {
+                console.warn(`⚠️ Order ${orderId} status not updated to '${newStatus}' (not found or status changed)`);
+                resolve(result);
+            } else {
+                console.log(`✅ Updated order ${orderId} status to '${newStatus}'`);
+                insertStatusHistory(orderId, meta.fromStatus || null, newStatus, meta)
+                    .then(() => resolve(result))
+                    .catch(reject);
+            }
+        });
+    });
+}
+
+// Get the status timeline of an order, oldest first
+async function getOrderStatusHistory(orderId) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT id, order_id, from_status, to_status, changed_by, changed_by_role, source, note, created_at
+            FROM order_status_history
+            WHERE order_id = ?
+            ORDER BY created_at ASC, id ASC
+        `;
+        
+        connection.query(query, [orderId], (err, rows) => {
+            if (err) {
+                console.error('❌ Database error getting order status history:', err);
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+// User management functions - اصلاح شده برای استفاده از connection
+// password_hash هرگز از این توابع خارج نمی‌شود، به جز getUserByUsername برای login
+const USER_PUBLIC_COLUMNS = 'id, name, username, role, password_hash IS NOT NULL AS hasPassword, created_at, updated_at';
+
+async function getAllUsers() {
+    return new Promise((resolve, reject) => {
+        const query = `SELECT ${USER_PUBLIC_COLUMNS} FROM users ORDER BY created_at DESC`;
+        
+        connection.query(query, [], (err, rows) => {
+            if (err) {
+                console.error('❌ Database error getting users:', err);
+                reject(err);
+            } else {
+                console.log(`👥 Retrieved ${rows.length} users from database`);
+                resolve(rows);
+            }
+        });
+    });
+}
+
+async function getUserById(id) {
+    return new Promise((resolve, reject) => {
+        const query = `SELECT ${USER_PUBLIC_COLUMNS} FROM users WHERE id = ?`;
+        
+        connection.query(query, [id], (err, rows) => {
+            if (err) {
+                console.error('❌ Database error getting user by ID:', err);
+                reject(err);
+            } else {
+                resolve(rows.length ? rows[0] : null);
+            }
+        });
+    });
+}
+
+// Used by login only - returns the stored password hash
+async function getUserByUsername(username) {
+    return new Promise((resolve, reject) => {
+        const query = 'SELECT id, name, username, role, password_hash FROM users WHERE username = ?';
+        
+        connection.query(query, [username], (err, rows) => {
+            if (err) {
+                console.error('❌ Database error getting user by username:', err);
+                reject(err);
+            } else {
+                resolve(rows.length ? rows[0] : null);
+            }
+        });
+    });
+}
+
+async function countAdminsWithPassword() {
+    return new Promise((resolve, reject) => {
+        const query = "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND password_hash IS NOT NULL";
+        
+        connection.query(query, [], (err, rows) => {
+            if (err) {
+                console.error('❌ Database error counting admin users:', err);
+                reject(err);
+            } else {
+                resolve(rows[0].count);
+            }
+        });
+    });
+}
+
+async function createUser(user) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            INSERT INTO users (name, username, role, password_hash, password_updated_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+        `;
+        const passwordHash = user.passwordHash || null;
+        const params = [user.name, user.username, user.role, passwordHash, passwordHash ? new Date() : null];
+        
+        connection.query(query, params, (err, result) => {
+            if (err) {
+                console.error('❌ Database error creating user:', err);
+                reject(err);
+            } else {
+                console.log(`✅ Created new user with ID: ${result.insertId}`);
+                resolve(result.insertId);
+            }
+        });
+    });
+}
+
+async function updateUser(id, user) {
+    return new Promise((resolve, reject) => {
+        const query = 'UPDATE users SET name = ?, username = ?, role = ?, updated_at = NOW() WHERE id = ?';
+        const params = [user.name, user.username, user.role, id];
+        
+        connection.query(query, params, (err, result) => {
+            if (err) {
+                console.error('❌ Database error updating user:', err);
+                reject(err);
+            } else {
+                console.log(`✅ Updated user ${id}`);
+                resolve(result);
+            }
+        });
+    });
+}
+
+async function setUserPassword(id, passwordHash) {
+    return new Promise((resolve, reject) => {
+        const query = 'UPDATE users SET password_hash = ?, password_updated_at = NOW(), updated_at = NOW() WHERE id = ?';
+        
+        connection.query(query, [passwordHash, id], (err, result) => {
+            if (err) {
+                console.error('❌ Database error setting user password:', err);
+                reject(err);
+            } else {
+                console.log(`🔑 Password updated for user ${id}`);
+                resolve(result);
+            }
+        });
+    });
+}
+
+async function deleteUser(id) {
+    return new Promise((resolve, reject) => {
+        const query = 'DELETE FROM users WHERE id = ?';
+        
+        connection.query(query, [id], (err, result) => {
+            if (err) {
+                console.error('❌ Database error deleting user:', err);
+                reject(err);
+            } else {
+                console.log(`🗑️ Deleted user ${id}`);
+                resolve(result);
+            }
+        });
+    });
+}
+
+// ========== MENU CATALOG ==========
+
+async function getMenuCategories(includeInactive = false) {
+    const query = `
+        SELECT * FROM menu_categories
+        ${includeInactive ? '' : 'WHERE active = 1'}
+        ORDER BY sort_order ASC, name ASC
+    `;
+    return runQuery(query, [], 'getting menu categories');
+}
+
+async function createMenuCategory(category) {
+    const query = `
+        INSERT INTO menu_categories (name, sort_order, active, vat_rate, station, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+    `;
+    const params = [category.name, category.sortOrder || 0, category.active === false ? 0 : 1, category.vatRate, category.station || null];
+    const result = await runQuery(query, params, 'creating menu category');
+    console.log(`✅ Created menu category ${result.insertId}: ${category.name}`);
+    return result.insertId;
+}
+
+async function updateMenuCategory(id, category) {
+    const query = `
+        UPDATE menu_categories SET name = ?, sort_order = ?, active = ?, vat_rate = ?, station = ?, updated_at = NOW()
+        WHERE id = ?
+    `;
+    const params = [category.name, category.sortOrder || 0, category.active === false ? 0 : 1, category.vatRate, category.station || null, id];
+    return runQuery(query, params, 'updating menu category');
+}
+
+// آیتم‌های این دسته حذف نمی‌شوند، فقط بدون دسته باقی می‌مانند
+async function deleteMenuCategory(id) {
+    await runQuery('UPDATE menu_items SET category_id = NULL WHERE category_id = ?', [id], 'detaching menu items');
+    return runQuery('DELETE FROM menu_categories WHERE id = ?', [id], 'deleting menu category');
+}
+
+async function getMenuItems(options = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (!options.includeUnavailable) {
+        conditions.push('available = 1');
+    }
+    if (options.categoryId) {
+        conditions.push('category_id = ?');
+        params.push(options.categoryId);
+    }
+    
+    const query = `
+        SELECT * FROM menu_items
+        ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY sort_order ASC, name ASC
+    `;
+    return runQuery(query, params, 'getting menu items');
+}
+
+async function getMenuItemById(id) {
+    const rows = await runQuery('SELECT * FROM menu_items WHERE id = ?', [id], 'getting menu item');
+    return rows.length ? rows[0] : null;
+}
+
+async function getMenuItemsByIds(ids) {
+    if (!ids.length) return [];
+    return runQuery('SELECT * FROM menu_items WHERE id IN (?)', [ids], 'getting menu items by ID');
+}
+
+async function getMenuItemsByNames(names) {
+    const validNames = names.filter(Boolean);
+    if (!validNames.length) return [];
+    return runQuery('SELECT * FROM menu_items WHERE name IN (?)', [validNames], 'getting menu items by name');
+}
+
+async function createMenuItem(item) {
+    const query = `
+        INSERT INTO menu_items (category_id, name, description, price, image_url, available, sort_order, station, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+    `;
+    const params = [
+        item.categoryId || null,
+        item.name,
+        item.description || null,
+        item.price,
+        item.imageUrl || null,
+        item.available === false ? 0 : 1,
+        item.sortOrder || 0,
+        item.station || null
+    ];
+    const result = await runQuery(query, params, 'creating menu item');
+    console.log(`✅ Created menu item ${result.insertId}: ${item.name} (${item.price})`);
+    return result.insertId;
+}
+
+async function updateMenuItem(id, item) {
+    const query = `
+        UPDATE menu_items
+        SET category_id = ?, name = ?, description = ?, price = ?, image_url = ?, available = ?, sort_order = ?, station = ?, updated_at = NOW()
+        WHERE id = ?
+    `;
+    const params = [
+        item.categoryId || null,
+        item.name,
+        item.description || null,
+        item.price,
+        item.imageUrl || null,
+        item.available === false ? 0 : 1,
+        item.sortOrder || 0,
+        item.station || null,
+        id
+    ];
+    return runQuery(query, params, 'updating menu item');
+}
+
+async function setMenuItemAvailability(id, available) {
+    const query = 'UPDATE menu_items SET available = ?, updated_at = NOW() WHERE id = ?';
+    return runQuery(query, [available ? 1 : 0, id], 'updating menu item availability');
+}
+
+async function deleteMenuItem(id) {
+    await runQuery('DELETE FROM menu_modifiers WHERE menu_item_id = ?', [id], 'deleting menu item modifiers');
+    return runQuery('DELETE FROM menu_items WHERE id = ?', [id], 'deleting menu item');
+}
+
+async function getModifiersForItems(itemIds, includeUnavailable = false) {
+    if (!itemIds.length) return [];
+    const query = `
+        SELECT * FROM menu_modifiers
+        WHERE menu_item_id IN (?) ${includeUnavailable ? '' : 'AND available = 1'}
+        ORDER BY group_name ASC, price_delta ASC, name ASC
+    `;
+    return runQuery(query, [itemIds], 'getting menu modifiers');
+}
+
+async function createMenuModifier(itemId, modifier) {
+    const query = `
+        INSERT INTO menu_modifiers (menu_item_id, group_name, name, price_delta, available, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+    `;
+    const params = [itemId, modifier.group, modifier.name, modifier.priceDelta || 0, modifier.available === false ? 0 : 1];
+    const result = await runQuery(query, params, 'creating menu modifier');
+    return result.insertId;
+}
+
+async function updateMenuModifier(id, modifier) {
+    const query = `
+        UPDATE menu_modifiers SET group_name = ?, name = ?, price_delta = ?, available = ?, updated_at = NOW()
+        WHERE id = ?
+    `;
+    const params = [modifier.group, modifier.name, modifier.priceDelta || 0, modifier.available === false ? 0 : 1, id];
+    return runQuery(query, params, 'updating menu modifier');
+}
+
+async function deleteMenuModifier(id) {
+    return runQuery('DELETE FROM menu_modifiers WHERE id = ?', [id], 'deleting menu modifier');
+}
+
+// ========== PRICING ==========
+
+// Category and VAT rate of each menu item (vat_rate NULL = default rate from settings)
+async function getItemCategoryRates(itemIds) {
+    if (!itemIds.length) return [];
+    const query = `
+        SELECT mi.id, mi.category_id, mc.vat_rate
+        FROM menu_items mi
+        LEFT JOIN menu_categories mc ON mc.id = mi.category_id
+        WHERE mi.id IN (?)
+    `;
+    return runQuery(query, [itemIds], 'getting item VAT rates');
+}
+
+// Automatic discounts plus the one matching code (time windows are checked in pricing.js)
+async function getActiveDiscounts(code) {
+    const query = `
+        SELECT * FROM discounts
+        WHERE active = 1 AND (code IS NULL OR code = ?)
+    `;
+    return runQuery(query, [code || null], 'getting active discounts');
+}
+
+async function getDiscounts() {
+    return runQuery('SELECT * FROM discounts ORDER BY active DESC, name ASC', [], 'getting discounts');
+}
+
+async function getDiscountById(id) {
+    const rows = await runQuery('SELECT * FROM discounts WHERE id = ?', [id], 'getting discount');
+    return rows.length ? rows[0] : null;
+}
+
+const DISCOUNT_COLUMNS = [
+    'name', 'type', 'value', 'buy_quantity', 'get_quantity', 'menu_item_id', 'category_id',
+    'min_subtotal', 'code', 'starts_at', 'ends_at', 'time_from', 'time_to', 'days', 'active'
+];
+
+// discount: row-shaped object with the DISCOUNT_COLUMNS keys
+async function createDiscount(discount) {
+    const query = `
+        INSERT INTO discounts (${DISCOUNT_COLUMNS.join(', ')}, created_at, updated_at)
+        VALUES (${DISCOUNT_COLUMNS.map(() => '?').join(', ')}, NOW(), NOW())
+    `;
+    const result = await runQuery(query, DISCOUNT_COLUMNS.map(column => discount[column]), 'creating discount');
+    console.log(`✅ Created discount ${result.insertId}: ${discount.name}`);
+    return result.insertId;
+}
+
+async function updateDiscount(id, discount) {
+    const query = `
+        UPDATE discounts SET ${DISCOUNT_COLUMNS.map(column => `${column} = ?`).join(', ')}, updated_at = NOW()
+        WHERE id = ?
+    `;
+    return runQuery(query, [...DISCOUNT_COLUMNS.map(column => discount[column]), id], 'updating discount');
+}
+
+async function deleteDiscount(id) {
+    return runQuery('DELETE FROM discounts WHERE id = ?', [id], 'deleting discount');
+}
+
+// ========== PAYMENTS ==========
+
+// payment: { orderId, type ('payment' | 'refund'), method, amount, tip, refundOf, reference, note, recordedBy }
+// query: runQuery, or the query of a withTransaction
+async function createPayment(payment, query = runQuery) {
+    const insertQuery = `
+        INSERT INTO payments (order_id, type, method, amount, tip, refund_of, reference, note, recorded_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+    const params = [
+        payment.orderId,
+        payment.type || 'payment',
+        payment.method,
+        payment.amount,
+        payment.tip || 0,
+        payment.refundOf || null,
+        payment.reference || null,
+        payment.note || null,
+        payment.recordedBy || null
+    ];
+    const result = await query(insertQuery, params, 'recording payment');
+    console.log(`💳 Recorded ${payment.type || 'payment'} ${result.insertId} for order ${payment.orderId}: ${payment.amount} (${payment.method})`);
+    return result.insertId;
+}
+
+// lock (inside withTransaction): hold the payment's row, so two refunds of it are checked one after the other
+async function getPaymentById(id, query = runQuery, lock = false) {
+    const rows = await query(`SELECT * FROM payments WHERE id = ?${lock ? ' FOR UPDATE' : ''}`, [id], 'getting payment');
+    return rows.length ? rows[0] : null;
+}
+
+async function getPaymentsForOrder(orderId) {
+    return runQuery(
+        'SELECT * FROM payments WHERE order_id = ? ORDER BY created_at ASC, id ASC',
+        [orderId],
+        'getting order payments'
+    );
+}
+
+// مجموع مبالغ refund شده برای یک پرداخت
+async function getRefundedTotals(paymentId, query = runQuery) {
+    const totalsQuery = `
+        SELECT COALESCE(SUM(amount), 0) AS amount, COALESCE(SUM(tip), 0) AS tip
+        FROM payments WHERE refund_of = ? AND type = 'refund'
+    `;
+    const rows = await query(totalsQuery, [paymentId], 'getting refunded totals');
+    return { amount: parseFloat(rows[0].amount), tip: parseFloat(rows[0].tip) };
+}
+
+// Recalculate amount_paid / tip_total / payment_status of an order from its payments.
+// MySQL applies SET assignments left to right, so payment_status sees the new amount_paid.
+// An order with nothing to pay (total 0 after discounts) counts as paid.
+async function refreshOrderPaymentStatus(orderId, query = runQuery) {
+    const updateQuery = `
+        UPDATE orders SET
+            amount_paid = (
+                SELECT COALESCE(SUM(CASE WHEN type = 'refund' THEN -amount ELSE amount END), 0)
+                FROM payments WHERE order_id = ?
+            ),
+            tip_total = (
+                SELECT COALESCE(SUM(CASE WHEN type = 'refund' THEN -tip ELSE tip END), 0)
+                FROM payments WHERE order_id = ?
+            ),
+            payment_status = CASE
+                WHEN amount_paid >= totalPrice AND (amount_paid > 0 OR totalPrice <= 0) THEN 'paid'
+                WHEN amount_paid > 0 THEN 'partial'
+                WHEN EXISTS (SELECT 1 FROM payments WHERE order_id = ? AND type = 'refund') THEN 'refunded'
+                ELSE 'unpaid'
+            END,
+            paid_at = CASE WHEN payment_status = 'paid' THEN COALESCE(paid_at, NOW()) ELSE NULL END
+        WHERE id = ?
+    `;
+    await query(updateQuery, [orderId, orderId, orderId, orderId], 'refreshing order payment status');
+    return getOrderPaymentSummary(orderId, query);
+}
+
+// lock (inside withTransaction): hold the order's row until the transaction ends, so two payments
+// cannot both be checked against the same balance
+async function getOrderPaymentSummary(orderId, query = runQuery, lock = false) {
+    const rows = await query(
+        `SELECT id, session_id, status, totalPrice, amount_paid, tip_total, payment_status, paid_at FROM orders WHERE id = ?${lock ? ' FOR UPDATE' : ''}`,
+        [orderId],
+        'getting order payment summary'
+    );
+    if (!rows.length) return null;
+    
+    const order = rows[0];
+    const totalPrice = parseFloat(order.totalPrice);
+    const amountPaid = parseFloat(order.amount_paid);
+    return {
+        orderId: order.id,
+        sessionId: order.session_id,
+        status: order.status,
+        totalPrice,
+        amountPaid,
+        tipTotal: parseFloat(order.tip_total),
+        balanceDue: Math.max(0, Math.round((totalPrice - amountPaid) * 100) / 100),
+        paymentStatus: order.payment_status,
+        paidAt: order.paid_at
+    };
+}
+
+// سفارشات باز برای صندوق: هنوز کامل پرداخت نشده و لغو هم نشده
+async function getUnpaidOrders() {
+    const query = `
+        SELECT * FROM orders
+        WHERE payment_status IN ('unpaid', 'partial') AND status != 'cancelled' AND totalPrice > 0
+        ORDER BY created_at ASC
+    `;
+    const rows = await runQuery(query, [], 'getting unpaid orders');
+    return rows.map(order => {
+        const parsedItems = processOrderItems(order.items);
+        return {
+            ...order,
+            items: parsedItems,
+            pricing: parsePricing(order.pricing),
+            totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
+        };
+    });
+}
+
+// ========== TABLE SESSIONS ==========
+
+// سفارش‌هایی که همزمان برای یک میز می‌رسند باید session یکسانی بگیرند
+const openingSessions = new Map();
+
+// Returns the id of the open session for the table, opening one on the first order
+async function getOrOpenTableSession(table) {
+    const key = `${table.restaurantId || ''}|${table.tableId}`;
+    if (openingSessions.has(key)) return openingSessions.get(key);
+    
+    const opening = (async () => {
+        const existing = await getOpenTableSession(table.tableId, table.restaurantId);
+        if (existing) return existing.id;
+        return createTableSession(table);
+    })();
+    
+    openingSessions.set(key, opening);
+    try {
+        return await opening;
+    } finally {
+        openingSessions.delete(key);
+    }
+}
+
+async function getOpenTableSession(tableId, restaurantId) {
+    const query = `
+        SELECT * FROM table_sessions
+        WHERE table_id = ? AND restaurant_id <=> ? AND status = 'open'
+        ORDER BY opened_at DESC LIMIT 1
+    `;
+    const rows = await runQuery(query, [String(tableId), restaurantId || null], 'getting open table session');
+    return rows.length ? rows[0] : null;
+}
+
+async function createTableSession(table) {
+    const query = `
+        INSERT INTO table_sessions (table_id, table_location, restaurant_id, status, opened_at)
+        VALUES (?, ?, ?, 'open', NOW())
+    `;
+    const params = [String(table.tableId), table.tableLocation || null, table.restaurantId || null];
+    const result = await runQuery(query, params, 'opening table session');
+    console.log(`🪑 Opened table session ${result.insertId} for table ${table.tableId}`);
+    return result.insertId;
+}
+
+async function getTableSessionById(id) {
+    const rows = await runQuery('SELECT * FROM table_sessions WHERE id = ?', [id], 'getting table session');
+    return rows.length ? rows[0] : null;
+}
+
+async function getTableSessions(status) {
+    const query = `
+        SELECT * FROM table_sessions
+        ${status ? 'WHERE status = ?' : ''}
+        ORDER BY opened_at DESC
+        LIMIT 200
+    `;
+    return runQuery(query, status ? [status] : [], 'getting table sessions');
+}
+
+// Get all orders of a table session - مثل getOrdersByStatus
+// Inside withTransaction: the session's orders, locked until the transaction ends (see getOrderPaymentSummary)
+async function lockSessionOrders(sessionId, query) {
+    const lockQuery = `
+        SELECT id, status, totalPrice, amount_paid FROM orders
+        WHERE session_id = ?
+        ORDER BY created_at ASC
+        FOR UPDATE
+    `;
+    return query(lockQuery, [sessionId], `locking orders of session ${sessionId}`);
+}
+
+async function getOrdersBySession(sessionId) {
+    const query = `
+        SELECT * FROM orders 
+        WHERE session_id = ? 
+        ORDER BY created_at ASC
+    `;
+    const rows = await runQuery(query, [sessionId], `getting orders of session ${sessionId}`);
+    return rows.map(order => {
+        const parsedItems = processOrderItems(order.items);
+        return {
+            ...order,
+            items: parsedItems,
+            pricing: parsePricing(order.pricing),
+            totalItems: parsedItems.reduce((sum, item) => sum + item.quantity, 0)
+        };
+    });
+}
+
+// Close the session. Unless force is set, only when every non-cancelled order is paid.
+// Resolves true when this call closed it.
+async function closeTableSession(sessionId, closedBy, force = false) {
+    let query = `
+        UPDATE table_sessions SET status = 'closed', closed_at = NOW(), closed_by = ?
+        WHERE id = ? AND status = 'open'
+    `;
+    const params = [closedBy || null, sessionId];
+    
+    if (!force) {
+        query += `
+            AND NOT EXISTS (
+                SELECT 1 FROM orders
+                WHERE session_id = ? AND status != 'cancelled' AND payment_status != 'paid' AND totalPrice > 0
+            )
+        `;
+        params.push(sessionId);
+    }
+    
+    const result = await runQuery(query, params, 'closing table session');
+    if (result.affectedRows > 0) {
+        console.log(`🪑 Closed table session ${sessionId}${closedBy ? ` by ${closedBy}` : ''}`);
+    }
+    return result.affectedRows > 0;
+}
+
+// ========== SETTINGS ==========
+
+// Returns { key: value } for every stored setting
+async function getSettings() {
+    const rows = await runQuery('SELECT setting_key, value FROM settings', [], 'getting settings');
+    const settings = {};
+    rows.forEach(row => {
+        try {
+            settings[row.setting_key] = JSON.parse(row.value);
+        } catch (error) {
+            console.warn(`⚠️ Ignoring unreadable setting '${row.setting_key}'`);
+        }
+    });
+    return settings;
+}
+
+async function saveSettings(values, updatedBy) {
+    for (const [key, value] of Object.entries(values)) {
+        const query = `
+            INSERT INTO settings (setting_key, value, updated_by, updated_at)
+            VALUES (?, ?, ?, NOW())
+            ON DUPLICATE KEY UPDATE value = VALUES(value), updated_by = VALUES(updated_by), updated_at = NOW()
+        `;
+        await runQuery(query, [key, JSON.stringify(value), updatedBy || null], 'saving setting');
+    }
+    console.log(`⚙️ Settings updated by ${updatedBy}: ${Object.keys(values).join(', ')}`);
+}
+
+// ========== INVOICES ==========
+
+// target: { orderId } or { sessionId }
+async function getInvoice(target, query = runQuery) {
+    const column = target.sessionId ? 'session_id' : 'order_id';
+    const rows = await query(
+        `SELECT * FROM invoices WHERE ${column} = ?`,
+        [target.sessionId || target.orderId],
+        'getting invoice'
+    );
+    return rows.length ? rows[0] : null;
+}
+
+// Invoices issued for single orders, e.g. before their table session closed
+async function getOrderInvoices(orderIds) {
+    if (!orderIds.length) return [];
+    return runQuery('SELECT * FROM invoices WHERE order_id IN (?) ORDER BY id ASC', [orderIds], 'getting order invoices');
+}
+
+// Issue the invoice for an order or a table session; reprints return the existing invoice.
+// The number is taken from the 'invoice' counter, locked until the invoice row is written in the same
+// transaction, so numbers have no gaps and every invoice has one.
+async function createInvoice(invoice, prefix) {
+    const target = { orderId: invoice.orderId, sessionId: invoice.sessionId };
+    const insertQuery = `
+        INSERT INTO invoices (invoice_number, order_id, session_id, order_ids, items, subtotal, discount_total, service_charge, tax, total, pricing, issued_by, issued_at)
+        VALUES (CONCAT(?, LPAD(?, 6, '0')), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+    const params = [
+        invoice.orderId || null,
+        invoice.sessionId || null,
+        invoice.orderIds ? JSON.stringify(invoice.orderIds) : null,
+        JSON.stringify(invoice.items),
+        invoice.subtotal,
+        invoice.discountTotal || 0,
+        invoice.serviceCharge || 0,
+        invoice.tax,
+        invoice.total,
+        invoice.pricing ? JSON.stringify(invoice.pricing) : null,
+        invoice.issuedBy || null
+    ];
+    
+    let number;
+    try {
+        number = await withTransaction(async query => {
+            const counter = await query("SELECT value FROM counters WHERE name = 'invoice' FOR UPDATE", [], 'locking invoice counter');
+            if (await getInvoice(target, query)) return null;
+
+            const next = (counter.length ? counter[0].value : 0) + 1;
+            await query(insertQuery, [prefix || '', next, ...params], 'creating invoice');
+            await query(
+                "INSERT INTO counters (name, value) VALUES ('invoice', ?) ON DUPLICATE KEY UPDATE value = VALUES(value)",
+                [next],
+                'advancing invoice counter'
+            );
+            return next;
+        });
+    } catch (error) {
+        // همزمان توسط درخواست دیگری صادر شده
+        if (error.code !== 'ER_DUP_ENTRY') throw error;
+    }
+    
+    if (number) console.log(`🧾 Issued invoice ${number} for ${invoice.sessionId ? `session ${invoice.sessionId}` : `order ${invoice.orderId}`}`);
+    return getInvoice(target);
+}
+
+// ========== REPORTS ==========
+// range: { from, to } Dates, to is exclusive. Cancelled orders never count as sales.
+
+const SALES_FILTER = "o.status != 'cancelled' AND o.created_at >= ? AND o.created_at < ?";
+
+// Totals columns shared by the summary and the revenue breakdown; orders from before the
+// pricing columns existed have subtotal NULL and count with their totalPrice
+const SALES_COLUMNS = `
+        COUNT(*) AS orders,
+        COALESCE(SUM(o.totalPrice), 0) AS revenue,
+        COALESCE(SUM(COALESCE(o.subtotal, o.totalPrice)), 0) AS subtotal,
+        COALESCE(SUM(o.discount_total), 0) AS discounts,
+        COALESCE(SUM(o.service_charge), 0) AS service,
+        COALESCE(SUM(o.tax_total), 0) AS tax,
+        COALESCE(SUM(o.tip_total), 0) AS tips
+`;
+
+async function getSalesSummary(range) {
+    const query = `
+        SELECT ${SALES_COLUMNS}, COALESCE(AVG(o.totalPrice), 0) AS averageOrderValue
+        FROM orders o
+        WHERE ${SALES_FILTER}
+    `;
+    const rows = await runQuery(query, [range.from, range.to], 'getting sales summary');
+    return rows[0];
+}
+
+// groupBy 'day' -> one row per date, 'hour' -> one row per hour of the day (0-23) over the whole range
+async function getRevenueByPeriod(range, groupBy) {
+    const period = groupBy === 'hour' ? 'HOUR(o.created_at)' : "DATE_FORMAT(o.created_at, '%Y-%m-%d')";
+    const query = `
+        SELECT ${period} AS period, ${SALES_COLUMNS}
+        FROM orders o
+        WHERE ${SALES_FILTER}
+        GROUP BY period
+        ORDER BY period ASC
+    `;
+    return runQuery(query, [range.from, range.to], 'getting revenue by period');
+}
+
+async function getOrdersPerTable(range) {
+    const query = `
+        SELECT o.tableId, COUNT(*) AS orders, COALESCE(SUM(o.totalPrice), 0) AS revenue,
+               COALESCE(AVG(o.totalPrice), 0) AS averageOrderValue
+        FROM orders o
+        WHERE ${SALES_FILTER}
+        GROUP BY o.tableId
+        ORDER BY orders DESC, revenue DESC
+    `;
+    return runQuery(query, [range.from, range.to], 'getting orders per table');
+}
+
+// Item lines of every sale in the range; best sellers are counted from these
+async function getSoldItems(range) {
+    const query = `SELECT o.id, o.items FROM orders o WHERE ${SALES_FILTER}`;
+    const rows = await runQuery(query, [range.from, range.to], 'getting sold items');
+    return rows.map(order => processOrderItems(order.items));
+}
+
+// Seconds from pending (the order's first history row, or created_at) to delivered
+async function getDeliveryTimes(range) {
+    const query = `
+        SELECT COUNT(*) AS orders,
+               AVG(TIMESTAMPDIFF(SECOND, t.pending_at, t.delivered_at)) AS averageSeconds,
+               MIN(TIMESTAMPDIFF(SECOND, t.pending_at, t.delivered_at)) AS minSeconds,
+               MAX(TIMESTAMPDIFF(SECOND, t.pending_at, t.delivered_at)) AS maxSeconds
+        FROM (
+            SELECT o.id,
+                   COALESCE(MIN(CASE WHEN h.to_status = 'pending' THEN h.created_at END), o.created_at) AS pending_at,
+                   MIN(CASE WHEN h.to_status = 'delivered' THEN h.created_at END) AS delivered_at
+            FROM orders o
+            JOIN order_status_history h ON h.order_id = o.id
+            WHERE ${SALES_FILTER}
+            GROUP BY o.id, o.created_at
+        ) t
+        WHERE t.delivered_at IS NOT NULL
+    `;
+    const rows = await runQuery(query, [range.from, range.to], 'getting delivery times');
+    return rows[0];
+}
+
+// One row per order for the CSV export, cancelled orders included
+async function getOrdersForExport(range) {
+    const query = `
+        SELECT o.id, o.created_at, o.tableId, o.tableLocation, o.status, o.payment_status, o.items,
+               o.subtotal, o.discount_total, o.service_charge, o.tax_total, o.totalPrice, o.amount_paid, o.tip_total
+        FROM orders o
+        WHERE o.created_at >= ? AND o.created_at < ?
+        ORDER BY o.created_at ASC
+    `;
+    return runQuery(query, [range.from, range.to], 'getting orders for export');
+}
+
+// ========== DISPATCH QUEUE ==========
+// One row per order that needs a robot. status: queued -> assigned (sent, waiting for the robot to accept)
+// -> delivering -> delivered; or cancelled / failed. dispatch-service.js drives the transitions.
+
+const ACTIVE_DISPATCH_STATUSES = ['queued', 'assigned', 'delivering'];
+
+// Queue order: priority first, then the manual position set through /api/dispatch/reorder, then age
+const DISPATCH_ORDER = 'priority DESC, position IS NULL, position ASC, queued_at ASC, id ASC';
+
+// A ready order is (re)queued; an order sent back to the kitchen and made ready again starts over
+async function enqueueDispatch(order, priority = 0) {
+    const query = `
+        INSERT INTO dispatch_queue (order_id, table_id, priority, status, queued_at, updated_at)
+        VALUES (?, ?, ?, 'queued', NOW(), NOW())
+        ON DUPLICATE KEY UPDATE status = 'queued', robot_id = NULL, batch_id = NULL, attempts = 0,
+            last_error = NULL, assigned_at = NULL, finished_at = NULL, queued_at = NOW(), updated_at = NOW()
+    `;
+    return runQuery(query, [order.id, String(order.tableId), priority], 'queueing order for dispatch');
+}
+
+// statuses: array, defaults to the entries that still need a robot
+async function getDispatchQueue(statuses = ACTIVE_DISPATCH_STATUSES) {
+    const query = `
+        SELECT dq.*, o.tableLocation, o.status AS order_status
+        FROM dispatch_queue dq
+        JOIN orders o ON o.id = dq.order_id
+        WHERE dq.status IN (?)
+        ORDER BY ${DISPATCH_ORDER}
+    `;
+    return runQuery(query, [statuses], 'getting dispatch queue');
+}
+
+async function getDispatchEntry(orderId) {
+    const rows = await runQuery('SELECT * FROM dispatch_queue WHERE order_id = ?', [orderId], 'getting dispatch entry');
+    return rows.length ? rows[0] : null;
+}
+
+// Only queued entries are taken, so an entry can never be handed to two robots
+async function assignDispatch(orderIds, robotId, batchId) {
+    const query = `
+        UPDATE dispatch_queue
+        SET status = 'assigned', robot_id = ?, batch_id = ?, attempts = attempts + 1,
+            assigned_at = NOW(), updated_at = NOW()
+        WHERE order_id IN (?) AND status = 'queued'
+    `;
+    return runQuery(query, [robotId, batchId, orderIds], 'assigning dispatch');
+}
+
+async function markBatchDelivering(batchId, robotId) {
+    const query = `
+        UPDATE dispatch_queue SET status = 'delivering', updated_at = NOW()
+        WHERE batch_id = ? AND robot_id = ? AND status = 'assigned'
+    `;
+    return runQuery(query, [batchId, robotId], 'marking dispatch delivering');
+}
+
+// Rejected, timed out or failed on the way: back in the queue, or 'failed' after maxAttempts
+async function requeueDispatch(orderIds, error, maxAttempts) {
+    const query = `
+        UPDATE dispatch_queue
+        SET status = IF(attempts >= ?, 'failed', 'queued'), last_error = ?, robot_id = IF(attempts >= ?, robot_id, NULL),
+            batch_id = NULL, assigned_at = NULL, finished_at = IF(attempts >= ?, NOW(), NULL), updated_at = NOW()
+        WHERE order_id IN (?) AND status IN ('assigned', 'delivering')
+    `;
+    return runQuery(query, [maxAttempts, error, maxAttempts, maxAttempts, orderIds], 'requeueing dispatch');
+}
+
+async function getTimedOutDispatches(seconds) {
+    const query = `
+        SELECT * FROM dispatch_queue
+        WHERE status = 'assigned' AND assigned_at < NOW() - INTERVAL ? SECOND
+    `;
+    return runQuery(query, [seconds], 'getting timed out dispatches');
+}
+
+// status: 'delivered', 'cancelled' or 'removed' (taken off the queue by hand)
+async function finishDispatch(orderId, status) {
+    const query = `
+        UPDATE dispatch_queue SET status = ?, finished_at = NOW(), updated_at = NOW()
+        WHERE order_id = ? AND status IN (?)
+    `;
+    return runQuery(query, [status, orderId, ACTIVE_DISPATCH_STATUSES], 'finishing dispatch');
+}
+
+async function setDispatchPriority(orderId, priority) {
+    const query = `
+        UPDATE dispatch_queue SET priority = ?, updated_at = NOW()
+        WHERE order_id = ? AND status = 'queued'
+    `;
+    return runQuery(query, [priority, orderId], 'setting dispatch priority');
+}
+
+// orderIds in the wanted order; the first gets position 1
+async function setDispatchPositions(orderIds) {
+    if (!orderIds.length) return;
+    const cases = orderIds.map(() => 'WHEN ? THEN ?').join(' ');
+    const query = `
+        UPDATE dispatch_queue SET position = CASE order_id ${cases} END, updated_at = NOW()
+        WHERE order_id IN (?) AND status = 'queued'
+    `;
+    const params = [...orderIds.flatMap((orderId, index) => [orderId, index + 1]), orderIds];
+    return runQuery(query, params, 'reordering dispatch queue');
+}
+
+async function retryDispatch(orderId) {
+    const query = `
+        UPDATE dispatch_queue
+        SET status = 'queued', attempts = 0, last_error = NULL, robot_id = NULL, finished_at = NULL, updated_at = NOW()
+        WHERE order_id = ? AND status = 'failed'
+    `;
+    return runQuery(query, [orderId], 'retrying dispatch');
+}
+
+// ========== ROBOTS ==========
+
+async function getRobots() {
+    return runQuery('SELECT * FROM robots ORDER BY id ASC', [], 'getting robots');
+}
+
+// robot: { id, name, capabilities (array), trayCapacity, firmware } from the robot's announcement
+async function upsertRobot(robot) {
+    const query = `
+        INSERT INTO robots (id, name, capabilities, tray_capacity, firmware, last_heartbeat, registered_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, NOW(), NOW(), NOW())
+        ON DUPLICATE KEY UPDATE name = VALUES(name), capabilities = VALUES(capabilities),
+            tray_capacity = VALUES(tray_capacity), firmware = VALUES(firmware),
+            last_heartbeat = NOW(), updated_at = NOW()
+    `;
+    const params = [robot.id, robot.name, JSON.stringify(robot.capabilities), robot.trayCapacity, robot.firmware];
+    return runQuery(query, params, 'saving robot');
+}
+
+// Status messages also register robots that never announced themselves
+async function updateRobotHeartbeat(robotId, status, battery) {
+    const query = `
+        INSERT INTO robots (id, status, battery, last_heartbeat, registered_at, updated_at)
+        VALUES (?, ?, ?, NOW(), NOW(), NOW())
+        ON DUPLICATE KEY UPDATE status = COALESCE(VALUES(status), status),
+            battery = COALESCE(VALUES(battery), battery), last_heartbeat = NOW(), updated_at = NOW()
+    `;
+    return runQuery(query, [robotId, status || null, battery === undefined ? null : battery], 'updating robot heartbeat');
+}
+
+async function deleteRobot(robotId) {
+    return runQuery('DELETE FROM robots WHERE id = ?', [robotId], 'deleting robot');
+}
+
+// ========== FLOOR PLAN ==========
+// Map poses (metres / radians in the robot's map frame) of tables, the kitchen pickup point and the dock
+
+async function getFloorLocations(type = null) {
+    const query = `
+        SELECT * FROM floor_locations
+        ${type ? 'WHERE type = ?' : ''}
+        ORDER BY type ASC, LENGTH(code) ASC, code ASC
+    `;
+    return runQuery(query, type ? [type] : [], 'getting floor locations');
+}
+
+async function getFloorLocation(type, code) {
+    const rows = await runQuery('SELECT * FROM floor_locations WHERE type = ? AND code = ?', [type, String(code)], 'getting floor location');
+    return rows[0] || null;
+}
+
+async function countFloorTables() {
+    const rows = await runQuery("SELECT COUNT(*) AS count FROM floor_locations WHERE type = 'table' AND active = 1", [], 'counting floor tables');
+    return rows[0].count;
+}
+
+// location: { type, code, name, x, y, theta, active }; an existing type + code is overwritten
+async function saveFloorLocation(location) {
+    const query = `
+        INSERT INTO floor_locations (type, code, name, x, y, theta, active, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+        ON DUPLICATE KEY UPDATE name = VALUES(name), x = VALUES(x), y = VALUES(y), theta = VALUES(theta),
+            active = VALUES(active), updated_at = NOW()
+    `;
+    const params = [
+        location.type, String(location.code), location.name || null,
+        location.x, location.y, location.theta || 0, location.active === false ? 0 : 1
+    ];
+    return runQuery(query, params, 'saving floor location');
+}
+
+async function deleteFloorLocation(type, code) {
+    return runQuery('DELETE FROM floor_locations WHERE type = ? AND code = ?', [type, String(code)], 'deleting floor location');
+}
+
+// ========== ROBOT TELEMETRY & ALERTS ==========
+
+// samples: [{ robotId, kind, status, battery, x, y, theta, orderId, data, recordedAt }]
+async function insertTelemetry(samples) {
+    if (!samples.length) return { affectedRows: 0 };
+    const query = `
+        INSERT INTO robot_telemetry (robot_id, kind, status, battery, x, y, theta, order_id, data, recorded_at)
+        VALUES ?
+    `;
+    const rows = samples.map(sample => [
+        sample.robotId, sample.kind, sample.status || null,
+        sample.battery === undefined ? null : sample.battery,
+        sample.x === undefined ? null : sample.x,
+        sample.y === undefined ? null : sample.y,
+        sample.theta === undefined ? null : sample.theta,
+        sample.orderId || null,
+        sample.data ? JSON.stringify(sample.data) : null,
+        sample.recordedAt
+    ]);
+    return runQuery(query, [rows], 'saving robot telemetry');
+}
+
+// filters: { robotId, kinds, orderId, from, to, limit } - oldest first
+async function getTelemetry(filters) {
+    const conditions = ['recorded_at >= ?', 'recorded_at < ?'];
+    const params = [filters.from, filters.to];
+
+    if (filters.robotId) {
+        conditions.push('robot_id = ?');
+        params.push(filters.robotId);
+    }
+    if (filters.kinds && filters.kinds.length) {
+        conditions.push('kind IN (?)');
+        params.push(filters.kinds);
+    }
+    if (filters.orderId) {
+        conditions.push('order_id = ?');
+        params.push(filters.orderId);
+    }
+
+    const query = `
+        SELECT * FROM robot_telemetry
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY recorded_at ASC, id ASC
+        LIMIT ?
+    `;
+    params.push(filters.limit);
+    return runQuery(query, params, 'getting robot telemetry');
+}
+
+async function purgeTelemetry(retentionDays) {
+    return runQuery('DELETE FROM robot_telemetry WHERE recorded_at < NOW() - INTERVAL ? DAY', [retentionDays], 'purging robot telemetry');
+}
+
+// alert: { robotId, type, severity, message, data }
+async function createRobotAlert(alert) {
+    const query = `
+        INSERT INTO robot_alerts (robot_id, type, severity, message, data, raised_at)
+        VALUES (?, ?, ?, ?, ?, NOW())
+    `;
+    const params = [alert.robotId, alert.type, alert.severity, alert.message.substring(0, 255), alert.data ? JSON.stringify(alert.data) : null];
+    const result = await runQuery(query, params, 'creating robot alert');
+    return result.insertId;
+}
+
+async function resolveRobotAlert(alertId) {
+    return runQuery('UPDATE robot_alerts SET resolved_at = NOW() WHERE id = ? AND resolved_at IS NULL', [alertId], 'resolving robot alert');
+}
+
+async function acknowledgeRobotAlert(alertId, username) {
+    const query = `
+        UPDATE robot_alerts SET acknowledged_by = ?, acknowledged_at = NOW()
+        WHERE id = ? AND acknowledged_at IS NULL
+    `;
+    return runQuery(query, [username, alertId], 'acknowledging robot alert');
+}
+
+// filters: { active, robotId, limit } - newest first
+async function getRobotAlerts(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.active) conditions.push('resolved_at IS NULL');
+    if (filters.robotId) {
+        conditions.push('robot_id = ?');
+        params.push(filters.robotId);
+    }
+
+    const query = `
+        SELECT * FROM robot_alerts
+        ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY raised_at DESC, id DESC
+        LIMIT ?
+    `;
+    params.push(filters.limit || 100);
+    return runQuery(query, params, 'getting robot alerts');
+}
+
+// When an order was handed to a robot and when it was delivered, for looking up its telemetry
+async function getOrderDeliveryWindow(orderId) {
+    const query = `
+        SELECT o.id, o.status, o.delivered_at, o.delivered_by, dq.robot_id, dq.assigned_at, dq.finished_at,
+            (SELECT MIN(h.created_at) FROM order_status_history h WHERE h.order_id = o.id AND h.to_status = 'ready') AS ready_at
+        FROM orders o
+        LEFT JOIN dispatch_queue dq ON dq.order_id = o.id
+        WHERE o.id = ?
+    `;
+    const rows = await runQuery(query, [orderId], 'getting order delivery window');
+    return rows[0] || null;
+}
+
+// ========== EMERGENCY STOP ==========
+
+async function createEmergencyStop(stop) {
+    const query = `
+        INSERT INTO emergency_stops (robot_id, source, reason, command_id, triggered_by, triggered_role, triggered_at)
+        VALUES (?, ?, ?, ?, ?, ?, NOW())
+    `;
+    const params = [stop.robotId || null, stop.source, stop.reason ? stop.reason.substring(0, 255) : null,
+        stop.commandId || null, stop.triggeredBy, stop.triggeredRole || null];
+    const result = await runQuery(query, params, 'creating emergency stop');
+    return result.insertId;
+}
+
+async function clearEmergencyStop(stopId, clear) {
+    const query = `
+        UPDATE emergency_stops SET cleared_by = ?, cleared_role = ?, clear_reason = ?, cleared_at = NOW()
+        WHERE id = ? AND cleared_at IS NULL
+    `;
+    return runQuery(query, [clear.clearedBy, clear.clearedRole, clear.reason.substring(0, 255), stopId], 'clearing emergency stop');
+}
+
+async function getActiveEmergencyStops() {
+    return runQuery('SELECT * FROM emergency_stops WHERE cleared_at IS NULL ORDER BY id', [], 'getting active emergency stops');
+}
+
+// filters: { robotId, limit } - newest first
+async function getEmergencyStops(filters = {}) {
+    const params = [];
+    let where = '';
+    if (filters.robotId) {
+        where = 'WHERE robot_id = ? OR robot_id IS NULL';
+        params.push(filters.robotId);
+    }
+
+    params.push(filters.limit || 100);
+    return runQuery(`SELECT * FROM emergency_stops ${where} ORDER BY triggered_at DESC, id DESC LIMIT ?`, params, 'getting emergency stops');
+}
+
+// ========== MQTT OUTBOX ==========
+
+async function insertOutboxMessage(message) {
+    const query = `
+        INSERT INTO mqtt_outbox (topic, payload, qos, retain, kind, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, NOW(), ?)
+    `;
+    const params = [message.topic, message.payload, message.qos, message.retain ? 1 : 0, message.kind, message.expiresAt || null];
+    const result = await runQuery(query, params, 'queueing MQTT message');
+    return result.insertId;
+}
+
+// A retained message replaces the state the broker keeps for its topic, so only the newest one is worth replaying
+async function deleteRetainedOutboxMessages(topic) {
+    return runQuery('DELETE FROM mqtt_outbox WHERE topic = ? AND retain = 1', [topic], 'dropping superseded MQTT messages');
+}
+
+async function getOutboxMessages(limit) {
+    return runQuery('SELECT * FROM mqtt_outbox ORDER BY id LIMIT ?', [limit], 'getting queued MQTT messages');
+}
+
+async function deleteOutboxMessage(id) {
+    return runQuery('DELETE FROM mqtt_outbox WHERE id = ?', [id], 'deleting queued MQTT message');
+}
+
+async function getOutboxDepth() {
+    const rows = await runQuery('SELECT COUNT(*) AS depth, MIN(created_at) AS oldest FROM mqtt_outbox', [], 'counting queued MQTT messages');
+    return { depth: rows[0].depth, oldest: rows[0].oldest };
+}
+
+// ========== KITCHEN DISPLAY ==========
+
+// Station of each menu item: its own, else its category's (NULL = the default station)
+async function getItemStations(itemIds) {
+    if (!itemIds.length) return [];
+    const query = `
+        SELECT mi.id, COALESCE(mi.station, mc.station) AS station
+        FROM menu_items mi
+        LEFT JOIN menu_categories mc ON mc.id = mi.category_id
+        WHERE mi.id IN (?)
+    `;
+    return runQuery(query, [itemIds], 'getting item stations');
+}
+
+// ticket: { orderId, tableId, station, targetMinutes, lines: [{ menuItemId, name, quantity, modifiers, notes }] }
+// Returns the ticket ID and the line IDs in the same order
+async function createKitchenTicket(ticket) {
+    const query = `
+        INSERT INTO kitchen_tickets (order_id, table_id, station, status, target_minutes, created_at, opened_at)
+        VALUES (?, ?, ?, 'open', ?, NOW(), NOW())
+    `;
+    const result = await runQuery(query, [ticket.orderId, ticket.tableId, ticket.station, ticket.targetMinutes], 'creating kitchen ticket');
+
+    const lineIds = [];
+    for (const line of ticket.lines) {
+        const lineQuery = `
+            INSERT INTO kitchen_ticket_lines (ticket_id, menu_item_id, name, quantity, modifiers, notes, status)
+            VALUES (?, ?, ?, ?, ?, ?, 'queued')
+        `;
+        const params = [result.insertId, line.menuItemId || null, line.name.substring(0, 100), line.quantity,
+            line.modifiers ? line.modifiers.substring(0, 500) : null, line.notes || null];
+        const lineResult = await runQuery(lineQuery, params, 'creating kitchen ticket line');
+        lineIds.push(lineResult.insertId);
+    }
+
+    return { ticketId: result.insertId, lineIds };
+}
+
+// filters: { statuses, orderId, station, limit } - tickets with their lines, oldest first
+async function getKitchenTickets(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.statuses) {
+        conditions.push('status IN (?)');
+        params.push(filters.statuses);
+    }
+    if (filters.orderId) {
+        conditions.push('order_id = ?');
+        params.push(filters.orderId);
+    }
+    if (filters.station) {
+        conditions.push('station = ?');
+        params.push(filters.station);
+    }
+
+    // Newest first when limited (recently done tickets), then back into timer order
+    const limit = filters.limit ? 'ORDER BY done_at DESC, id DESC LIMIT ' + parseInt(filters.limit) : '';
+    const tickets = await runQuery(`
+        SELECT * FROM kitchen_tickets
+        ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ${limit}
+    `, params, 'getting kitchen tickets');
+    if (!tickets.length) return [];
+
+    tickets.sort((a, b) => new Date(a.opened_at) - new Date(b.opened_at) || a.id - b.id);
+    const lines = await runQuery('SELECT * FROM kitchen_ticket_lines WHERE ticket_id IN (?) ORDER BY id',
+        [tickets.map(ticket => ticket.id)], 'getting kitchen ticket lines');
+    tickets.forEach(ticket => {
+        ticket.lines = lines.filter(line => line.ticket_id === ticket.id);
+    });
+    return tickets;
+}
+
+async function updateKitchenTicket(ticket) {
+    const query = `
+        UPDATE kitchen_tickets SET status = ?, opened_at = ?, started_at = ?, done_at = ?, overdue_at = ?
+        WHERE id = ?
+    `;
+    const params = [ticket.status, ticket.opened_at, ticket.started_at, ticket.done_at, ticket.overdue_at, ticket.id];
+    return runQuery(query, params, 'updating kitchen ticket');
+}
+
+async function updateKitchenTicketLine(line) {
+    const query = `
+        UPDATE kitchen_ticket_lines SET status = ?, started_at = ?, started_by = ?, done_at = ?, done_by = ?
+        WHERE id = ?
+    `;
+    const params = [line.status, line.started_at, line.started_by, line.done_at, line.done_by, line.id];
+    return runQuery(query, params, 'updating kitchen ticket line');
+}
+
+// ========== TABLE TOKENS ==========
+
+// With the status of the session it belongs to (NULL while not bound)
+const TABLE_TOKEN_SELECT = `
+    SELECT tt.*, ts.status AS session_status
+    FROM table_tokens tt
+    LEFT JOIN table_sessions ts ON ts.id = tt.session_id
+`;
+
+// token: { tableId, restaurantId, nonce, sessionBound, sessionId, createdBy }
+async function createTableToken(token) {
+    const query = `
+        INSERT INTO table_tokens (table_id, restaurant_id, nonce, session_bound, session_id, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, NOW())
+    `;
+    const params = [String(token.tableId), token.restaurantId || null, token.nonce, token.sessionBound ? 1 : 0,
+        token.sessionId || null, token.createdBy || null];
+    const result = await runQuery(query, params, 'creating table token');
+    return result.insertId;
+}
+
+async function getTableTokenByNonce(nonce) {
+    const rows = await runQuery(`${TABLE_TOKEN_SELECT} WHERE tt.nonce = ?`, [nonce], 'getting table token');
+    return rows[0] || null;
+}
+
+// Tokens not revoked, newest first; all tables when tableId is null
+async function getActiveTableTokens(tableId = null) {
+    const query = `
+        ${TABLE_TOKEN_SELECT}
+        WHERE tt.revoked_at IS NULL ${tableId !== null ? 'AND tt.table_id = ?' : ''}
+        ORDER BY LENGTH(tt.table_id) ASC, tt.table_id ASC, tt.id DESC
+    `;
+    return runQuery(query, tableId !== null ? [String(tableId)] : [], 'getting table tokens');
+}
+
+// Resolves with the number of tokens revoked
+async function revokeTableTokens(tableId, revokedBy) {
+    const query = `
+        UPDATE table_tokens SET revoked_at = NOW(), revoked_by = ?
+        WHERE table_id = ? AND revoked_at IS NULL
+    `;
+    const result = await runQuery(query, [revokedBy || null, String(tableId)], 'revoking table tokens');
+    return result.affectedRows;
+}
+
+// First order with a session-bound token ties it to that order's session
+async function bindTableToken(id, sessionId) {
+    const query = 'UPDATE table_tokens SET session_id = ? WHERE id = ? AND session_id IS NULL';
+    return runQuery(query, [sessionId, id], 'binding table token to session');
+}
+
+// Export both individual functions and the connection
+module.exports = {
+    // Export the connection for direct use in routes
+    query: connection.query.bind(connection),
+    withTransaction,
+    
+    // Export all async functions
+    createOrder,
+    getAllOrders,
+    getPendingOrders,
+    getOrdersByStatus,
+    getRecentOrders,
+    getOrderById,
+    updateOrderStatus,
+    getOrderStatusHistory,
+    getAllUsers, 
+    getUserById,
+    getUserByUsername,
+    countAdminsWithPassword,
+    createUser, 
+    updateUser, 
+    setUserPassword,
+    deleteUser,
+    ensureSchema,
+    
+    // Menu catalog
+    getMenuCategories,
+    createMenuCategory,
+    updateMenuCategory,
+    deleteMenuCategory,
+    getMenuItems,
+    getMenuItemById,
+    getMenuItemsByIds,
+    createMenuItem,
+    updateMenuItem,
+    setMenuItemAvailability,
+    deleteMenuItem,
+    getModifiersForItems,
+    createMenuModifier,
+    updateMenuModifier,
+    deleteMenuModifier,
+    
+    // Pricing & discounts
+    getItemCategoryRates,
+    getActiveDiscounts,
+    getDiscounts,
+    getDiscountById,
+    createDiscount,
+    updateDiscount,
+    deleteDiscount,
+    
+    // Payments
+    createPayment,
+    getPaymentById,
+    getPaymentsForOrder,
+    getRefundedTotals,
+    refreshOrderPaymentStatus,
+    getOrderPaymentSummary,
+    getUnpaidOrders,
+    
+    // Table sessions
+    getOrOpenTableSession,
+    getOpenTableSession,
+    getTableSessionById,
+    getTableSessions,
+    getOrdersBySession,
+    lockSessionOrders,
+    closeTableSession,
+    
+    // Settings & invoices
+    getSettings,
+    saveSettings,
+    getInvoice,
+    getOrderInvoices,
+    createInvoice,
+    
+    // Reports
+    getSalesSummary,
+    getRevenueByPeriod,
+    getOrdersPerTable,
+    getSoldItems,
+    getDeliveryTimes,
+    getOrdersForExport,
+    
+    // Dispatch queue
+    enqueueDispatch,
+    getDispatchQueue,
+    getDispatchEntry,
+    assignDispatch,
+    markBatchDelivering,
+    requeueDispatch,
+    getTimedOutDispatches,
+    finishDispatch,
+    setDispatchPriority,
+    setDispatchPositions,
+    retryDispatch,
+    
+    // Robots
+    getRobots,
+    upsertRobot,
+    updateRobotHeartbeat,
+    deleteRobot,
+
+    // Floor plan
+    getFloorLocations,
+    getFloorLocation,
+    countFloorTables,
+    saveFloorLocation,
+    deleteFloorLocation,
+
+    // Robot telemetry & alerts
+    insertTelemetry,
+    getTelemetry,
+    purgeTelemetry,
+    createRobotAlert,
+    resolveRobotAlert,
+    acknowledgeRobotAlert,
+    getRobotAlerts,
+    getOrderDeliveryWindow,
+
+    // Emergency stop
+    createEmergencyStop,
+    clearEmergencyStop,
+    getActiveEmergencyStops,
+    getEmergencyStops,
+
+    // MQTT outbox
+    insertOutboxMessage,
+    deleteRetainedOutboxMessages,
+    getOutboxMessages,
+    deleteOutboxMessage,
+    getOutboxDepth,
+
+    // Kitchen display
+    getItemStations,
+    createKitchenTicket,
+    getKitchenTickets,
+    updateKitchenTicket,
+    updateKitchenTicketLine,
+    
+    // Table tokens (QR)
+    createTableToken,
+    getTableTokenByNonce,
+    getActiveTableTokens,
+    revokeTableTokens,
+    bindTableToken,
+    
+    // Export helper functions
+    processOrderItems,
+    calculateTotalPrice,
+    resolveMenuItems,
+    getItemKey,
+    
+    // Export the connection itself
+    connection: connection
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+// discountRouter.js
+// Discounts applied by pricing.js when an order is submitted.
+// { name: 'Happy hour', type: 'percent', value: 20, timeFrom: '16:00', timeTo: '18:00', days: [1, 2, 3, 4, 5] }
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js');
+const { requirePermission } = require('./permissions');
+const { DISCOUNT_TYPES } = require('./pricing');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function optionalNumber(value, parse = parseFloat) {
+  return value === undefined || value === null || value === '' ? null : parse(value);
+}
+
+function discountFromBody(body) {
+  const days = Array.isArray(body.days) ? body.days.join(',') : body.days;
+
+  return {
+    name: body.name,
+    type: body.type,
+    value: optionalNumber(body.value) || 0,
+    buy_quantity: optionalNumber(body.buyQuantity, parseInt),
+    get_quantity: optionalNumber(body.getQuantity, parseInt),
+    menu_item_id: optionalNumber(body.menuItemId, parseInt),
+    category_id: optionalNumber(body.categoryId, parseInt),
+    min_subtotal: optionalNumber(body.minSubtotal),
+    code: body.code ? String(body.code).trim().toUpperCase() : null,
+    starts_at: body.startsAt ? new Date(body.startsAt) : null,
+    ends_at: body.endsAt ? new Date(body.endsAt) : null,
+    time_from: body.timeFrom || null,
+    time_to: body.timeTo || null,
+    days: days === undefined || days === null || days === '' ? null : String(days),
+    active: body.active === false ? 0 : 1
+  };
+}
+
+function validateDiscount(discount) {
+  if (!discount.name) {
+    return { valid: false, message: 'Discount name is required' };
+  }
+
+  if (!DISCOUNT_TYPES.includes(discount.type)) {
+    return { valid: false, message: 'Invalid discount type. Allowed: ' + DISCOUNT_TYPES.join(', ') };
+  }
+
+  if (discount.type === 'percent' && !(discount.value > 0 && discount.value <= 100)) {
+    return { valid: false, message: 'Percentage discounts need a value between 0 and 100' };
+  }
+
+  if (discount.type === 'fixed' && !(discount.value > 0)) {
+    return { valid: false, message: 'Fixed discounts need a value greater than 0' };
+  }
+
+  if (discount.type === 'bogo' && !(discount.buy_quantity > 0 && discount.get_quantity > 0)) {
+    return { valid: false, message: 'Buy-X-get-Y discounts need buyQuantity and getQuantity greater than 0' };
+  }
+
+  if ([discount.starts_at, discount.ends_at].some(date => date && isNaN(date.getTime()))) {
+    return { valid: false, message: 'startsAt and endsAt must be valid dates' };
+  }
+
+  if (Boolean(discount.time_from) !== Boolean(discount.time_to) ||
+      [discount.time_from, discount.time_to].some(time => time && !TIME_PATTERN.test(time))) {
+    return { valid: false, message: 'timeFrom and timeTo must both be set as HH:MM' };
+  }
+
+  if (discount.days && !discount.days.split(',').every(day => /^[0-6]$/.test(day.trim()))) {
+    return { valid: false, message: 'days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)' };
+  }
+
+  return { valid: true };
+}
+
+router.get('/', requirePermission('discounts:manage'), async (req, res) => {
+  try {
+    const discounts = await db.getDiscounts();
+    res.json({ success: true, count: discounts.length, discounts });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get discounts', error: err.message });
+  }
+});
+
+router.post('/', requirePermission('discounts:manage'), async (req, res) => {
+  try {
+    const discount = discountFromBody(req.body);
+    const validation = validateDiscount(discount);
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const id = await db.createDiscount(discount);
+    res.status(201).json({ success: true, id, message: 'Discount added' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'Discount code already exists' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to add discount', error: err.message });
+  }
+});
+
+router.put('/:id', requirePermission('discounts:manage'), async (req, res) => {
+  try {
+    const discount = discountFromBody(req.body);
+    const validation = validateDiscount(discount);
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const result = await db.updateDiscount(req.params.id, discount);
+    if (result.affectedRows === 0) return res.status(404).json({ success: false, message: 'Discount not found' });
+
+    res.json({ success: true, message: 'Discount updated' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'Discount code already exists' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update discount', error: err.message });
+  }
+});
+
+router.delete('/:id', requirePermission('discounts:manage'), async (req, res) => {
+  try {
+    await db.deleteDiscount(req.params.id);
+    res.json({ success: true, message: 'Discount deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to delete discount', error: err.message });
+  }
+});
+
+module.exports = router;
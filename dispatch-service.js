@@ -0,0 +1,344 @@
+// dispatch-service.js
+// Delivery dispatch queue. Ready orders are stored in dispatch_queue and handed to a robot only when
+// one reports idle on /cafe/robot/{id}/status. Orders for neighbouring tables share one trip, and a trip
+// the robot rejects, does not accept in time, fails on the way, or drops (idle again with orders still on the way)
+// goes back into the queue.
+const db = require('./db.js');
+const { tablePose, tripPoses } = require('./floor-plan');
+const { audience, emitTo, publishTracking } = require('./realtime');
+
+const PRIORITIES = { low: -1, normal: 0, high: 1, urgent: 2 };
+
+// Robot statuses that mean "ready for a new trip"
+const IDLE_STATUSES = ['idle', 'available'];
+
+function priorityName(value) {
+  return Object.keys(PRIORITIES).find(name => PRIORITIES[name] === value) || String(value);
+}
+
+function formatEntry(entry) {
+  return {
+    orderId: entry.order_id,
+    tableId: entry.table_id,
+    tableLocation: entry.tableLocation,
+    priority: priorityName(entry.priority),
+    position: entry.position,
+    status: entry.status,
+    robotId: entry.robot_id,
+    batchId: entry.batch_id,
+    attempts: entry.attempts,
+    lastError: entry.last_error,
+    queuedAt: entry.queued_at,
+    assignedAt: entry.assigned_at
+  };
+}
+
+class DispatchService {
+  constructor(mqttService, options = {}) {
+    this.mqttService = mqttService;
+    this.io = null;
+    this.registry = null;
+    this.emergencyStop = null;
+
+    this.options = {
+      ackTimeout: options.ackTimeout || parseInt(process.env.DISPATCH_ACK_TIMEOUT) || 30,     // seconds
+      maxAttempts: options.maxAttempts || parseInt(process.env.DISPATCH_MAX_ATTEMPTS) || 5,
+      maxBatchSize: options.maxBatchSize || parseInt(process.env.DISPATCH_MAX_BATCH) || 3,    // upper limit; robots announce their own tray capacity
+      batchTableDistance: options.batchTableDistance !== undefined
+        ? options.batchTableDistance
+        : (parseInt(process.env.DISPATCH_BATCH_DISTANCE) || 1),                                // table numbers apart
+      minBattery: options.minBattery || 20,
+      // seconds a robot may report idle while its trip still shows 'delivering' (the delivery/complete may be on its way)
+      idleGrace: options.idleGrace || parseInt(process.env.DISPATCH_IDLE_GRACE) || 15
+    };
+
+    // robotId -> { status, battery, lastSeen, batchId, idleSince } from the robots' own status messages
+    this.robots = new Map();
+    this.dispatching = false;
+    this.dispatchAgain = false;
+    this.timer = null;
+    // orderId -> queue status last broadcast, to tell customers when their order goes on the way
+    this.trackedStatuses = new Map();
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  setRobotRegistry(registry) {
+    this.registry = registry;
+  }
+
+  // No trips while an emergency stop is active; the queue is worked off again on resume
+  setEmergencyStop(emergencyStop) {
+    this.emergencyStop = emergencyStop;
+    emergencyStop.on('resumed', () => this.dispatch());
+  }
+
+  batchSize(robotId) {
+    const trayCapacity = this.registry && this.registry.trayCapacity(robotId);
+    return trayCapacity ? Math.min(trayCapacity, this.options.maxBatchSize) : this.options.maxBatchSize;
+  }
+
+  start() {
+    this.mqttService.on('robotStatus', data => this.handleRobotStatus(data));
+    this.mqttService.on('deliveryStatus', data => this.handleDeliveryStatus(data));
+    this.mqttService.on('connected', () => this.dispatch());
+
+    this.timer = setInterval(() => this.checkTimeouts(), 5000);
+    this.timer.unref();
+    console.log('🚚 Dispatch service started', this.options);
+  }
+
+  // ========== QUEUE ==========
+
+  async enqueue(order, priority = 'normal') {
+    await db.enqueueDispatch(order, PRIORITIES[priority] || 0);
+    console.log(`🚚 Order #${order.id} for table ${order.tableId} queued for delivery`);
+    await this.queueChanged();
+    this.dispatch();
+  }
+
+  // The order left the queue another way: delivered, cancelled, sent back to the kitchen
+  async finish(orderId, status) {
+    const result = await db.finishDispatch(orderId, status);
+    if (result.affectedRows > 0) {
+      console.log(`🚚 Dispatch for order #${orderId} finished: ${status}`);
+      await this.queueChanged();
+    }
+    return result.affectedRows > 0;
+  }
+
+  async getQueue() {
+    const entries = await db.getDispatchQueue();
+    return entries.map(formatEntry);
+  }
+
+  getRobots() {
+    return [...this.robots.entries()].map(([robotId, robot]) => ({ robotId, ...robot }));
+  }
+
+  async queueChanged() {
+    if (!this.io) return;
+    try {
+      const queue = await this.getQueue();
+      emitTo(this.io, audience('dispatch:read'), 'dispatch_queue_updated', { queue, robots: this.getRobots() });
+
+      queue
+        .filter(entry => this.trackedStatuses.get(entry.orderId) !== entry.status)
+        .forEach(entry => publishTracking(this.io, entry.orderId));
+      this.trackedStatuses = new Map(queue.map(entry => [entry.orderId, entry.status]));
+    } catch (error) {
+      console.error('❌ Failed to broadcast dispatch queue:', error);
+    }
+  }
+
+  // ========== ROBOT MESSAGES ==========
+
+  handleRobotStatus(data) {
+    const robotId = data.robotId || data.robot_id || 'robot';
+    const robot = this.robots.get(robotId) || {};
+    const idle = IDLE_STATUSES.includes(data.status);
+
+    this.robots.set(robotId, {
+      status: data.status || robot.status,
+      battery: data.battery !== undefined ? data.battery : robot.battery,
+      lastSeen: new Date().toISOString(),
+      // A robot that is idle again has finished (or dropped) its trip - see droppedTrips
+      batchId: idle ? null : robot.batchId,
+      idleSince: idle ? robot.idleSince || Date.now() : null
+    });
+
+    // Robots that never send 'accepted' still count as accepting once they start driving
+    if (data.status === 'delivering' && robot.batchId) {
+      db.markBatchDelivering(robot.batchId, robotId)
+        .then(() => this.queueChanged())
+        .catch(error => console.error('❌ Error marking trip delivering:', error));
+    }
+
+    if (idle) this.dispatch();
+  }
+
+  async handleDeliveryStatus(data) {
+    const robotId = data.robotId || data.robot_id || 'robot';
+    const batchId = data.batchId || (this.robots.get(robotId) || {}).batchId;
+    if (!batchId) return;
+
+    try {
+      if (data.status === 'accepted' || data.status === 'en_route') {
+        const robot = this.robots.get(robotId);
+        if (robot) robot.idleSince = null; // on its way, whatever the last status message said
+        await db.markBatchDelivering(batchId, robotId);
+      } else if (data.status === 'rejected' || data.status === 'failed') {
+        // Not offered anything again until it reports idle
+        const robot = this.robots.get(robotId);
+        if (robot) Object.assign(robot, { status: data.status, batchId: null });
+
+        const orderIds = data.order_id || data.orderId
+          ? [parseInt(data.order_id || data.orderId)]
+          : (await db.getDispatchQueue(['assigned', 'delivering'])).filter(entry => entry.batch_id === batchId).map(entry => entry.order_id);
+        await this.requeue(orderIds, `${robotId} ${data.status}${data.reason ? `: ${data.reason}` : ''}`);
+      } else {
+        return;
+      }
+      await this.queueChanged();
+    } catch (error) {
+      console.error('❌ Error handling delivery status:', error);
+    }
+  }
+
+  async requeue(orderIds, reason) {
+    if (!orderIds.length) return;
+    console.warn(`🔁 Requeueing order(s) ${orderIds.join(', ')}: ${reason}`);
+    await db.requeueDispatch(orderIds, reason.substring(0, 255), this.options.maxAttempts);
+
+    const failed = (await Promise.all(orderIds.map(orderId => db.getDispatchEntry(orderId))))
+      .filter(entry => entry && entry.status === 'failed');
+    if (failed.length && this.io) {
+      failed.forEach(entry => emitTo(this.io, audience('dispatch:read'), 'dispatch_failed', {
+        orderId: entry.order_id,
+        attempts: entry.attempts,
+        error: entry.last_error,
+        timestamp: new Date().toISOString()
+      }));
+    }
+  }
+
+  // Entries still 'delivering' with a robot that has been idle for idleGrace: it restarted or gave up on the trip
+  // without reporting 'failed', so nobody would deliver them
+  async droppedTrips() {
+    const delivering = await db.getDispatchQueue(['delivering']);
+    return delivering.filter(entry => {
+      const robot = this.robots.get(entry.robot_id);
+      return robot && robot.idleSince && Date.now() - robot.idleSince >= this.options.idleGrace * 1000;
+    });
+  }
+
+  async checkTimeouts() {
+    try {
+      const timedOut = await db.getTimedOutDispatches(this.options.ackTimeout);
+      const dropped = await this.droppedTrips();
+      if (!timedOut.length && !dropped.length) return;
+
+      // Offered again to someone else; the silent robot gets work once it reports idle again
+      timedOut.forEach(entry => {
+        const robot = this.robots.get(entry.robot_id);
+        if (robot && robot.batchId === entry.batch_id) Object.assign(robot, { status: 'unresponsive', batchId: null });
+      });
+      await this.requeue(timedOut.map(entry => entry.order_id), 'robot did not accept the trip in time');
+      await this.requeue(dropped.map(entry => entry.order_id), 'robot went idle without finishing the trip');
+      await this.queueChanged();
+      this.dispatch();
+    } catch (error) {
+      console.error('❌ Error checking dispatch timeouts:', error);
+    }
+  }
+
+  // ========== ASSIGNMENT ==========
+
+  isAvailable(robot) {
+    return IDLE_STATUSES.includes(robot.status) && !robot.batchId &&
+      (robot.battery === undefined || robot.battery === null || robot.battery > this.options.minBattery);
+  }
+
+  isAdjacent(first, other) {
+    if (first.table_id === other.table_id) return true;
+    const a = parseInt(first.table_id);
+    const b = parseInt(other.table_id);
+    return !isNaN(a) && !isNaN(b) && Math.abs(a - b) <= this.options.batchTableDistance;
+  }
+
+  // Runs one pass at a time; calls made meanwhile trigger one more pass
+  async dispatch() {
+    if (this.dispatching) {
+      this.dispatchAgain = true;
+      return;
+    }
+    this.dispatching = true;
+
+    try {
+      do {
+        this.dispatchAgain = false;
+        await this.assignQueued();
+      } while (this.dispatchAgain);
+    } catch (error) {
+      console.error('❌ Dispatch error:', error);
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  async assignQueued() {
+    if (!this.mqttService.isConnected) return;
+
+    const idleRobots = [...this.robots.entries()]
+      .filter(([robotId, robot]) => this.isAvailable(robot) && !(this.emergencyStop && this.emergencyStop.isStopped(robotId)));
+    if (!idleRobots.length) return;
+
+    const queue = await db.getDispatchQueue(['queued']);
+    for (const [robotId, robot] of idleRobots) {
+      if (!queue.length) break;
+
+      const first = queue.shift();
+      const batch = [first];
+      const batchSize = this.batchSize(robotId);
+      for (let i = 0; i < queue.length && batch.length < batchSize; ) {
+        if (this.isAdjacent(first, queue[i])) {
+          batch.push(queue.splice(i, 1)[0]);
+        } else {
+          i++;
+        }
+      }
+
+      await this.assign(robotId, robot, batch);
+    }
+  }
+
+  async assign(robotId, robot, entries) {
+    const orderIds = entries.map(entry => entry.order_id);
+    const batchId = `trip-${orderIds[0]}-${Date.now().toString(36)}`;
+
+    const result = await db.assignDispatch(orderIds, robotId, batchId);
+    if (result.affectedRows === 0) return;
+    Object.assign(robot, { batchId, idleSince: null });
+
+    try {
+      const orders = (await Promise.all(orderIds.map(orderId => db.getOrderById(orderId)))).filter(Boolean);
+      const poses = await Promise.all(orders.map(order => tablePose(order.tableId)));
+      await this.mqttService.sendDeliveryBatch(robotId, batchId, orders.map((order, index) => ({
+        id: order.id,
+        table_id: order.tableId,
+        table_location: order.tableLocation || `Table ${order.tableId} Location`,
+        table_pose: poses[index],
+        items: order.items,
+        total_price: order.totalPrice,
+        priority: priorityName(entries.find(entry => entry.order_id === order.id).priority),
+        created_at: order.created_at,
+        status: order.status
+      })), await tripPoses());
+
+      console.log(`🚀 Trip ${batchId}: order(s) ${orderIds.join(', ')} assigned to ${robotId}`);
+      if (this.io) {
+        orderIds.forEach(orderId => emitTo(this.io, audience('dispatch:read'), 'order_sent_to_robot', {
+          success: true,
+          orderId,
+          robotId,
+          batchId,
+          message: `سفارش #${orderId} برای ربات ${robotId} ارسال شد`,
+          timestamp: new Date().toISOString()
+        }));
+      }
+    } catch (error) {
+      console.error(`❌ Failed to send trip ${batchId} to ${robotId}:`, error);
+      robot.batchId = null;
+      await this.requeue(orderIds, `sending to ${robotId} failed: ${error.message}`);
+    }
+
+    await this.queueChanged();
+  }
+}
+
+module.exports = {
+  DispatchService,
+  PRIORITIES
+};
@@ -0,0 +1,98 @@
+// dispatchRouter.js
+// Inspect and reorder the delivery dispatch queue (dispatch-service.js)
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js');
+const { requirePermission } = require('./permissions');
+const { PRIORITIES } = require('./dispatch-service');
+
+let dispatchService;
+
+function setDispatchService(service) {
+  dispatchService = service;
+}
+
+// Re-broadcast the queue and let the change (e.g. a new first order) reach an idle robot
+async function queueChanged() {
+  await dispatchService.queueChanged();
+  dispatchService.dispatch();
+}
+
+router.get('/', requirePermission('dispatch:read'), async (req, res) => {
+  try {
+    const queue = await dispatchService.getQueue();
+    res.json({ success: true, count: queue.length, queue, robots: dispatchService.getRobots() });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get dispatch queue', error: err.message });
+  }
+});
+
+// { priority: 'low' | 'normal' | 'high' | 'urgent' } - only while the order is still waiting
+router.patch('/:orderId/priority', requirePermission('dispatch:manage'), async (req, res) => {
+  try {
+    const { priority } = req.body;
+    if (!(priority in PRIORITIES)) {
+      return res.status(400).json({ success: false, message: 'Invalid priority. Allowed: ' + Object.keys(PRIORITIES).join(', ') });
+    }
+
+    const result = await db.setDispatchPriority(req.params.orderId, PRIORITIES[priority]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Order is not waiting in the dispatch queue' });
+    }
+
+    await queueChanged();
+    res.json({ success: true, message: `Order #${req.params.orderId} priority set to ${priority}` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to set priority', error: err.message });
+  }
+});
+
+// { orderIds: [12, 9, 15] } - the new order of waiting orders with the same priority
+router.post('/reorder', requirePermission('dispatch:manage'), async (req, res) => {
+  try {
+    const { orderIds } = req.body;
+    if (!Array.isArray(orderIds) || !orderIds.length || !orderIds.every(id => Number.isInteger(id) && id > 0)) {
+      return res.status(400).json({ success: false, message: 'orderIds must be a non-empty array of order ids' });
+    }
+    if (new Set(orderIds).size !== orderIds.length) {
+      return res.status(400).json({ success: false, message: 'orderIds must not contain duplicates' });
+    }
+
+    await db.setDispatchPositions(orderIds);
+    await queueChanged();
+    res.json({ success: true, message: 'Dispatch queue reordered', queue: await dispatchService.getQueue() });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to reorder dispatch queue', error: err.message });
+  }
+});
+
+// Put a failed order back into the queue with fresh attempts
+router.post('/:orderId/retry', requirePermission('dispatch:manage'), async (req, res) => {
+  try {
+    const result = await db.retryDispatch(req.params.orderId);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'No failed dispatch for this order' });
+    }
+
+    await queueChanged();
+    res.json({ success: true, message: `Order #${req.params.orderId} queued again` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to retry dispatch', error: err.message });
+  }
+});
+
+// Take an order off the queue, e.g. because staff carry it out themselves
+router.delete('/:orderId', requirePermission('dispatch:manage'), async (req, res) => {
+  try {
+    const removed = await dispatchService.finish(req.params.orderId, 'removed');
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Order is not in the dispatch queue' });
+    }
+    res.json({ success: true, message: `Order #${req.params.orderId} removed from the dispatch queue` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to remove order from dispatch queue', error: err.message });
+  }
+});
+
+module.exports = router;
+module.exports.setDispatchService = setDispatchService;
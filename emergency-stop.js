@@ -0,0 +1,249 @@
+// emergency-stop.js
+// Emergency stop state held by the server. While a stop is in force (for one robot or the whole fleet):
+//   - it stays retained on the emergency topic and is published again every `repeatInterval` seconds and after
+//     every reconnect to the broker, so a robot that missed it or restarted stops as well
+//   - dispatch-service.js hands out no trips and motion commands are refused (423)
+// Clearing it needs robot:emergency-resume and a reason. Every stop and resume is kept in emergency_stops,
+// which is the audit log of who triggered and who cleared it.
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const db = require('./db.js');
+const { staff, emitTo } = require('./realtime');
+
+const FLEET = '*';
+
+function formatStop(row) {
+  return {
+    id: row.id,
+    robotId: row.robot_id,
+    scope: row.robot_id ? 'robot' : 'fleet',
+    source: row.source,
+    reason: row.reason,
+    commandId: row.command_id,
+    triggeredBy: row.triggered_by,
+    triggeredRole: row.triggered_role,
+    triggeredAt: row.triggered_at,
+    clearedBy: row.cleared_by,
+    clearedRole: row.cleared_role,
+    clearReason: row.clear_reason,
+    clearedAt: row.cleared_at,
+    active: !row.cleared_at
+  };
+}
+
+function emergencyError(code, message, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function scopeLabel(robotId) {
+  return robotId ? `robot ${robotId}` : 'the whole fleet';
+}
+
+class EmergencyStop extends EventEmitter {
+  constructor(mqttService, options = {}) {
+    super();
+    this.mqttService = mqttService;
+    this.io = null;
+
+    this.options = {
+      repeatInterval: options.repeatInterval || parseInt(process.env.EMERGENCY_REPEAT_INTERVAL) || 10 // seconds
+    };
+
+    // robotId (FLEET for the whole fleet) -> emergency_stops row still in force
+    this.active = new Map();
+    this.timer = null;
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  // Stops that were in force when the server went down stay in force
+  async start() {
+    const rows = await db.getActiveEmergencyStops();
+    rows.forEach(row => this.active.set(row.robot_id || FLEET, { ...row, published: true }));
+    if (rows.length) {
+      console.warn(`🛑 ${rows.length} emergency stop(s) still in force: ${rows.map(row => scopeLabel(row.robot_id)).join(', ')}`);
+    }
+
+    this.mqttService.on('emergency', data => this.handleRobotEmergency(data));
+    this.mqttService.on('connected', () => this.repeat());
+
+    this.timer = setInterval(() => this.repeat(), this.options.repeatInterval * 1000);
+    this.timer.unref();
+    this.repeat();
+    console.log('🛑 Emergency stop service started', this.options);
+  }
+
+  isStopped(robotId) {
+    return this.active.has(FLEET) || (Boolean(robotId) && this.active.has(robotId));
+  }
+
+  // For anything that would make a robot move
+  assertNotStopped(robotId) {
+    if (this.active.has(FLEET)) {
+      throw emergencyError('EMERGENCY_STOP_ACTIVE', 'Emergency stop is active for the whole fleet', 423);
+    }
+    if (robotId && this.active.has(robotId)) {
+      throw emergencyError('EMERGENCY_STOP_ACTIVE', `Emergency stop is active for robot ${robotId}`, 423);
+    }
+  }
+
+  getState() {
+    return {
+      fleetStopped: this.active.has(FLEET),
+      stops: [...this.active.values()].map(formatStop)
+    };
+  }
+
+  // filters: { robotId, limit }
+  async history(filters = {}) {
+    const rows = await db.getEmergencyStops(filters);
+    return rows.map(formatStop);
+  }
+
+  // user: { username, role } - a robot that stopped itself is recorded as { username: robotId, role: 'robot' }
+  async trigger({ robotId = null, reason, source, user }) {
+    const key = robotId || FLEET;
+    const existing = this.active.get(key);
+    if (existing) {
+      // Pressed again: send it once more, the audit log already has it. A resume on its way is called off
+      existing.resuming = false;
+      await this.publishStop(existing).catch(error => console.error('❌ Failed to repeat emergency stop:', error.message));
+      return { stop: formatStop(existing), alreadyActive: true };
+    }
+
+    // Recorded before publishing: the stop holds (and is repeated once the broker is back) even if it
+    // cannot be sent right now
+    const row = {
+      robot_id: robotId,
+      source,
+      reason: reason || 'Manual emergency stop triggered',
+      command_id: crypto.randomUUID(),
+      triggered_by: user.username,
+      triggered_role: user.role,
+      triggered_at: new Date(),
+      cleared_by: null,
+      cleared_role: null,
+      clear_reason: null,
+      cleared_at: null,
+      published: false
+    };
+    row.id = await db.createEmergencyStop({
+      robotId,
+      source,
+      reason: row.reason,
+      commandId: row.command_id,
+      triggeredBy: row.triggered_by,
+      triggeredRole: row.triggered_role
+    });
+    this.active.set(key, row);
+    console.warn(`🛑 Emergency stop of ${scopeLabel(robotId)} by ${user.username} (${source}): ${row.reason}`);
+
+    try {
+      await this.publishStop(row);
+    } catch (error) {
+      console.error(`❌ Emergency stop not sent yet, retrying every ${this.options.repeatInterval}s:`, error.message);
+    }
+
+    this.changed('stopped', row);
+    return { stop: formatStop(row), alreadyActive: false };
+  }
+
+  async resume({ robotId = null, reason, user }) {
+    const key = robotId || FLEET;
+    const row = this.active.get(key);
+    if (!row) {
+      throw emergencyError('NOT_STOPPED', `No emergency stop is active for ${scopeLabel(robotId)}`, 409);
+    }
+    if (robotId && this.active.has(FLEET)) {
+      throw emergencyError('FLEET_STOPPED', 'The whole fleet is emergency stopped; resume the fleet first', 409);
+    }
+    if (row.resuming) {
+      throw emergencyError('RESUME_PENDING', `A resume of ${scopeLabel(robotId)} is already being sent`, 409);
+    }
+
+    // The robots must hear the resume; until they do the stop stays in force (and is not repeated)
+    row.resuming = true;
+    let commandId;
+    try {
+      // A fleet-wide resume must not release robots that have a stop of their own
+      const except = robotId ? [] : [...this.active.keys()].filter(other => other !== FLEET);
+      commandId = await this.mqttService.resumeRobots(robotId, { reason, resumedBy: user.username, except });
+    } catch (error) {
+      row.resuming = false;
+      throw emergencyError('MQTT_UNAVAILABLE', `Resume could not be sent to the robots: ${error.message}`, 503);
+    }
+
+    if (!row.resuming) {
+      // Stop pressed again while the resume was being sent: it goes out once more and stays in force
+      await this.publishStop(row).catch(error => console.error('❌ Failed to repeat emergency stop:', error.message));
+      throw emergencyError('EMERGENCY_STOP_ACTIVE', `Emergency stop of ${scopeLabel(robotId)} was triggered again while resuming`, 409);
+    }
+    this.active.delete(key);
+
+    await db.clearEmergencyStop(row.id, { clearedBy: user.username, clearedRole: user.role, reason });
+    Object.assign(row, { cleared_by: user.username, cleared_role: user.role, clear_reason: reason, cleared_at: new Date() });
+    console.log(`▶️ Emergency stop of ${scopeLabel(robotId)} cleared by ${user.username}: ${reason}`);
+
+    // Clearing a shared topic also removed other stops retained there; put back the ones still in force
+    this.repeat();
+
+    this.changed('resumed', row, { commandId });
+    return { stop: formatStop(row), commandId };
+  }
+
+  // A robot's own e-stop button (or bumper) on /cafe/emergency. Robots can stop, never resume.
+  handleRobotEmergency(data) {
+    if (data.origin === 'server') return; // our own stop coming back
+    if (data.raw && !data.message) return; // a retained stop being cleared
+
+    if (data.action && data.action !== 'emergency_stop') {
+      console.warn(`⚠️ Ignoring '${data.action}' on the emergency topic - resume needs a user with robot:emergency-resume`);
+      return;
+    }
+
+    const robotId = data.robotId || data.robot_id || null;
+    this.trigger({
+      robotId,
+      reason: data.reason || data.message || 'Emergency stop on the robot',
+      source: 'robot',
+      user: { username: robotId || 'robot', role: 'robot' }
+    }).catch(error => console.error('❌ Failed to record emergency stop from robot:', error));
+  }
+
+  async publishStop(row) {
+    await this.mqttService.emergencyStop(row.robot_id, {
+      commandId: row.command_id,
+      reason: row.reason,
+      triggeredBy: row.triggered_by,
+      repeat: row.published
+    });
+    row.published = true;
+  }
+
+  // The fleet-wide stop goes last so it is the one left retained on the shared topic
+  repeat() {
+    if (!this.mqttService.isConnected) return;
+    [...this.active.values()]
+      .filter(row => !row.resuming)
+      .sort((a, b) => (a.robot_id ? 0 : 1) - (b.robot_id ? 0 : 1))
+      .forEach(row => this.publishStop(row)
+        .catch(error => console.error(`❌ Failed to repeat emergency stop of ${scopeLabel(row.robot_id)}:`, error.message)));
+  }
+
+  changed(action, row, extra = {}) {
+    const stop = formatStop(row);
+    this.emit(action, stop);
+    if (this.io) {
+      emitTo(this.io, staff(), 'emergency_state', { action, stop, ...extra, ...this.getState(), timestamp: new Date().toISOString() });
+    }
+  }
+}
+
+module.exports = {
+  EmergencyStop
+};
@@ -0,0 +1,101 @@
+// emergencyRouter.js
+// Emergency stop state (emergency-stop.js): trigger, resume with a reason, and the audit log
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('./permissions');
+const { isValidRobotId } = require('./robot-registry');
+
+const MIN_REASON_LENGTH = 3;
+
+let emergencyStop;
+
+function setEmergencyStop(service) {
+  emergencyStop = service;
+}
+
+// Without robotId the request is for the whole fleet
+function parseRobotId(body) {
+  const robotId = body && body.robotId ? String(body.robotId) : null;
+  return { robotId, valid: !robotId || isValidRobotId(robotId) };
+}
+
+function sendError(res, err, message) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message, code: err.code });
+  }
+  res.status(500).json({ success: false, message, error: err.message });
+}
+
+router.get('/', requirePermission('robot:status'), (req, res) => {
+  res.json({ success: true, ...emergencyStop.getState() });
+});
+
+// Who stopped and resumed what, newest first: ?robotId (includes fleet-wide stops), ?limit
+router.get('/history', requirePermission('robot:status'), async (req, res) => {
+  try {
+    const history = await emergencyStop.history({
+      robotId: req.query.robotId || null,
+      limit: Math.min(500, parseInt(req.query.limit) || 100)
+    });
+    res.json({ success: true, count: history.length, history });
+  } catch (err) {
+    sendError(res, err, 'Failed to get emergency stop history');
+  }
+});
+
+// { robotId, reason } - both optional
+router.post('/', requirePermission('robot:emergency-stop'), async (req, res) => {
+  const { robotId, valid } = parseRobotId(req.body);
+  if (!valid) {
+    return res.status(400).json({ success: false, message: 'Invalid robotId' });
+  }
+
+  try {
+    const { stop, alreadyActive } = await emergencyStop.trigger({
+      robotId,
+      reason: req.body.reason ? String(req.body.reason).trim() : null,
+      source: 'api',
+      user: req.session.user
+    });
+    res.json({
+      success: true,
+      message: alreadyActive ? 'Emergency stop is already active' : 'Emergency stop triggered',
+      stop,
+      commandId: stop.commandId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to trigger emergency stop');
+  }
+});
+
+// { robotId, reason } - reason is required
+router.post('/resume', requirePermission('robot:emergency-resume'), async (req, res) => {
+  const { robotId, valid } = parseRobotId(req.body);
+  if (!valid) {
+    return res.status(400).json({ success: false, message: 'Invalid robotId' });
+  }
+
+  const reason = req.body.reason ? String(req.body.reason).trim() : '';
+  if (reason.length < MIN_REASON_LENGTH) {
+    return res.status(400).json({ success: false, message: 'A reason is required to resume after an emergency stop' });
+  }
+
+  try {
+    const { stop, commandId } = await emergencyStop.resume({ robotId, reason, user: req.session.user });
+    res.json({
+      success: true,
+      message: robotId ? `Robot ${robotId} resumed` : 'Fleet resumed',
+      stop,
+      commandId,
+      stillStopped: emergencyStop.isStopped(robotId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to resume');
+  }
+});
+
+module.exports = router;
+module.exports.setEmergencyStop = setEmergencyStop;
+module.exports.parseRobotId = parseRobotId;
@@ -0,0 +1,69 @@
+// event-log.js
+// Bounded in-memory log of the Socket.IO events the server broadcast, so a client that reconnects can be sent
+// what it missed. Every event gets the next sequence number; the log keeps the last `size` of them.
+// Sequence numbers start again at 1 when the server restarts, so each run has its own epoch - a client from a
+// previous run (or one that fell further behind than the log reaches) has to reload instead.
+const crypto = require('crypto');
+
+// Superseded by the next one within seconds - numbered, but not worth replaying or keeping
+const TRANSIENT_EVENTS = new Set(['robot_location']);
+
+class EventLog {
+  constructor(options = {}) {
+    this.options = {
+      size: options.size || parseInt(process.env.SOCKET_EVENT_LOG_SIZE) || 1000
+    };
+
+    this.epoch = crypto.randomUUID();
+    this.seq = 0;
+    this.entries = [];
+    // Highest sequence number that fell out of the log; a client behind it cannot catch up
+    this.droppedSeq = 0;
+  }
+
+  // rooms / except: the rooms the event was sent to (none = everyone) and excluded from.
+  // Returns the payload to send, with its `seq`.
+  record(event, data, rooms = [], except = []) {
+    const seq = ++this.seq;
+    const numbered = data && typeof data === 'object' && !Array.isArray(data) ? { ...data, seq } : data;
+    if (TRANSIENT_EVENTS.has(event)) return numbered;
+
+    this.entries.push({ seq, event, data: numbered, rooms, except, timestamp: new Date() });
+    if (this.entries.length > this.options.size) {
+      this.droppedSeq = this.entries.shift().seq;
+    }
+    return numbered;
+  }
+
+  // Events after lastSeq that a socket in `socketRooms` was sent, oldest first.
+  // { resync: reason } when the log cannot say what it missed.
+  since(lastSeq, epoch, socketRooms) {
+    if (epoch !== this.epoch) {
+      return { resync: 'server restarted' };
+    }
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > this.seq) {
+      return { resync: 'unknown sequence number' };
+    }
+    if (lastSeq < this.droppedSeq) {
+      return { resync: `missed more than the last ${this.options.size} events` };
+    }
+
+    const sentTo = entry => (entry.rooms.length === 0 || entry.rooms.some(room => socketRooms.has(room))) &&
+      !entry.except.some(room => socketRooms.has(room));
+    return { events: this.entries.filter(entry => entry.seq > lastSeq && sentTo(entry)) };
+  }
+
+  getStats() {
+    return {
+      epoch: this.epoch,
+      seq: this.seq,
+      logged: this.entries.length,
+      oldestSeq: this.entries.length ? this.entries[0].seq : null,
+      ...this.options
+    };
+  }
+}
+
+module.exports = {
+  EventLog
+};
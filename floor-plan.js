@@ -0,0 +1,70 @@
+// floor-plan.js
+// Tables, the kitchen pickup point and the charging dock as poses on the robots' map (floor_locations).
+// Table numbers in orders and robot commands are resolved here.
+const db = require('./db.js');
+
+// Single poses besides the tables
+const POSE_TYPES = ['kitchen', 'dock'];
+
+function floorError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 400;
+  return error;
+}
+
+function toPose(row) {
+  return { x: parseFloat(row.x), y: parseFloat(row.y), theta: parseFloat(row.theta) };
+}
+
+function tableLabel(row) {
+  return row.name || `Table ${row.code}`;
+}
+
+// The table's row, or null while no tables are mapped yet (table numbers are then taken as they are).
+// Once the floor plan has tables, a table that is not on it is rejected.
+async function resolveTable(tableId) {
+  const location = await db.getFloorLocation('table', tableId);
+  if (location && location.active) return location;
+  if (await db.countFloorTables() === 0) return null;
+  throw floorError('UNKNOWN_TABLE', `Table ${tableId} is not on the floor plan`);
+}
+
+async function tablePose(tableId) {
+  const location = await db.getFloorLocation('table', tableId);
+  return location && location.active ? toPose(location) : null;
+}
+
+// { pickupPose, dockPose } for delivery trips; missing poses stay undefined
+async function tripPoses() {
+  const [kitchen, dock] = await Promise.all(POSE_TYPES.map(type => db.getFloorLocation(type, 'main')));
+  return {
+    pickupPose: kitchen ? toPose(kitchen) : undefined,
+    dockPose: dock ? toPose(dock) : undefined
+  };
+}
+
+// Table command for the robot plus a move_base goal for ROS navigation when the table is mapped.
+// Resolves with { location, commandId }.
+async function sendRobotToTable(mqttService, tableNumber, robotId) {
+  const location = await resolveTable(tableNumber);
+  const pose = location ? toPose(location) : null;
+
+  // Numeric table numbers stay numbers in the command, as robots have always received them
+  const target = /^\d+$/.test(String(tableNumber)) ? parseInt(tableNumber) : tableNumber;
+  const commandId = await mqttService.sendRobotToLocation(target, 'go_to_table', robotId, pose);
+  if (pose) {
+    await mqttService.publishROSGoal(pose.x, pose.y, pose.theta, robotId);
+  }
+  return { location, commandId };
+}
+
+module.exports = {
+  POSE_TYPES,
+  toPose,
+  tableLabel,
+  resolveTable,
+  tablePose,
+  tripPoses,
+  sendRobotToTable
+};
@@ -0,0 +1,153 @@
+// floorRouter.js
+// Floor plan for robot navigation (floor-plan.js): table poses plus the kitchen pickup point and dock.
+// x / y are metres and theta radians in the robots' map frame.
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js');
+const { requirePermission } = require('./permissions');
+const { POSE_TYPES, toPose } = require('./floor-plan');
+const { audience, emitTo } = require('./realtime');
+
+const TABLE_NUMBER_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+let io;
+
+function setSocketIO(socketIo) {
+  io = socketIo;
+}
+
+function notifyFloorUpdated(action, data) {
+  if (io) {
+    emitTo(io, audience('floor:read'), 'floor_plan_updated', { action, ...data, timestamp: new Date().toISOString() });
+  }
+}
+
+// ========== VALIDATION HELPERS ==========
+
+function poseFromBody(body) {
+  return {
+    name: body.name ? String(body.name).trim().substring(0, 100) : null,
+    x: parseFloat(body.x),
+    y: parseFloat(body.y),
+    theta: body.theta === undefined || body.theta === null || body.theta === '' ? 0 : parseFloat(body.theta),
+    active: body.active !== false
+  };
+}
+
+function validatePose(pose) {
+  if (!Number.isFinite(pose.x) || !Number.isFinite(pose.y)) {
+    return { valid: false, message: 'x and y must be numbers (metres on the map)' };
+  }
+
+  if (!Number.isFinite(pose.theta) || Math.abs(pose.theta) > 2 * Math.PI) {
+    return { valid: false, message: 'theta must be an angle in radians between -2π and 2π' };
+  }
+
+  return { valid: true };
+}
+
+function formatLocation(row) {
+  return {
+    type: row.type,
+    code: row.code,
+    name: row.type === 'table' ? (row.name || `Table ${row.code}`) : row.name,
+    pose: toPose(row),
+    active: Boolean(row.active),
+    updatedAt: row.updated_at
+  };
+}
+
+// ========== FLOOR PLAN ==========
+
+router.get('/', requirePermission('floor:read'), async (req, res) => {
+  try {
+    const rows = await db.getFloorLocations();
+    const tables = rows.filter(row => row.type === 'table').map(formatLocation);
+    const poses = {};
+    POSE_TYPES.forEach(type => {
+      const row = rows.find(candidate => candidate.type === type);
+      poses[type] = row ? formatLocation(row) : null;
+    });
+
+    res.json({ success: true, count: tables.length, tables, poses });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get floor plan', error: err.message });
+  }
+});
+
+router.get('/tables/:tableNumber', requirePermission('floor:read'), async (req, res) => {
+  try {
+    const row = await db.getFloorLocation('table', req.params.tableNumber);
+    if (!row) {
+      return res.status(404).json({ success: false, message: `Table ${req.params.tableNumber} is not on the floor plan` });
+    }
+    res.json({ success: true, table: formatLocation(row) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get table', error: err.message });
+  }
+});
+
+// Create or move a table: { x, y, theta, name, active }
+router.put('/tables/:tableNumber', requirePermission('floor:manage'), async (req, res) => {
+  try {
+    const { tableNumber } = req.params;
+    if (!TABLE_NUMBER_PATTERN.test(tableNumber)) {
+      return res.status(400).json({ success: false, message: 'Table number may only contain letters, digits, - and _' });
+    }
+
+    const pose = poseFromBody(req.body);
+    const validation = validatePose(pose);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, message: validation.message });
+    }
+
+    await db.saveFloorLocation({ type: 'table', code: tableNumber, ...pose });
+    const table = formatLocation(await db.getFloorLocation('table', tableNumber));
+    notifyFloorUpdated('table_saved', { table });
+
+    res.json({ success: true, message: `Table ${tableNumber} saved`, table });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to save table', error: err.message });
+  }
+});
+
+router.delete('/tables/:tableNumber', requirePermission('floor:manage'), async (req, res) => {
+  try {
+    const result = await db.deleteFloorLocation('table', req.params.tableNumber);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: `Table ${req.params.tableNumber} is not on the floor plan` });
+    }
+
+    notifyFloorUpdated('table_deleted', { tableNumber: req.params.tableNumber });
+    res.json({ success: true, message: `Table ${req.params.tableNumber} removed from the floor plan` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to delete table', error: err.message });
+  }
+});
+
+// Kitchen pickup point or charging dock: { x, y, theta, name }
+router.put('/poses/:type', requirePermission('floor:manage'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!POSE_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: 'Invalid pose. Allowed: ' + POSE_TYPES.join(', ') });
+    }
+
+    const pose = poseFromBody(req.body);
+    const validation = validatePose(pose);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, message: validation.message });
+    }
+
+    await db.saveFloorLocation({ type, code: 'main', ...pose, active: true });
+    const location = formatLocation(await db.getFloorLocation(type, 'main'));
+    notifyFloorUpdated('pose_saved', { [type]: location });
+
+    res.json({ success: true, message: `${type} pose saved`, [type]: location });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to save pose', error: err.message });
+  }
+});
+
+module.exports = router;
+module.exports.setSocketIO = setSocketIO;
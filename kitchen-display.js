@@ -0,0 +1,328 @@
+// kitchen-display.js
+// Kitchen display backend. Each order is split into one ticket per station (bar, grill, ...), by the station of
+// its menu items. Cooks bump each line to started and done; the ticket's prep timer runs from the moment the
+// order came in and the ticket is overdue after the station's target (settings: kitchen.target.{station}).
+// The first line started moves the order to preparing, and the order is ready once all its tickets are done.
+const db = require('./db.js');
+const { getSettings } = require('./settings');
+const { changeOrderStatus } = require('./order');
+const { audience, emitTo } = require('./realtime');
+
+// Items without a station of their own or of their category go to the default station
+const STATIONS = ['kitchen', 'bar', 'grill', 'pastry'];
+const DEFAULT_STATION = 'kitchen';
+
+const LINE_STATUSES = ['queued', 'started', 'done'];
+const OPEN_TICKET_STATUSES = ['open', 'in_progress'];
+
+function kitchenError(code, message, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function elapsedSeconds(ticket, now) {
+  const end = ticket.done_at ? new Date(ticket.done_at) : now;
+  return Math.max(0, Math.round((end - new Date(ticket.opened_at)) / 1000));
+}
+
+function formatTicket(ticket, now = new Date()) {
+  const elapsed = elapsedSeconds(ticket, now);
+  return {
+    id: ticket.id,
+    orderId: ticket.order_id,
+    tableId: ticket.table_id,
+    station: ticket.station,
+    status: ticket.status,
+    targetMinutes: ticket.target_minutes,
+    elapsedSeconds: elapsed,
+    overdue: Boolean(ticket.overdue_at) || (!ticket.done_at && elapsed > ticket.target_minutes * 60),
+    openedAt: ticket.opened_at,
+    startedAt: ticket.started_at,
+    doneAt: ticket.done_at,
+    overdueAt: ticket.overdue_at,
+    lines: ticket.lines.map(line => ({
+      id: line.id,
+      menuItemId: line.menu_item_id,
+      name: line.name,
+      quantity: line.quantity,
+      modifiers: line.modifiers,
+      notes: line.notes,
+      status: line.status,
+      startedAt: line.started_at,
+      startedBy: line.started_by,
+      doneAt: line.done_at,
+      doneBy: line.done_by
+    }))
+  };
+}
+
+function ticketLabel(ticket) {
+  return `${ticket.station} ticket #${ticket.id} (order #${ticket.order_id})`;
+}
+
+class KitchenDisplay {
+  constructor(options = {}) {
+    this.io = null;
+
+    this.options = {
+      checkInterval: options.checkInterval || parseInt(process.env.KITCHEN_CHECK_INTERVAL) || 30 // seconds
+    };
+
+    // ticketId -> kitchen_tickets row (with its lines) not done yet
+    this.tickets = new Map();
+    this.timer = null;
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  // Tickets still open when the server went down keep their timers
+  async start() {
+    const rows = await db.getKitchenTickets({ statuses: OPEN_TICKET_STATUSES });
+    rows.forEach(ticket => this.tickets.set(ticket.id, ticket));
+
+    this.timer = setInterval(() => this.checkOverdue(), this.options.checkInterval * 1000);
+    this.timer.unref();
+    console.log(`🍳 Kitchen display started with ${rows.length} open ticket(s)`, this.options);
+  }
+
+  // For a new order: one ticket per station its items go to
+  async createTickets(order) {
+    const items = order.items || [];
+    const menuItemIds = [...new Set(items.map(item => item.menuItemId).filter(Boolean))];
+    const [stationRows, settings] = await Promise.all([db.getItemStations(menuItemIds), getSettings()]);
+    const stationOf = new Map(stationRows.map(row => [row.id, row.station]));
+
+    const byStation = new Map();
+    items.forEach(item => {
+      const station = stationOf.get(item.menuItemId) || DEFAULT_STATION;
+      if (!byStation.has(station)) byStation.set(station, []);
+      byStation.get(station).push({
+        menuItemId: item.menuItemId,
+        name: item.name,
+        quantity: item.quantity,
+        modifiers: (item.modifiers || []).map(modifier => modifier.name).join(', ') || null,
+        notes: item.notes || null
+      });
+    });
+
+    const created = [];
+    for (const [station, lines] of byStation) {
+      const targetMinutes = settings[`kitchen.target.${station}`] || settings[`kitchen.target.${DEFAULT_STATION}`];
+      const { ticketId, lineIds } = await db.createKitchenTicket({ orderId: order.id, tableId: order.tableId, station, targetMinutes, lines });
+
+      const now = new Date();
+      const ticket = {
+        id: ticketId,
+        order_id: order.id,
+        table_id: order.tableId,
+        station,
+        status: 'open',
+        target_minutes: targetMinutes,
+        created_at: now,
+        opened_at: now,
+        started_at: null,
+        done_at: null,
+        overdue_at: null,
+        lines: lines.map((line, index) => ({
+          id: lineIds[index],
+          ticket_id: ticketId,
+          menu_item_id: line.menuItemId || null,
+          name: line.name,
+          quantity: line.quantity,
+          modifiers: line.modifiers,
+          notes: line.notes,
+          status: 'queued',
+          started_at: null,
+          started_by: null,
+          done_at: null,
+          done_by: null
+        }))
+      };
+      this.tickets.set(ticketId, ticket);
+      this.changed(ticket);
+      created.push(ticket);
+    }
+
+    console.log(`🍳 Order #${order.id} split into ${created.length} ticket(s): ${created.map(ticket => ticket.station).join(', ')}`);
+    return created.map(ticket => formatTicket(ticket));
+  }
+
+  // Open tickets, oldest first; station optional
+  getTickets(station = null) {
+    const now = new Date();
+    return [...this.tickets.values()]
+      .filter(ticket => !station || ticket.station === station)
+      .sort((a, b) => new Date(a.opened_at) - new Date(b.opened_at) || a.id - b.id)
+      .map(ticket => formatTicket(ticket, now));
+  }
+
+  // The last `limit` tickets done
+  async getDoneTickets(station = null, limit = 20) {
+    const rows = await db.getKitchenTickets({ statuses: ['done'], station, limit });
+    return rows.map(ticket => formatTicket(ticket));
+  }
+
+  getStations(settings) {
+    const tickets = this.getTickets();
+    return STATIONS.map(station => ({
+      station,
+      targetMinutes: settings[`kitchen.target.${station}`],
+      open: tickets.filter(ticket => ticket.station === station).length,
+      overdue: tickets.filter(ticket => ticket.station === station && ticket.overdue).length
+    }));
+  }
+
+  // status: 'started' or 'done' (a line can be done without being started first).
+  // user: { username, role }
+  async bumpLine(lineId, status, user) {
+    if (!['started', 'done'].includes(status)) {
+      throw kitchenError('INVALID_STATUS', "Line status must be 'started' or 'done'", 400);
+    }
+
+    const ticket = [...this.tickets.values()].find(candidate => candidate.lines.some(line => line.id === lineId));
+    if (!ticket) {
+      throw kitchenError('LINE_NOT_FOUND', 'Line not found on an open ticket', 404);
+    }
+    const line = ticket.lines.find(candidate => candidate.id === lineId);
+    if (LINE_STATUSES.indexOf(status) <= LINE_STATUSES.indexOf(line.status)) {
+      throw kitchenError('ALREADY_BUMPED', `${line.name} is already ${line.status}`, 409);
+    }
+
+    await this.bump(ticket, [line], status, user);
+    return formatTicket(ticket);
+  }
+
+  // The whole ticket at once: every line done
+  async bumpTicket(ticketId, user) {
+    const ticket = this.tickets.get(ticketId);
+    if (!ticket) {
+      throw kitchenError('TICKET_NOT_FOUND', 'Ticket not found or already done', 404);
+    }
+
+    await this.bump(ticket, ticket.lines.filter(line => line.status !== 'done'), 'done', user);
+    return formatTicket(ticket);
+  }
+
+  async bump(ticket, lines, status, user) {
+    const now = new Date();
+    for (const line of lines) {
+      line.status = status;
+      line.started_at = line.started_at || now;
+      line.started_by = line.started_by || user.username;
+      if (status === 'done') {
+        line.done_at = now;
+        line.done_by = user.username;
+      }
+      await db.updateKitchenTicketLine(line);
+    }
+
+    const wasOpen = ticket.status === 'open';
+    ticket.started_at = ticket.started_at || now;
+    if (ticket.lines.every(line => line.status === 'done')) {
+      ticket.status = 'done';
+      ticket.done_at = now;
+      this.tickets.delete(ticket.id);
+    } else {
+      ticket.status = 'in_progress';
+    }
+    await db.updateKitchenTicket(ticket);
+    console.log(`🍳 ${lines.map(line => line.name).join(', ')} ${status} on ${ticketLabel(ticket)} by ${user.username}`);
+    this.changed(ticket);
+
+    const orderTicketsLeft = [...this.tickets.values()].some(other => other.order_id === ticket.order_id);
+    if (!orderTicketsLeft) {
+      await this.advanceOrder(ticket.order_id, 'ready', user, 'All kitchen tickets done');
+    } else if (wasOpen) {
+      await this.advanceOrder(ticket.order_id, 'preparing', user, `Started at the ${ticket.station} station`);
+    }
+  }
+
+  // pending -> preparing when work starts, -> ready (via preparing) when everything is done. An order that
+  // already moved on, or was cancelled meanwhile, is left alone.
+  async advanceOrder(orderId, toStatus, user, note) {
+    try {
+      const order = await db.getOrderById(orderId);
+      if (!order || order.status === toStatus) return;
+      if (toStatus === 'preparing' && order.status !== 'pending') return;
+      if (toStatus === 'ready' && !['pending', 'preparing'].includes(order.status)) return;
+
+      const steps = order.status === 'pending' && toStatus === 'ready' ? ['preparing', 'ready'] : [toStatus];
+      for (const status of steps) {
+        const result = await changeOrderStatus(orderId, status, { username: user.username, role: user.role, source: 'kitchen', note });
+        if (!result.success) {
+          console.warn(`⚠️ Kitchen could not move order #${orderId} to ${status}: ${result.message}`);
+          return;
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to update order #${orderId} from the kitchen display:`, error);
+    }
+  }
+
+  // Called by order.js after every status change, whoever made it
+  async orderStatusChanged(order, oldStatus, newStatus) {
+    const tickets = [...this.tickets.values()].filter(ticket => ticket.order_id === order.id);
+    const now = new Date();
+
+    if (newStatus === 'cancelled' || (['ready', 'delivered'].includes(newStatus) && tickets.length)) {
+      // Cancelled, or marked ready by hand without bumping: take the tickets off the screen
+      for (const ticket of tickets) {
+        ticket.status = newStatus === 'cancelled' ? 'cancelled' : 'done';
+        ticket.done_at = now;
+        this.tickets.delete(ticket.id);
+        await db.updateKitchenTicket(ticket);
+        this.changed(ticket);
+      }
+      return;
+    }
+
+    if (oldStatus === 'ready' && newStatus === 'preparing') {
+      // Sent back to the kitchen: its tickets come back with a fresh timer
+      const rows = await db.getKitchenTickets({ orderId: order.id });
+      for (const ticket of rows.filter(row => row.status === 'done')) {
+        Object.assign(ticket, { status: 'open', opened_at: now, started_at: null, done_at: null, overdue_at: null });
+        for (const line of ticket.lines) {
+          Object.assign(line, { status: 'queued', started_at: null, started_by: null, done_at: null, done_by: null });
+          await db.updateKitchenTicketLine(line);
+        }
+        await db.updateKitchenTicket(ticket);
+        this.tickets.set(ticket.id, ticket);
+        this.changed(ticket);
+      }
+      console.log(`↩️ Order #${order.id} sent back to the kitchen, ${rows.length} ticket(s) reopened`);
+    }
+  }
+
+  async checkOverdue() {
+    const now = new Date();
+    for (const ticket of this.tickets.values()) {
+      if (ticket.overdue_at || elapsedSeconds(ticket, now) <= ticket.target_minutes * 60) continue;
+
+      ticket.overdue_at = now;
+      console.warn(`⏰ ${ticketLabel(ticket)} is overdue (target ${ticket.target_minutes} min)`);
+      try {
+        await db.updateKitchenTicket(ticket);
+      } catch (error) {
+        console.error(`❌ Failed to mark ${ticketLabel(ticket)} overdue:`, error.message);
+      }
+      if (this.io) {
+        emitTo(this.io, audience('kitchen:read'), 'kitchen_ticket_overdue', { ticket: formatTicket(ticket, now), timestamp: now.toISOString() });
+      }
+    }
+  }
+
+  changed(ticket) {
+    if (this.io) {
+      emitTo(this.io, audience('kitchen:read'), 'kitchen_ticket_updated', { ticket: formatTicket(ticket), timestamp: new Date().toISOString() });
+    }
+  }
+}
+
+module.exports = {
+  KitchenDisplay,
+  STATIONS
+};
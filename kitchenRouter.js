@@ -0,0 +1,85 @@
+// kitchenRouter.js
+// Kitchen display (kitchen-display.js): station tickets, bumping lines, prep timers
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('./permissions');
+const { getSettings } = require('./settings');
+const { STATIONS } = require('./kitchen-display');
+
+let kitchenDisplay;
+
+function setKitchenDisplay(service) {
+  kitchenDisplay = service;
+}
+
+function sendError(res, err, message) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message, code: err.code });
+  }
+  res.status(500).json({ success: false, message, error: err.message });
+}
+
+// ?station=bar
+function parseStation(query) {
+  const station = query.station ? String(query.station) : null;
+  return { station, valid: !station || STATIONS.includes(station) };
+}
+
+// Stations with their target time and how many tickets are open / overdue
+router.get('/stations', requirePermission('kitchen:read'), async (req, res) => {
+  try {
+    const settings = await getSettings();
+    res.json({ success: true, stations: kitchenDisplay.getStations(settings) });
+  } catch (err) {
+    sendError(res, err, 'Failed to get kitchen stations');
+  }
+});
+
+// Open tickets, oldest first
+router.get('/tickets', requirePermission('kitchen:read'), (req, res) => {
+  const { station, valid } = parseStation(req.query);
+  if (!valid) {
+    return res.status(400).json({ success: false, message: 'Invalid station. Allowed: ' + STATIONS.join(', ') });
+  }
+
+  const tickets = kitchenDisplay.getTickets(station);
+  res.json({ success: true, count: tickets.length, tickets });
+});
+
+// The last tickets done, e.g. to check one bumped by mistake: ?station, ?limit
+router.get('/tickets/done', requirePermission('kitchen:read'), async (req, res) => {
+  const { station, valid } = parseStation(req.query);
+  if (!valid) {
+    return res.status(400).json({ success: false, message: 'Invalid station. Allowed: ' + STATIONS.join(', ') });
+  }
+
+  try {
+    const tickets = await kitchenDisplay.getDoneTickets(station, Math.min(100, parseInt(req.query.limit) || 20));
+    res.json({ success: true, count: tickets.length, tickets });
+  } catch (err) {
+    sendError(res, err, 'Failed to get done tickets');
+  }
+});
+
+// { status: 'started' | 'done' }
+router.post('/lines/:lineId/bump', requirePermission('kitchen:bump'), async (req, res) => {
+  try {
+    const ticket = await kitchenDisplay.bumpLine(parseInt(req.params.lineId), req.body.status, req.session.user);
+    res.json({ success: true, message: `Line ${req.body.status}`, ticket });
+  } catch (err) {
+    sendError(res, err, 'Failed to bump line');
+  }
+});
+
+// Every line of the ticket done
+router.post('/tickets/:ticketId/bump', requirePermission('kitchen:bump'), async (req, res) => {
+  try {
+    const ticket = await kitchenDisplay.bumpTicket(parseInt(req.params.ticketId), req.session.user);
+    res.json({ success: true, message: 'Ticket done', ticket });
+  } catch (err) {
+    sendError(res, err, 'Failed to bump ticket');
+  }
+});
+
+module.exports = router;
+module.exports.setKitchenDisplay = setKitchenDisplay;
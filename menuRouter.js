@@ -0,0 +1,329 @@
+// menuRouter.js
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js');
+const { requirePermission } = require('./permissions');
+const { STATIONS } = require('./kitchen-display');
+const { emitTo } = require('./realtime');
+
+let io;
+
+// تابع برای تنظیم io reference
+function setSocketIO(socketIo) {
+  io = socketIo;
+}
+
+// The menu is public, so every socket gets this - guests at a table too
+function notifyMenuUpdated(action, data) {
+  if (io) {
+    emitTo(io, null, 'menu_updated', { action, ...data, timestamp: new Date().toISOString() });
+  }
+}
+
+// ========== VALIDATION HELPERS ==========
+
+// Kitchen display station; empty = the category's station (for a category: the default station)
+function parseStation(value) {
+  return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+function isValidStation(station) {
+  return station === null || STATIONS.includes(station);
+}
+
+function validateMenuItem(data) {
+  const { name, price } = data;
+
+  if (!name || typeof name !== 'string') {
+    return { valid: false, message: 'Item name is required' };
+  }
+
+  if (price === undefined || isNaN(parseFloat(price)) || parseFloat(price) < 0) {
+    return { valid: false, message: 'Price must be a number greater than or equal to 0' };
+  }
+
+  if (!isValidStation(parseStation(data.station))) {
+    return { valid: false, message: 'Invalid station. Allowed: ' + STATIONS.join(', ') };
+  }
+
+  return { valid: true };
+}
+
+function validateModifier(data) {
+  const { group, name, priceDelta } = data;
+
+  if (!group || !name) {
+    return { valid: false, message: 'Modifier group and name are required' };
+  }
+
+  if (priceDelta !== undefined && isNaN(parseFloat(priceDelta))) {
+    return { valid: false, message: 'Modifier price delta must be a number' };
+  }
+
+  return { valid: true };
+}
+
+// Shape DB rows for API responses
+function formatItem(row, modifiers = []) {
+  return {
+    id: row.id,
+    categoryId: row.category_id,
+    name: row.name,
+    description: row.description,
+    price: parseFloat(row.price),
+    imageUrl: row.image_url,
+    available: Boolean(row.available),
+    sortOrder: row.sort_order,
+    station: row.station,
+    modifiers: modifiers
+      .filter(mod => mod.menu_item_id === row.id)
+      .map(mod => ({
+        id: mod.id,
+        group: mod.group_name,
+        name: mod.name,
+        priceDelta: parseFloat(mod.price_delta),
+        available: Boolean(mod.available)
+      }))
+  };
+}
+
+// vatRate: empty / null = default rate from settings
+function categoryFromBody(body) {
+  const vatRate = body.vatRate === undefined || body.vatRate === null || body.vatRate === '' ? null : parseFloat(body.vatRate);
+  return { name: body.name, sortOrder: parseInt(body.sortOrder) || 0, active: body.active, vatRate, station: parseStation(body.station) };
+}
+
+function validateCategory(data) {
+  if (!data.name) {
+    return { valid: false, message: 'Category name is required' };
+  }
+
+  if (data.vatRate !== null && (isNaN(data.vatRate) || data.vatRate < 0 || data.vatRate > 100)) {
+    return { valid: false, message: 'VAT rate must be a number between 0 and 100' };
+  }
+
+  if (!isValidStation(data.station)) {
+    return { valid: false, message: 'Invalid station. Allowed: ' + STATIONS.join(', ') };
+  }
+
+  return { valid: true };
+}
+
+function menuItemFromBody(body) {
+  return {
+    categoryId: body.categoryId || null,
+    name: body.name,
+    description: body.description,
+    price: parseFloat(body.price),
+    imageUrl: body.imageUrl,
+    available: body.available !== false,
+    sortOrder: parseInt(body.sortOrder) || 0,
+    station: parseStation(body.station)
+  };
+}
+
+// ========== PUBLIC ROUTES ==========
+
+// Full menu for the customer app: active categories with available items and modifiers
+router.get('/', async (req, res) => {
+  try {
+    const categories = await db.getMenuCategories();
+    const items = await db.getMenuItems();
+    const modifiers = await db.getModifiersForItems(items.map(item => item.id));
+    const formattedItems = items.map(item => formatItem(item, modifiers));
+    const categoryIds = new Set(categories.map(category => category.id));
+
+    res.json({
+      success: true,
+      categories: categories.map(category => ({
+        id: category.id,
+        name: category.name,
+        sortOrder: category.sort_order,
+        vatRate: category.vat_rate === null ? null : parseFloat(category.vat_rate),
+        items: formattedItems.filter(item => item.categoryId === category.id)
+      })),
+      uncategorized: formattedItems.filter(item => !categoryIds.has(item.categoryId))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get menu', error: err.message });
+  }
+});
+
+// ========== STAFF ROUTES ==========
+
+// All items including unavailable ones
+router.get('/items', requirePermission('menu:availability'), async (req, res) => {
+  try {
+    const items = await db.getMenuItems({ includeUnavailable: true, categoryId: req.query.categoryId });
+    const modifiers = await db.getModifiersForItems(items.map(item => item.id), true);
+    res.json({ success: true, count: items.length, items: items.map(item => formatItem(item, modifiers)) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get menu items', error: err.message });
+  }
+});
+
+// One item, available or not - customers get theirs from GET /
+router.get('/items/:id', requirePermission('menu:availability'), async (req, res) => {
+  try {
+    const item = await db.getMenuItemById(req.params.id);
+    if (!item) return res.status(404).json({ success: false, message: 'Menu item not found' });
+
+    const modifiers = await db.getModifiersForItems([item.id], true);
+    res.json({ success: true, item: formatItem(item, modifiers) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get menu item', error: err.message });
+  }
+});
+
+router.get('/categories', requirePermission('menu:availability'), async (req, res) => {
+  try {
+    const categories = await db.getMenuCategories(true);
+    res.json({ success: true, categories });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get categories', error: err.message });
+  }
+});
+
+router.post('/categories', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const category = categoryFromBody(req.body);
+    const validation = validateCategory(category);
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const id = await db.createMenuCategory(category);
+    notifyMenuUpdated('category_created', { categoryId: id });
+    res.status(201).json({ success: true, id, message: 'Category added' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to add category', error: err.message });
+  }
+});
+
+router.put('/categories/:id', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const category = categoryFromBody(req.body);
+    const validation = validateCategory(category);
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const result = await db.updateMenuCategory(req.params.id, category);
+    if (result.affectedRows === 0) return res.status(404).json({ success: false, message: 'Category not found' });
+
+    notifyMenuUpdated('category_updated', { categoryId: parseInt(req.params.id) });
+    res.json({ success: true, message: 'Category updated' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to update category', error: err.message });
+  }
+});
+
+router.delete('/categories/:id', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    await db.deleteMenuCategory(req.params.id);
+    notifyMenuUpdated('category_deleted', { categoryId: parseInt(req.params.id) });
+    res.json({ success: true, message: 'Category deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to delete category', error: err.message });
+  }
+});
+
+router.post('/items', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const validation = validateMenuItem(req.body);
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const id = await db.createMenuItem(menuItemFromBody(req.body));
+    notifyMenuUpdated('item_created', { itemId: id });
+    res.status(201).json({ success: true, id, message: 'Menu item added' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to add menu item', error: err.message });
+  }
+});
+
+router.put('/items/:id', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const validation = validateMenuItem(req.body);
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const result = await db.updateMenuItem(req.params.id, menuItemFromBody(req.body));
+    if (result.affectedRows === 0) return res.status(404).json({ success: false, message: 'Menu item not found' });
+
+    notifyMenuUpdated('item_updated', { itemId: parseInt(req.params.id) });
+    res.json({ success: true, message: 'Menu item updated' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to update menu item', error: err.message });
+  }
+});
+
+// Kitchen can mark items sold out without editing prices: { available: true | false }
+router.patch('/items/:id/availability', requirePermission('menu:availability'), async (req, res) => {
+  try {
+    if (typeof req.body.available !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'available must be true or false' });
+    }
+
+    const available = req.body.available;
+    const result = await db.setMenuItemAvailability(req.params.id, available);
+    if (result.affectedRows === 0) return res.status(404).json({ success: false, message: 'Menu item not found' });
+
+    console.log(`🍽️ Menu item ${req.params.id} marked ${available ? 'available' : 'unavailable'} by ${req.session.user.username}`);
+    notifyMenuUpdated('item_availability', { itemId: parseInt(req.params.id), available });
+    res.json({ success: true, message: `Menu item marked ${available ? 'available' : 'unavailable'}` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to update availability', error: err.message });
+  }
+});
+
+router.delete('/items/:id', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    await db.deleteMenuItem(req.params.id);
+    notifyMenuUpdated('item_deleted', { itemId: parseInt(req.params.id) });
+    res.json({ success: true, message: 'Menu item deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to delete menu item', error: err.message });
+  }
+});
+
+// Modifiers - e.g. { group: 'size', name: 'Large', priceDelta: 0.5 }
+router.post('/items/:id/modifiers', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const validation = validateModifier(req.body);
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const item = await db.getMenuItemById(req.params.id);
+    if (!item) return res.status(404).json({ success: false, message: 'Menu item not found' });
+
+    const { group, name, priceDelta, available } = req.body;
+    const id = await db.createMenuModifier(item.id, { group, name, priceDelta: parseFloat(priceDelta) || 0, available });
+    notifyMenuUpdated('modifier_created', { itemId: item.id, modifierId: id });
+    res.status(201).json({ success: true, id, message: 'Modifier added' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to add modifier', error: err.message });
+  }
+});
+
+router.put('/modifiers/:id', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    const validation = validateModifier(req.body);
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const { group, name, priceDelta, available } = req.body;
+    const result = await db.updateMenuModifier(req.params.id, { group, name, priceDelta: parseFloat(priceDelta) || 0, available });
+    if (result.affectedRows === 0) return res.status(404).json({ success: false, message: 'Modifier not found' });
+
+    notifyMenuUpdated('modifier_updated', { modifierId: parseInt(req.params.id) });
+    res.json({ success: true, message: 'Modifier updated' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to update modifier', error: err.message });
+  }
+});
+
+router.delete('/modifiers/:id', requirePermission('menu:manage'), async (req, res) => {
+  try {
+    await db.deleteMenuModifier(req.params.id);
+    notifyMenuUpdated('modifier_deleted', { modifierId: parseInt(req.params.id) });
+    res.json({ success: true, message: 'Modifier deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to delete modifier', error: err.message });
+  }
+});
+
+module.exports = router;
+module.exports.setSocketIO = setSocketIO;
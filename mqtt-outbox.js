@@ -0,0 +1,119 @@
+// mqtt-outbox.js
+// Durable outbox for MQTTService.publish: while the broker is unreachable messages are stored in mqtt_outbox
+// and replayed in the order they were published once the connection is back.
+// Each message has an expiry - robot commands only `commandTtl` seconds, so a robot is not sent to a table
+// long after someone asked for it - and expired messages are dropped instead of replayed.
+const db = require('./db.js');
+
+class MQTTOutbox {
+  constructor(options = {}) {
+    this.options = {
+      ttl: options.ttl || parseInt(process.env.MQTT_OUTBOX_TTL) || 900,                     // seconds
+      commandTtl: options.commandTtl || parseInt(process.env.MQTT_OUTBOX_COMMAND_TTL) || 30, // seconds
+      maxDepth: options.maxDepth || parseInt(process.env.MQTT_OUTBOX_MAX) || 10000,
+      batchSize: options.batchSize || 100
+    };
+
+    this.depth = 0;
+    this.oldest = null;
+    this.replayed = 0;
+    this.expired = 0;
+    this.draining = false;
+    this.drainAgain = false;
+  }
+
+  // Messages left over from before a restart
+  async load() {
+    const { depth, oldest } = await db.getOutboxDepth();
+    this.depth = depth;
+    this.oldest = oldest;
+    if (depth) console.log(`📥 ${depth} MQTT message(s) waiting in the outbox`);
+  }
+
+  // Later messages must wait behind the ones still queued, or they would overtake them
+  hasPending() {
+    return this.depth > 0 || this.draining;
+  }
+
+  // options: { qos, retain, ttl (seconds), kind: 'command' | 'event' }
+  async add(topic, payload, options = {}) {
+    if (this.depth >= this.options.maxDepth) {
+      throw new Error(`MQTT not connected and outbox full (${this.depth} messages)`);
+    }
+
+    const kind = options.kind || 'event';
+    const ttl = options.ttl || (kind === 'command' ? this.options.commandTtl : this.options.ttl);
+
+    if (options.retain) {
+      const result = await db.deleteRetainedOutboxMessages(topic);
+      this.depth = Math.max(0, this.depth - result.affectedRows);
+    }
+    await db.insertOutboxMessage({
+      topic,
+      payload,
+      qos: options.qos || 1,
+      retain: options.retain || false,
+      kind,
+      expiresAt: new Date(Date.now() + ttl * 1000)
+    });
+
+    this.depth++;
+    if (!this.oldest) this.oldest = new Date();
+    if (this.draining) this.drainAgain = true;
+  }
+
+  // send(topic, payload, { qos, retain }) publishes straight to the broker. Stops at the first failure;
+  // the rest waits for the next reconnect. expired(message), optional, hears about each message dropped.
+  async drain(send, expired) {
+    if (this.draining) {
+      this.drainAgain = true;
+      return;
+    }
+    this.draining = true;
+
+    try {
+      do {
+        this.drainAgain = false;
+        const messages = await db.getOutboxMessages(this.options.batchSize);
+        for (const message of messages) {
+          if (message.expires_at && new Date(message.expires_at) <= new Date()) {
+            console.warn(`⌛ Dropping expired ${message.kind} for ${message.topic} queued at ${new Date(message.created_at).toISOString()}`);
+            this.expired++;
+            if (expired) expired(message);
+          } else {
+            await send(message.topic, message.payload, { qos: message.qos, retain: Boolean(message.retain) });
+            this.replayed++;
+          }
+          await db.deleteOutboxMessage(message.id);
+          this.depth = Math.max(0, this.depth - 1);
+        }
+        if (messages.length === this.options.batchSize) this.drainAgain = true;
+      } while (this.drainAgain);
+    } catch (error) {
+      console.error('❌ MQTT outbox replay stopped:', error.message);
+    } finally {
+      this.draining = false;
+    }
+
+    try {
+      await this.load();
+    } catch (error) {
+      console.error('❌ Failed to count MQTT outbox:', error.message);
+    }
+  }
+
+  getStats() {
+    return {
+      depth: this.depth,
+      oldest: this.oldest,
+      replaying: this.draining,
+      replayed: this.replayed,
+      expired: this.expired,
+      ...this.options
+    };
+  }
+}
+
+module.exports = {
+  MQTTOutbox
+};
@@ -0,0 +1,78 @@
+// order-lifecycle.js
+// Order status state machine. Each entry lists the statuses an order may move
+// to from its current status, and which roles may make that move.
+
+const ORDER_STATUSES = ['pending', 'preparing', 'ready', 'delivered', 'cancelled'];
+
+const ORDER_TRANSITIONS = {
+  pending: {
+    preparing: ['admin', 'manager', 'kitchen'],
+    cancelled: ['admin', 'manager', 'cashier']
+  },
+  preparing: {
+    ready:     ['admin', 'manager', 'kitchen'],
+    cancelled: ['admin', 'manager']
+  },
+  ready: {
+    delivered: ['admin', 'manager', 'robot'],
+    preparing: ['admin', 'manager', 'kitchen'], // sent back to the kitchen
+    cancelled: ['admin', 'manager']
+  },
+  // Terminal states
+  delivered: {},
+  cancelled: {}
+};
+
+// Where a status change came from - stored in order_status_history.source
+const STATUS_SOURCES = ['customer', 'dashboard', 'kitchen', 'robot', 'mqtt', 'system'];
+
+function getAllowedTransitions(fromStatus, role) {
+  const transitions = ORDER_TRANSITIONS[fromStatus] || {};
+  return Object.keys(transitions).filter(toStatus => !role || transitions[toStatus].includes(role));
+}
+
+// Returns { valid: true } or { valid: false, code, message }
+// code is 'INVALID_STATUS', 'ILLEGAL_TRANSITION' or 'FORBIDDEN'
+function validateTransition(fromStatus, toStatus, role) {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    return {
+      valid: false,
+      code: 'INVALID_STATUS',
+      message: 'Invalid status. Allowed: ' + ORDER_STATUSES.join(', ')
+    };
+  }
+
+  const transitions = ORDER_TRANSITIONS[fromStatus] || {};
+  if (!transitions[toStatus]) {
+    const allowed = Object.keys(transitions);
+    return {
+      valid: false,
+      code: 'ILLEGAL_TRANSITION',
+      message: `Cannot change order status from '${fromStatus}' to '${toStatus}'. ` +
+        (allowed.length ? `Allowed next statuses: ${allowed.join(', ')}` : `'${fromStatus}' is a final status`)
+    };
+  }
+
+  if (!transitions[toStatus].includes(role)) {
+    return {
+      valid: false,
+      code: 'FORBIDDEN',
+      message: `Access denied: your role '${role}' cannot change an order from '${fromStatus}' to '${toStatus}'`
+    };
+  }
+
+  return { valid: true };
+}
+
+function isFinalStatus(status) {
+  return Object.keys(ORDER_TRANSITIONS[status] || {}).length === 0;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  STATUS_SOURCES,
+  getAllowedTransitions,
+  validateTransition,
+  isFinalStatus
+};
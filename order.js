@@ -1,597 +1,834 @@
-
-
-const express = require('express');
-const router = express.Router();
-const db = require('./db.js');
-
-console.log('📋 Order router loaded successfully');
-
-// برای دسترسی به io و MQTT service از index.js
-let io;
-let mqttService;
-
-// تابع برای تنظیم io reference
-function setSocketIO(socketIo) {
-    io = socketIo;
-    console.log('✅ Socket.IO reference set in order router');
-}
-
-// تابع برای تنظیم MQTT service reference
-function setMQTTService(service) {
-    mqttService = service;
-    console.log('✅ MQTT Service reference set in order router');
-}
-
-// ========== VALIDATION HELPERS ==========
-
-function validateOrderData(data) {
-    const { tableId, items, totalPrice } = data;
-    
-    if (!tableId) {
-        return { valid: false, message: 'Table ID is required' };
-    }
-    
-    if (!items || !Array.isArray(items) || items.length === 0) {
-        return { valid: false, message: 'Items array is required and cannot be empty' };
-    }
-    
-    if (!totalPrice || totalPrice <= 0) {
-        return { valid: false, message: 'Total price must be greater than 0' };
-    }
-    
-    return { valid: true };
-}
-
-// ========== ROUTES ==========
-
-// Test route
-router.get('/test', (req, res) => {
-    console.log('✅ Order router test endpoint hit');
-    res.json({ 
-        success: true, 
-        message: 'Order router is working!',
-        timestamp: new Date().toISOString(),
-        mqtt_connected: mqttService ? mqttService.isConnected : false
-    });
-});
-
-// Submit new order
-router.post('/submit', async (req, res) => {
-    console.log('🎯 POST /submit - New order submission');
-    console.log('📥 Request body:', JSON.stringify(req.body, null, 2));
-    
-    try {
-        const { tableId, tableLocation, restaurantId, items, totalPrice } = req.body;
-        
-        // Validate required fields
-        const validation = validateOrderData({ tableId, items, totalPrice });
-        if (!validation.valid) {
-            console.log('❌ Validation failed:', validation.message);
-            return res.status(400).json({
-                success: false,
-                message: validation.message
-            });
-        }
-        
-        // پردازش آیتم‌ها و اصلاح quantity
-        let processedItems = items;
-        if (Array.isArray(items)) {
-            processedItems = items.map(item => ({
-                name: item.name || item.title || 'نامشخص',
-                quantity: item.quantity || item.count || 1,
-                price: parseFloat(item.price || 0)
-            }));
-        }
-        
-        // تبدیل آیتم‌ها به string برای ذخیره در دیتابیس
-        const itemsString = JSON.stringify(processedItems);
-        
-        // Create order data object
-        const orderData = {
-            tableId: tableId,
-            tableLocation: tableLocation || null,
-            restaurantId: restaurantId || null,
-            items: itemsString,
-            totalPrice: parseFloat(totalPrice)
-        };
-        
-        console.log('📝 Prepared order data:', orderData);
-        
-        // Use the async database method
-        const orderId = await db.createOrder(orderData);
-        
-        console.log('✅ Order created successfully with ID:', orderId);
-        
-        // دریافت سفارش کامل از دیتابیس
-        const fullOrder = await db.getOrderById(orderId);
-        
-        // ارسال سفارش جدید به MQTT (فقط اطلاع‌رسانی، نه ارسال به ربات)
-        if (mqttService && mqttService.isConnected) {
-            try {
-                await mqttService.publishNewOrder(fullOrder);
-                console.log('📡 New order published to MQTT');
-            } catch (error) {
-                console.error('❌ Failed to publish new order to MQTT:', error);
-            }
-        }
-        
-        // ارسال اعلان سفارش جدید به کلاینت‌ها از طریق WebSocket
-        if (io) {
-            io.emit('new_order_created', {
-                order: fullOrder,
-                message: 'سفارش جدید دریافت شد!'
-            });
-            console.log('📡 New order notification sent via WebSocket');
-        }
-        
-        res.status(201).json({
-            success: true,
-            message: 'سفارش با موفقیت ثبت شد',
-            orderId: orderId,
-            orderData: {
-                id: orderId,
-                tableId,
-                tableLocation,
-                restaurantId,
-                items: processedItems,
-                totalPrice: parseFloat(totalPrice),
-                status: 'pending'
-            }
-        });
-        
-    } catch (error) {
-        console.error('❌ Error submitting order:', error);
-        console.error('❌ Error stack:', error.stack);
-        
-        // More detailed error response
-        let errorMessage = 'Failed to save order';
-        if (error.code === 'ER_NO_SUCH_TABLE') {
-            errorMessage = 'Database table not found. Please check database setup.';
-        } else if (error.code === 'ER_BAD_FIELD_ERROR') {
-            errorMessage = 'Database column mismatch. Please check table structure.';
-        } else if (error.code === 'ECONNREFUSED') {
-            errorMessage = 'Database connection failed. Please check database server.';
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: errorMessage,
-            error: error.message,
-            code: error.code || 'UNKNOWN_ERROR'
-        });
-    }
-});
-
-// Get all orders
-router.get('/all', async (req, res) => {
-    console.log('📋 GET /all - Retrieving all orders');
-    
-    try {
-        const orders = await db.getAllOrders();
-        
-        console.log(`✅ Retrieved ${orders.length} orders from database`);
-        
-        // ارسال تمام سفارش‌ها به MQTT برای بروزرسانی
-        if (mqttService && mqttService.isConnected) {
-            try {
-                await mqttService.publishAllOrders(orders);
-                console.log('📡 All orders published to MQTT');
-            } catch (error) {
-                console.error('❌ Failed to publish all orders to MQTT:', error);
-            }
-        }
-        
-        res.json({
-            success: true,
-            count: orders.length,
-            orders: orders
-        });
-        
-    } catch (error) {
-        console.error('❌ Error retrieving orders:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve orders',
-            error: error.message
-        });
-    }
-});
-
-// Get orders by status
-router.get('/status/:status', async (req, res) => {
-    console.log(`📋 GET /status/${req.params.status} - Getting orders by status`);
-    
-    try {
-        const { status } = req.params;
-        const orders = await db.getOrdersByStatus(status);
-        
-        console.log(`✅ Retrieved ${orders.length} orders with status '${status}'`);
-        
-        res.json({
-            success: true,
-            status: status,
-            count: orders.length,
-            orders: orders
-        });
-        
-    } catch (error) {
-        console.error('❌ Error retrieving orders by status:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve orders by status',
-            error: error.message
-        });
-    }
-});
-
-// Get pending orders
-router.get('/pending', async (req, res) => {
-    console.log('⏳ GET /pending - Getting pending orders');
-    
-    try {
-        const pendingOrders = await db.getPendingOrders();
-        
-        console.log(`✅ Retrieved ${pendingOrders.length} pending orders`);
-        
-        // ارسال سفارش‌های در انتظار به MQTT
-        if (mqttService && mqttService.isConnected) {
-            try {
-                await mqttService.publishPendingOrders(pendingOrders);
-                console.log('📡 Pending orders published to MQTT');
-            } catch (error) {
-                console.error('❌ Failed to publish pending orders to MQTT:', error);
-            }
-        }
-        
-        res.json({
-            success: true,
-            count: pendingOrders.length,
-            orders: pendingOrders
-        });
-        
-    } catch (error) {
-        console.error('❌ Error retrieving pending orders:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve pending orders',
-            error: error.message
-        });
-    }
-});
-
-// Get recent orders
-router.get('/recent', async (req, res) => {
-    console.log('📅 GET /recent - Getting recent orders');
-    
-    try {
-        const limit = parseInt(req.query.limit) || 10;
-        const recentOrders = await db.getRecentOrders(limit);
-        
-        console.log(`✅ Retrieved ${recentOrders.length} recent orders`);
-        
-        res.json({
-            success: true,
-            limit: limit,
-            count: recentOrders.length,
-            orders: recentOrders
-        });
-        
-    } catch (error) {
-        console.error('❌ Error retrieving recent orders:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve recent orders',
-            error: error.message
-        });
-    }
-});
-
-// Get specific order by ID
-router.get('/:orderId', async (req, res) => {
-    console.log(`🔍 GET /${req.params.orderId} - Getting specific order`);
-    
-    try {
-        const { orderId } = req.params;
-        const order = await db.getOrderById(orderId);
-        
-        if (!order) {
-            console.log(`❌ Order ${orderId} not found`);
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
-            });
-        }
-        
-        console.log(`✅ Retrieved order ${orderId}`);
-        
-        res.json({
-            success: true,
-            order: order
-        });
-        
-    } catch (error) {
-        console.error('❌ Error retrieving order:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve order',
-            error: error.message
-        });
-    }
-});
-
-// Update order status - این قسمت مهم است!
-router.put('/:orderId/status', async (req, res) => {
-    console.log(`🔄 PUT /${req.params.orderId}/status - Updating order status`);
-    
-    try {
-        const { orderId } = req.params;
-        const { status } = req.body;
-        
-        if (!status) {
-            return res.status(400).json({
-                success: false,
-                message: 'Status is required'
-            });
-        }
-        
-        // بررسی وضعیت‌های مجاز
-        const allowedStatuses = ['pending', 'preparing', 'ready', 'delivered', 'cancelled'];
-        if (!allowedStatuses.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid status. Allowed: ' + allowedStatuses.join(', ')
-            });
-        }
-        
-        // Check if order exists
-        const existingOrder = await db.getOrderById(orderId);
-        if (!existingOrder) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
-            });
-        }
-        
-        const oldStatus = existingOrder.status;
-        await db.updateOrderStatus(orderId, status);
-        
-        console.log(`✅ Updated order ${orderId} status from '${oldStatus}' to '${status}'`);
-        
-        // دریافت سفارش آپدیت شده
-        const updatedOrder = await db.getOrderById(orderId);
-        
-        // ارسال تغییر وضعیت به MQTT
-        if (mqttService && mqttService.isConnected) {
-            try {
-                await mqttService.publishOrderStatusUpdate(orderId, oldStatus, status);
-                console.log('📡 Order status update published to MQTT');
-            } catch (error) {
-                console.error('❌ Failed to publish status update to MQTT:', error);
-            }
-        }
-        
-        // 🚨 منطق مهم: فقط وقتی وضعیت به 'ready' تغییر کرد، سفارش را برای ربات ارسال کن
-        if (status === 'ready' && mqttService && mqttService.isConnected) {
-            try {
-                console.log(`🤖 Status changed to 'ready' - Sending order ${orderId} to robot`);
-                
-                // ساخت داده‌های سفارش برای ربات
-                const robotOrderData = {
-                    id: updatedOrder.id,
-                    table_id: updatedOrder.tableId,
-                    table_location: updatedOrder.tableLocation || `Table ${updatedOrder.tableId} Location`,
-                    items: typeof updatedOrder.items === 'string' ? 
-                           JSON.parse(updatedOrder.items || '[]') : updatedOrder.items,
-                    total_price: updatedOrder.totalPrice,
-                    priority: 'normal',
-                    created_at: updatedOrder.created_at,
-                    status: updatedOrder.status
-                };
-                
-                await mqttService.sendOrderToRobot(robotOrderData);
-                console.log(`🚀 Order #${orderId} successfully sent to robot via MQTT`);
-                
-                // اطلاع‌رسانی موفقیت ارسال به ربات
-                if (io) {
-                    io.emit('order_sent_to_robot', {
-                        success: true,
-                        orderId: orderId,
-                        message: `سفارش #${orderId} برای ربات ارسال شد`,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-                
-            } catch (error) {
-                console.error(`❌ Failed to send order ${orderId} to robot:`, error);
-                
-                // اطلاع‌رسانی خطا در ارسال به ربات
-                if (io) {
-                    io.emit('order_sent_to_robot', {
-                        success: false,
-                        orderId: orderId,
-                        error: error.message,
-                        message: `خطا در ارسال سفارش #${orderId} به ربات`,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            }
-        } else if (status === 'ready' && (!mqttService || !mqttService.isConnected)) {
-            console.warn(`⚠️ Order ${orderId} ready but MQTT not connected - robot will not receive order`);
-            
-            if (io) {
-                io.emit('mqtt_warning', {
-                    message: `سفارش #${orderId} آماده است اما ربات متصل نیست`,
-                    orderId: orderId,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        }
-        
-        // ارسال اعلان تغییر وضعیت از طریق WebSocket
-        if (io) {
-            io.emit('order_status_updated', {
-                orderId: parseInt(orderId),
-                oldStatus,
-                newStatus: status,
-                order: updatedOrder
-            });
-            console.log(`📡 Order status update sent via WebSocket`);
-        }
-        
-        res.json({
-            success: true,
-            message: 'Order status updated',
-            orderId: orderId,
-            oldStatus: oldStatus,
-            newStatus: status,
-            robotNotified: status === 'ready' && mqttService && mqttService.isConnected
-        });
-        
-    } catch (error) {
-        console.error('❌ Error updating order status:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to update order status',
-            error: error.message
-        });
-    }
-});
-
-// Delete order (soft delete by setting status to cancelled)
-router.delete('/:orderId', async (req, res) => {
-    console.log(`🗑️ DELETE /${req.params.orderId} - Cancelling order`);
-    
-    try {
-        const { orderId } = req.params;
-        
-        // Check if order exists
-        const existingOrder = await db.getOrderById(orderId);
-        if (!existingOrder) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
-            });
-        }
-        
-        await db.updateOrderStatus(orderId, 'cancelled');
-        
-        // ارسال تغییر وضعیت به MQTT
-        if (mqttService && mqttService.isConnected) {
-            try {
-                await mqttService.publishOrderStatusUpdate(orderId, existingOrder.status, 'cancelled');
-                console.log('📡 Order cancellation published to MQTT');
-            } catch (error) {
-                console.error('❌ Failed to publish cancellation to MQTT:', error);
-            }
-        }
-        
-        // ارسال اعلان لغو سفارش
-        if (io) {
-            io.emit('order_status_updated', {
-                orderId: parseInt(orderId),
-                oldStatus: existingOrder.status,
-                newStatus: 'cancelled'
-            });
-        }
-        
-        console.log(`✅ Cancelled order ${orderId}`);
-        
-        res.json({
-            success: true,
-            message: 'Order cancelled successfully',
-            orderId: orderId
-        });
-        
-    } catch (error) {
-        console.error('❌ Error cancelling order:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to cancel order',
-            error: error.message
-        });
-    }
-});
-
-// Handle automatic order status update from robot
-router.post('/auto-update-status', async (req, res) => {
-    console.log('🤖 POST /auto-update-status - Auto status update from robot');
-    
-    try {
-        const { orderId, status, source } = req.body;
-        
-        if (!orderId || !status) {
-            return res.status(400).json({
-                success: false,
-                message: 'Order ID and status are required'
-            });
-        }
-        
-        // Check if order exists
-        const existingOrder = await db.getOrderById(orderId);
-        if (!existingOrder) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
-            });
-        }
-        
-        // Only allow certain automatic updates
-        const allowedAutoStatuses = ['delivered'];
-        if (!allowedAutoStatuses.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'This status cannot be auto-updated'
-            });
-        }
-        
-        const oldStatus = existingOrder.status;
-        await db.updateOrderStatus(orderId, status);
-        
-        console.log(`🤖 Auto-updated order ${orderId} status from '${oldStatus}' to '${status}' (source: ${source || 'robot'})`);
-        
-        // Send notification via WebSocket
-        if (io) {
-            io.emit('order_status_updated', {
-                orderId: parseInt(orderId),
-                oldStatus,
-                newStatus: status,
-                source: source || 'robot',
-                automated: true
-            });
-        }
-        
-        res.json({
-            success: true,
-            message: 'Order status auto-updated',
-            orderId: orderId,
-            oldStatus: oldStatus,
-            newStatus: status,
-            source: source || 'robot'
-        });
-        
-    } catch (error) {
-        console.error('❌ Error in auto status update:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to auto-update order status',
-            error: error.message
-        });
-    }
-});
-
-console.log('📋 Order routes registered:');
-console.log('   - GET    /test              - Test endpoint');
-console.log('   - POST   /submit            - Submit new order');
-console.log('   - GET    /all               - Get all orders');
-console.log('   - GET    /pending           - Get pending orders');
-console.log('   - GET    /recent            - Get recent orders');
-console.log('   - GET    /status/:status    - Get orders by status');
-console.log('   - GET    /:orderId          - Get specific order');
-console.log('   - PUT    /:orderId/status   - Update order status');
-console.log('   - DELETE /:orderId          - Cancel order');
-console.log('   - POST   /auto-update-status- Auto status update from robot');
-
-// Export router و توابع تنظیم
-module.exports = router;
-module.exports.setSocketIO = setSocketIO;
-module.exports.setMQTTService = setMQTTService;
\ No newline at end of file
+
+
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js');
+const { requirePermission } = require('./permissions');
+const { validateTransition, getAllowedTransitions } = require('./order-lifecycle');
+const { getOrderReceipt, sendReceipt } = require('./receipt');
+const { priceOrder } = require('./pricing');
+const { resolveTable, tableLabel } = require('./floor-plan');
+const { audience, emitTo, tableRoom, guestOrder, publishTracking } = require('./realtime');
+const { createTrackingToken } = require('./tracking');
+const { resolveOrderTable, tokenUsed } = require('./table-tokens');
+
+console.log('📋 Order router loaded successfully');
+
+// برای دسترسی به io و MQTT service از index.js
+let io;
+let mqttService;
+let dispatchService;
+let kitchenDisplay;
+
+// تابع برای تنظیم io reference
+function setSocketIO(socketIo) {
+    io = socketIo;
+    console.log('✅ Socket.IO reference set in order router');
+}
+
+// تابع برای تنظیم MQTT service reference
+function setMQTTService(service) {
+    mqttService = service;
+    console.log('✅ MQTT Service reference set in order router');
+}
+
+// صف ارسال ربات (dispatch-service.js)
+function setDispatchService(service) {
+    dispatchService = service;
+    console.log('✅ Dispatch Service reference set in order router');
+}
+
+// تیکت‌های ایستگاه‌های آشپزخانه (kitchen-display.js)
+function setKitchenDisplay(service) {
+    kitchenDisplay = service;
+    console.log('✅ Kitchen Display reference set in order router');
+}
+
+// ========== VALIDATION HELPERS ==========
+
+// totalPrice دیگر لازم نیست - قیمت نهایی در سرور از روی منو محاسبه می‌شود
+function validateOrderData(data) {
+    const { tableId, items } = data;
+    
+    if (!tableId) {
+        return { valid: false, message: 'Table ID is required' };
+    }
+    
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        return { valid: false, message: 'Items array is required and cannot be empty' };
+    }
+    
+    return { valid: true };
+}
+
+// Compare what the client claimed with the catalog prices the order was saved with.
+// Mismatches are only flagged - the saved order always uses catalog prices.
+function comparePrices(clientItems, clientTotal, savedOrder) {
+    const mismatchedItems = [];
+    
+    clientItems.forEach(item => {
+        if (item.price === undefined || item.price === null) return;
+        
+        const menuItemId = parseInt(item.menuItemId || item.id);
+        const name = (item.name || item.title || '').toLowerCase();
+        const saved = menuItemId > 0
+            ? savedOrder.items.find(line => line.menuItemId === menuItemId &&
+                db.getItemKey(line) === db.getItemKey({ ...item, menuItemId }))
+            : savedOrder.items.find(line => line.name.toLowerCase() === name);
+        
+        if (saved && Math.abs(parseFloat(item.price) - saved.price) > 0.001) {
+            mismatchedItems.push({ name: saved.name, clientPrice: parseFloat(item.price), catalogPrice: saved.price });
+        }
+    });
+    
+    const serverTotal = parseFloat(savedOrder.totalPrice);
+    const hasClientTotal = clientTotal !== undefined && clientTotal !== null;
+    const totalMismatch = hasClientTotal && Math.abs(parseFloat(clientTotal) - serverTotal) > 0.001;
+    
+    return {
+        clientTotal: hasClientTotal ? parseFloat(clientTotal) : null,
+        serverTotal: serverTotal,
+        mismatch: totalMismatch || mismatchedItems.length > 0,
+        items: mismatchedItems
+    };
+}
+
+// ========== ROUTES ==========
+
+// Test route
+router.get('/test', (req, res) => {
+    console.log('✅ Order router test endpoint hit');
+    res.json({ 
+        success: true, 
+        message: 'Order router is working!',
+        timestamp: new Date().toISOString(),
+        mqtt_connected: mqttService ? mqttService.isConnected : false
+    });
+});
+
+// Submit new order
+router.post('/submit', async (req, res) => {
+    console.log('🎯 POST /submit - New order submission');
+    console.log('📥 Request body:', JSON.stringify(req.body, null, 2));
+    
+    try {
+        const { tableLocation, items, totalPrice, discountCode } = req.body;
+        
+        // میز و رستوران از توکن QR میز می‌آیند (table-tokens.js)؛ tableId داخل body فقط وقتی orders.requireTableToken خاموش باشد پذیرفته می‌شود
+        const { tableId, restaurantId, token } = await resolveOrderTable(req.body);
+        if (token && req.body.tableId !== undefined && String(req.body.tableId) !== token.table_id) {
+            console.warn(`⚠️ Client tableId "${req.body.tableId}" ignored, the QR token is for table ${token.table_id}`);
+        }
+        if (!token) {
+            console.warn(`⚠️ Order for table ${tableId} without a QR token - stored as unverified`);
+        }
+        
+        // Validate required fields
+        const validation = validateOrderData({ tableId, items });
+        if (!validation.valid) {
+            console.log('❌ Validation failed:', validation.message);
+            return res.status(400).json({
+                success: false,
+                message: validation.message
+            });
+        }
+        
+        // موقعیت میز از نقشه سالن می‌آید، نه از متن کلاینت؛ میز خارج از نقشه رد می‌شود
+        const table = await resolveTable(tableId);
+        if (tableLocation) {
+            console.log(`ℹ️ Client tableLocation "${tableLocation}" ignored, using the floor plan`);
+        }
+        
+        // آیتم‌ها با منو تطبیق داده و قیمت‌گذاری می‌شوند (تخفیف، service charge، مالیات)
+        const pricing = await priceOrder(items, { discountCode });
+        
+        // Create order data object
+        const orderData = {
+            tableId: tableId,
+            tableLocation: table ? tableLabel(table) : null,
+            restaurantId: restaurantId || null,
+            pricing: pricing,
+            tableVerified: Boolean(token)
+        };
+        
+        console.log('📝 Prepared order data:', { tableId, tableLocation: orderData.tableLocation, restaurantId, total: pricing.total });
+        
+        // Use the async database method
+        const orderId = await db.createOrder(orderData);
+        
+        console.log('✅ Order created successfully with ID:', orderId);
+        
+        // دریافت سفارش کامل از دیتابیس
+        const fullOrder = await db.getOrderById(orderId);
+        await tokenUsed(token, fullOrder.session_id)
+            .catch(error => console.error(`❌ Failed to tie the table token to session ${fullOrder.session_id}:`, error));
+        
+        const priceCheck = comparePrices(items, totalPrice, fullOrder);
+        if (priceCheck.mismatch) {
+            console.warn(`⚠️ Order ${orderId}: client prices ignored (client total ${priceCheck.clientTotal}, catalog total ${priceCheck.serverTotal})`, priceCheck.items);
+        }
+        
+        // تقسیم سفارش به تیکت برای هر ایستگاه آشپزخانه
+        if (kitchenDisplay) {
+            try {
+                await kitchenDisplay.createTickets(fullOrder);
+            } catch (error) {
+                console.error(`❌ Failed to create kitchen tickets for order ${orderId}:`, error);
+            }
+        }
+        
+        // ارسال سفارش جدید به MQTT (فقط اطلاع‌رسانی، نه ارسال به ربات)
+        // اگر broker در دسترس نباشد پیام در mqtt-outbox می‌ماند و بعد از اتصال ارسال می‌شود
+        if (mqttService) {
+            try {
+                await mqttService.publishNewOrder(fullOrder);
+                console.log('📡 New order published to MQTT');
+            } catch (error) {
+                console.error('❌ Failed to publish new order to MQTT:', error);
+            }
+        }
+        
+        // ارسال اعلان سفارش جدید به کلاینت‌ها از طریق WebSocket
+        if (io) {
+            emitTo(io, audience('orders:read'), 'new_order_created', {
+                order: fullOrder,
+                message: 'سفارش جدید دریافت شد!'
+            });
+            emitTo(io, tableRoom(fullOrder.tableId), 'table_order_updated', guestOrder(fullOrder));
+            console.log('📡 New order notification sent via WebSocket');
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: 'سفارش با موفقیت ثبت شد',
+            orderId: orderId,
+            // مشتری با این توکن وضعیت سفارش را دنبال می‌کند (GET /api/track/:token یا Socket.IO)
+            trackingToken: createTrackingToken(orderId),
+            orderData: {
+                id: orderId,
+                tableId,
+                tableVerified: Boolean(token),
+                tableLocation: fullOrder.tableLocation,
+                restaurantId,
+                items: fullOrder.items,
+                subtotal: pricing.subtotal,
+                discounts: pricing.discounts,
+                discountTotal: pricing.discountTotal,
+                serviceCharge: pricing.serviceCharge,
+                taxes: pricing.taxes,
+                taxTotal: pricing.taxTotal,
+                taxInclusive: pricing.taxInclusive,
+                totalPrice: parseFloat(fullOrder.totalPrice),
+                status: 'pending',
+                sessionId: fullOrder.session_id
+            },
+            priceCheck: priceCheck
+        });
+        
+    } catch (error) {
+        // آیتم نامعتبر یا ناموجود در منو، کد تخفیف نامعتبر، میز خارج از نقشه، یا توکن QR نامعتبر (401)
+        if (error.statusCode === 400 || error.statusCode === 401) {
+            console.log('❌ Order rejected:', error.message);
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        
+        console.error('❌ Error submitting order:', error);
+        console.error('❌ Error stack:', error.stack);
+        
+        // More detailed error response
+        let errorMessage = 'Failed to save order';
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            errorMessage = 'Database table not found. Please check database setup.';
+        } else if (error.code === 'ER_BAD_FIELD_ERROR') {
+            errorMessage = 'Database column mismatch. Please check table structure.';
+        } else if (error.code === 'ECONNREFUSED') {
+            errorMessage = 'Database connection failed. Please check database server.';
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: errorMessage,
+            error: error.message,
+            code: error.code || 'UNKNOWN_ERROR'
+        });
+    }
+});
+
+// Get all orders
+router.get('/all', requirePermission('orders:read'), async (req, res) => {
+    console.log('📋 GET /all - Retrieving all orders');
+    
+    try {
+        const orders = await db.getAllOrders();
+        
+        console.log(`✅ Retrieved ${orders.length} orders from database`);
+        
+        // ارسال تمام سفارش‌ها به MQTT برای بروزرسانی
+        if (mqttService) {
+            try {
+                await mqttService.publishAllOrders(orders);
+                console.log('📡 All orders published to MQTT');
+            } catch (error) {
+                console.error('❌ Failed to publish all orders to MQTT:', error);
+            }
+        }
+        
+        res.json({
+            success: true,
+            count: orders.length,
+            orders: orders
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving orders:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve orders',
+            error: error.message
+        });
+    }
+});
+
+// Get orders by status
+router.get('/status/:status', requirePermission('orders:read'), async (req, res) => {
+    console.log(`📋 GET /status/${req.params.status} - Getting orders by status`);
+    
+    try {
+        const { status } = req.params;
+        const orders = await db.getOrdersByStatus(status);
+        
+        console.log(`✅ Retrieved ${orders.length} orders with status '${status}'`);
+        
+        res.json({
+            success: true,
+            status: status,
+            count: orders.length,
+            orders: orders
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving orders by status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve orders by status',
+            error: error.message
+        });
+    }
+});
+
+// Get pending orders
+router.get('/pending', requirePermission('orders:read'), async (req, res) => {
+    console.log('⏳ GET /pending - Getting pending orders');
+    
+    try {
+        const pendingOrders = await db.getPendingOrders();
+        
+        console.log(`✅ Retrieved ${pendingOrders.length} pending orders`);
+        
+        // ارسال سفارش‌های در انتظار به MQTT
+        if (mqttService) {
+            try {
+                await mqttService.publishPendingOrders(pendingOrders);
+                console.log('📡 Pending orders published to MQTT');
+            } catch (error) {
+                console.error('❌ Failed to publish pending orders to MQTT:', error);
+            }
+        }
+        
+        res.json({
+            success: true,
+            count: pendingOrders.length,
+            orders: pendingOrders
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving pending orders:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve pending orders',
+            error: error.message
+        });
+    }
+});
+
+// Get recent orders
+router.get('/recent', requirePermission('orders:read'), async (req, res) => {
+    console.log('📅 GET /recent - Getting recent orders');
+    
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+        const recentOrders = await db.getRecentOrders(limit);
+        
+        console.log(`✅ Retrieved ${recentOrders.length} recent orders`);
+        
+        res.json({
+            success: true,
+            limit: limit,
+            count: recentOrders.length,
+            orders: recentOrders
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving recent orders:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve recent orders',
+            error: error.message
+        });
+    }
+});
+
+// Get specific order by ID
+router.get('/:orderId', requirePermission('orders:read'), async (req, res) => {
+    console.log(`🔍 GET /${req.params.orderId} - Getting specific order`);
+    
+    try {
+        const { orderId } = req.params;
+        const order = await db.getOrderById(orderId);
+        
+        if (!order) {
+            console.log(`❌ Order ${orderId} not found`);
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        console.log(`✅ Retrieved order ${orderId}`);
+        
+        res.json({
+            success: true,
+            order: order
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve order',
+            error: error.message
+        });
+    }
+});
+
+// ========== STATUS CHANGES ==========
+
+// اعمال تغییر وضعیت با بررسی state machine، ثبت در تاریخچه و اطلاع‌رسانی به MQTT / WebSocket
+// actor: { username, role, source, note }
+// Returns { success, httpStatus, message, oldStatus, newStatus, order, queuedForDelivery }
+async function changeOrderStatus(orderId, newStatus, actor) {
+    const existingOrder = await db.getOrderById(orderId);
+    if (!existingOrder) {
+        return { success: false, httpStatus: 404, message: 'Order not found' };
+    }
+    
+    const oldStatus = existingOrder.status;
+    const check = validateTransition(oldStatus, newStatus, actor.role);
+    if (!check.valid) {
+        console.warn(`🚫 Order ${orderId} ${oldStatus} → ${newStatus} rejected for ${actor.username} (${actor.role}): ${check.message}`);
+        return {
+            success: false,
+            httpStatus: check.code === 'FORBIDDEN' ? 403 : (check.code === 'INVALID_STATUS' ? 400 : 409),
+            code: check.code,
+            message: check.message,
+            oldStatus,
+            allowedStatuses: getAllowedTransitions(oldStatus, actor.role)
+        };
+    }
+    
+    const result = await db.updateOrderStatus(orderId, newStatus, {
+        fromStatus: oldStatus,
+        changedBy: actor.username,
+        role: actor.role,
+        source: actor.source,
+        note: actor.note,
+        deliveredBy: actor.deliveredBy
+    });
+    
+    if (result.affectedRows === 0) {
+        return {
+            success: false,
+            httpStatus: 409,
+            code: 'CONCURRENT_UPDATE',
+            message: 'Order status was changed by someone else. Please reload and try again.',
+            oldStatus
+        };
+    }
+    
+    console.log(`✅ Updated order ${orderId} status from '${oldStatus}' to '${newStatus}' (${actor.source} by ${actor.username})`);
+    
+    // دریافت سفارش آپدیت شده
+    const updatedOrder = await db.getOrderById(orderId);
+    
+    // ارسال تغییر وضعیت به MQTT
+    if (mqttService) {
+        try {
+            await mqttService.publishOrderStatusUpdate(orderId, oldStatus, newStatus);
+            console.log('📡 Order status update published to MQTT');
+        } catch (error) {
+            console.error('❌ Failed to publish status update to MQTT:', error);
+        }
+    }
+    
+    // 🚨 سفارش ready وارد صف ارسال می‌شود؛ dispatch-service آن را به اولین ربات آزاد می‌دهد
+    let queuedForDelivery = false;
+    if (dispatchService) {
+        try {
+            if (newStatus === 'ready') {
+                await dispatchService.enqueue(updatedOrder);
+                queuedForDelivery = true;
+            } else if (oldStatus === 'ready') {
+                // delivered by hand, cancelled, or sent back to the kitchen
+                await dispatchService.finish(orderId, newStatus === 'delivered' ? 'delivered' : 'cancelled');
+            }
+        } catch (error) {
+            console.error(`❌ Failed to update dispatch queue for order ${orderId}:`, error);
+        }
+    }
+    
+    // لغو، ready دستی یا برگشت به آشپزخانه روی تیکت‌های آشپزخانه اثر دارد
+    if (kitchenDisplay) {
+        try {
+            await kitchenDisplay.orderStatusChanged(updatedOrder, oldStatus, newStatus);
+        } catch (error) {
+            console.error(`❌ Failed to update kitchen tickets for order ${orderId}:`, error);
+        }
+    }
+    
+    if (newStatus === 'ready' && (!mqttService || !mqttService.isConnected)) {
+        console.warn(`⚠️ Order ${orderId} ready but MQTT not connected - it waits in the dispatch queue`);
+        
+        if (io) {
+            emitTo(io, audience('orders:read'), 'mqtt_warning', {
+                message: `سفارش #${orderId} آماده است اما ربات متصل نیست - در صف ارسال می‌ماند`,
+                orderId: orderId,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    // ارسال اعلان تغییر وضعیت از طریق WebSocket
+    if (io) {
+        emitTo(io, audience('orders:read'), 'order_status_updated', {
+            orderId: parseInt(orderId),
+            oldStatus,
+            newStatus,
+            order: updatedOrder,
+            changedBy: actor.username,
+            source: actor.source,
+            automated: actor.source !== 'dashboard'
+        });
+        emitTo(io, tableRoom(updatedOrder.tableId), 'table_order_updated', guestOrder(updatedOrder));
+        await publishTracking(io, updatedOrder.id);
+        console.log(`📡 Order status update sent via WebSocket`);
+    }
+    
+    // سفارش لغو شده ممکن است آخرین سفارش پرداخت‌نشده‌ی میز باشد
+    if (newStatus === 'cancelled' && updatedOrder.session_id) {
+        try {
+            const closed = await db.closeTableSession(updatedOrder.session_id, actor.username);
+            if (closed && io) {
+                emitTo(io, audience('sessions:read'), 'table_session_closed', {
+                    sessionId: updatedOrder.session_id,
+                    tableId: updatedOrder.tableId,
+                    closedBy: actor.username,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to close table session ${updatedOrder.session_id}:`, error);
+        }
+    }
+    
+    return {
+        success: true,
+        httpStatus: 200,
+        oldStatus,
+        newStatus,
+        order: updatedOrder,
+        queuedForDelivery
+    };
+}
+
+// Handles /cafe/delivery/complete from a robot, so the order is delivered even with no dashboard open.
+// Robots resend messages: an order that is already delivered is left alone, and a late message for
+// an order that is no longer 'ready' is logged and ignored.
+async function completeDelivery(data) {
+    const orderId = parseInt(data.order_id || data.orderId);
+    const robotId = String(data.robotId || data.robot_id || 'robot');
+    
+    if (!orderId) {
+        console.warn('⚠️ Delivery complete message without order id ignored:', data);
+        return { success: false, code: 'INVALID_MESSAGE' };
+    }
+    
+    const result = await changeOrderStatus(orderId, 'delivered', {
+        username: robotId,
+        role: 'robot',
+        source: 'mqtt',
+        note: `delivery complete reported by ${robotId}`,
+        deliveredBy: robotId
+    });
+    if (result.success) return result;
+    
+    // Two copies of the same message can race past the status check; the loser gets CONCURRENT_UPDATE
+    let currentStatus = result.oldStatus;
+    if (result.code === 'CONCURRENT_UPDATE') {
+        const order = await db.getOrderById(orderId);
+        currentStatus = order && order.status;
+    }
+    
+    if (currentStatus === 'delivered') {
+        console.log(`🔁 Duplicate delivery complete for order ${orderId} from ${robotId} ignored`);
+        return { success: true, duplicate: true, oldStatus: currentStatus };
+    }
+    
+    console.warn(`⚠️ Delivery complete for order ${orderId} from ${robotId} ignored: ${result.message}`);
+    return result;
+}
+
+// Actor for status changes made through the dashboard
+function sessionActor(req, source = 'dashboard') {
+    return {
+        username: req.session.user.username,
+        role: req.session.user.role,
+        source
+    };
+}
+
+// Update order status - این قسمت مهم است!
+router.put('/:orderId/status', requirePermission('orders:update-status'), async (req, res) => {
+    console.log(`🔄 PUT /${req.params.orderId}/status - Updating order status`);
+    
+    try {
+        const { orderId } = req.params;
+        const { status, note } = req.body;
+        
+        if (!status) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status is required'
+            });
+        }
+        
+        const result = await changeOrderStatus(orderId, status, { ...sessionActor(req), note });
+        if (!result.success) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                message: result.message,
+                code: result.code,
+                currentStatus: result.oldStatus,
+                allowedStatuses: result.allowedStatuses
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Order status updated',
+            orderId: orderId,
+            oldStatus: result.oldStatus,
+            newStatus: result.newStatus,
+            queuedForDelivery: result.queuedForDelivery
+        });
+        
+    } catch (error) {
+        console.error('❌ Error updating order status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update order status',
+            error: error.message
+        });
+    }
+});
+
+// Get status timeline of an order
+router.get('/:orderId/history', requirePermission('orders:read'), async (req, res) => {
+    console.log(`🕓 GET /${req.params.orderId}/history - Getting order status history`);
+    
+    try {
+        const { orderId } = req.params;
+        const order = await db.getOrderById(orderId);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const history = await db.getOrderStatusHistory(orderId);
+        
+        res.json({
+            success: true,
+            orderId: parseInt(orderId),
+            currentStatus: order.status,
+            allowedNextStatuses: getAllowedTransitions(order.status, req.session.user.role),
+            count: history.length,
+            history: history
+        });
+        
+    } catch (error) {
+        console.error('❌ Error retrieving order history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve order history',
+            error: error.message
+        });
+    }
+});
+
+// Printable receipt / invoice - ?format=html|pdf|text|escpos&paper=58|80
+// اولین چاپ فاکتور را با شماره‌ی ترتیبی صادر می‌کند؛ چاپ‌های بعدی همان فاکتور را برمی‌گردانند
+router.get('/:orderId/receipt', requirePermission('receipts:print'), async (req, res) => {
+    console.log(`🧾 GET /${req.params.orderId}/receipt - format: ${req.query.format || 'html'}`);
+    
+    try {
+        const order = await db.getOrderById(req.params.orderId);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        if (order.status === 'cancelled') {
+            return res.status(409).json({
+                success: false,
+                message: 'Cannot issue a receipt for a cancelled order'
+            });
+        }
+        
+        const receipt = await getOrderReceipt(order, req.session.user.username);
+        await sendReceipt(res, receipt, req.query);
+        
+    } catch (error) {
+        console.error('❌ Error generating receipt:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate receipt',
+            error: error.message
+        });
+    }
+});
+
+// Delete order (soft delete by setting status to cancelled)
+router.delete('/:orderId', requirePermission('orders:cancel'), async (req, res) => {
+    console.log(`🗑️ DELETE /${req.params.orderId} - Cancelling order`);
+    
+    try {
+        const { orderId } = req.params;
+        
+        const result = await changeOrderStatus(orderId, 'cancelled', sessionActor(req));
+        if (!result.success) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                message: result.message,
+                code: result.code,
+                currentStatus: result.oldStatus
+            });
+        }
+        
+        console.log(`✅ Cancelled order ${orderId}`);
+        
+        res.json({
+            success: true,
+            message: 'Order cancelled successfully',
+            orderId: orderId
+        });
+        
+    } catch (error) {
+        console.error('❌ Error cancelling order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order',
+            error: error.message
+        });
+    }
+});
+
+// Handle automatic order status update from robot
+router.post('/auto-update-status', requirePermission('orders:auto-update'), async (req, res) => {
+    console.log('🤖 POST /auto-update-status - Auto status update from robot');
+    
+    try {
+        const { orderId, status, source } = req.body;
+        
+        if (!orderId || !status) {
+            return res.status(400).json({
+                success: false,
+                message: 'Order ID and status are required'
+            });
+        }
+        
+        // Only allow certain automatic updates
+        const allowedAutoStatuses = ['delivered'];
+        if (!allowedAutoStatuses.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This status cannot be auto-updated'
+            });
+        }
+        
+        const result = await changeOrderStatus(orderId, status, {
+            username: req.session.user.username,
+            role: req.session.user.role,
+            source: 'robot',
+            note: source ? `reported by ${source}` : null,
+            deliveredBy: req.body.robotId || req.session.user.username
+        });
+        if (!result.success) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                message: result.message,
+                code: result.code,
+                currentStatus: result.oldStatus
+            });
+        }
+        
+        console.log(`🤖 Auto-updated order ${orderId} status from '${result.oldStatus}' to '${status}' (source: ${source || 'robot'})`);
+        
+        res.json({
+            success: true,
+            message: 'Order status auto-updated',
+            orderId: orderId,
+            oldStatus: result.oldStatus,
+            newStatus: status,
+            source: source || 'robot'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error in auto status update:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to auto-update order status',
+            error: error.message
+        });
+    }
+});
+
+console.log('📋 Order routes registered:');
+console.log('   - GET    /test              - Test endpoint');
+console.log('   - POST   /submit            - Submit new order');
+console.log('   - GET    /all               - Get all orders');
+console.log('   - GET    /pending           - Get pending orders');
+console.log('   - GET    /recent            - Get recent orders');
+console.log('   - GET    /status/:status    - Get orders by status');
+console.log('   - GET    /:orderId          - Get specific order');
+console.log('   - PUT    /:orderId/status   - Update order status');
+console.log('   - GET    /:orderId/history  - Get order status history');
+console.log('   - DELETE /:orderId          - Cancel order');
+console.log('   - POST   /auto-update-status- Auto status update from robot');
+
+// Export router و توابع تنظیم
+module.exports = router;
+module.exports.setSocketIO = setSocketIO;
+module.exports.setMQTTService = setMQTTService;
+module.exports.setDispatchService = setDispatchService;
+module.exports.setKitchenDisplay = setKitchenDisplay;
+module.exports.changeOrderStatus = changeOrderStatus;
+module.exports.completeDelivery = completeDelivery;
\ No newline at end of file
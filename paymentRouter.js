@@ -0,0 +1,320 @@
+// paymentRouter.js
+// Payments are tracked separately from the kitchen status: an order can be
+// 'ready' and 'unpaid', or paid up front while still 'pending'.
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js');
+const { requirePermission } = require('./permissions');
+const { audience, emitTo } = require('./realtime');
+
+const PAYMENT_METHODS = ['cash', 'card', 'other'];
+
+let io;
+
+// تابع برای تنظیم io reference
+function setSocketIO(socketIo) {
+  io = socketIo;
+}
+
+// مبالغ به سنت گرد می‌شوند تا خطای float در مقایسه‌ها پیش نیاید
+function toCents(value) {
+  return Math.round(parseFloat(value) * 100);
+}
+
+function formatPayment(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    type: row.type,
+    method: row.method,
+    amount: parseFloat(row.amount),
+    tip: parseFloat(row.tip),
+    refundOf: row.refund_of,
+    reference: row.reference,
+    note: row.note,
+    recordedBy: row.recorded_by,
+    createdAt: row.created_at
+  };
+}
+
+function validatePaymentLine({ method, amount, tip }) {
+  if (!PAYMENT_METHODS.includes(method)) {
+    return { valid: false, message: 'Invalid payment method. Allowed: ' + PAYMENT_METHODS.join(', ') };
+  }
+
+  if (isNaN(parseFloat(amount)) || toCents(amount) <= 0) {
+    return { valid: false, message: 'Payment amount must be greater than 0' };
+  }
+
+  if (tip !== undefined && (isNaN(parseFloat(tip)) || toCents(tip) < 0)) {
+    return { valid: false, message: 'Tip must be a number greater than or equal to 0' };
+  }
+
+  return { valid: true };
+}
+
+// Thrown inside a payment transaction; rolls it back and becomes the response
+function paymentError(message, statusCode, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+function sendError(res, err, message) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message, ...err.details });
+  }
+  res.status(500).json({ success: false, message, error: err.message });
+}
+
+function notifyPaymentChange(event, data, summary) {
+  if (io) {
+    const timestamp = new Date().toISOString();
+    emitTo(io, audience('payments:read'), event, { ...data, summary, timestamp });
+    emitTo(io, audience('payments:read'), 'order_payment_updated', { ...summary, timestamp });
+  }
+}
+
+// Table sessions close once every order of the visit is paid
+async function closeSessionIfSettled(sessionId, username) {
+  if (!sessionId) return false;
+
+  const closed = await db.closeTableSession(sessionId, username);
+  if (closed && io) {
+    emitTo(io, audience('sessions:read'), 'table_session_closed', { sessionId, closedBy: username, timestamp: new Date().toISOString() });
+  }
+  return closed;
+}
+
+// Orders the cashier still has to settle
+router.get('/unpaid', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const orders = await db.getUnpaidOrders();
+    res.json({ success: true, count: orders.length, orders });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get unpaid orders', error: err.message });
+  }
+});
+
+router.get('/order/:orderId', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const summary = await db.getOrderPaymentSummary(req.params.orderId);
+    if (!summary) return res.status(404).json({ success: false, message: 'Order not found' });
+
+    const payments = await db.getPaymentsForOrder(req.params.orderId);
+    res.json({ success: true, summary, payments: payments.map(formatPayment) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get payments', error: err.message });
+  }
+});
+
+// Record a payment. Split payments send several lines at once:
+// { orderId, method, amount, tip }  or  { orderId, payments: [{ method, amount, tip }, ...] }
+router.post('/', requirePermission('payments:record'), async (req, res) => {
+  try {
+    const { orderId, reference, note } = req.body;
+    const lines = Array.isArray(req.body.payments) ? req.body.payments : [req.body];
+
+    if (!orderId) return res.status(400).json({ success: false, message: 'orderId is required' });
+    if (!lines.length) return res.status(400).json({ success: false, message: 'At least one payment is required' });
+
+    for (const line of lines) {
+      const validation = validatePaymentLine(line);
+      if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+    }
+
+    // Balance check and inserts in one transaction with the order locked: two cashiers cannot both pay off
+    // the same balance, and a split that fails halfway records nothing
+    const { summary, paymentIds, updatedSummary } = await db.withTransaction(async query => {
+      const summary = await db.getOrderPaymentSummary(orderId, query, true);
+      if (!summary) throw paymentError('Order not found', 404);
+
+      if (summary.status === 'cancelled') {
+        throw paymentError('Cannot take payment for a cancelled order', 409);
+      }
+
+      // Change for cash is handed back by the cashier - only the amount owed is recorded
+      const totalCents = lines.reduce((sum, line) => sum + toCents(line.amount), 0);
+      if (totalCents > toCents(summary.balanceDue)) {
+        throw paymentError(
+          `Payment of ${(totalCents / 100).toFixed(2)} exceeds the balance due (${summary.balanceDue.toFixed(2)})`,
+          400,
+          { balanceDue: summary.balanceDue }
+        );
+      }
+
+      const paymentIds = [];
+      for (const line of lines) {
+        paymentIds.push(await db.createPayment({
+          orderId: summary.orderId,
+          method: line.method,
+          amount: toCents(line.amount) / 100,
+          tip: line.tip ? toCents(line.tip) / 100 : 0,
+          reference: line.reference || reference,
+          note: line.note || note,
+          recordedBy: req.session.user.username
+        }, query));
+      }
+
+      return { summary, paymentIds, updatedSummary: await db.refreshOrderPaymentStatus(summary.orderId, query) };
+    });
+
+    const payments = (await db.getPaymentsForOrder(summary.orderId)).map(formatPayment);
+    const recorded = payments.filter(payment => paymentIds.includes(payment.id));
+    const sessionClosed = await closeSessionIfSettled(updatedSummary.sessionId, req.session.user.username);
+
+    console.log(`💳 Order ${summary.orderId}: ${recorded.length} payment(s) by ${req.session.user.username}, now '${updatedSummary.paymentStatus}'`);
+    notifyPaymentChange('payment_recorded', {
+      orderId: summary.orderId,
+      payments: recorded,
+      recordedBy: req.session.user.username
+    }, updatedSummary);
+
+    res.status(201).json({ success: true, message: 'Payment recorded', payments: recorded, summary: updatedSummary, sessionClosed });
+  } catch (err) {
+    sendError(res, err, 'Failed to record payment');
+  }
+});
+
+// Pay (part of) a table session bill: { method, amount, tip, reference, note }
+// The amount is applied to the session's unpaid orders, oldest first; the tip goes on the first one.
+router.post('/session/:sessionId', requirePermission('payments:record'), async (req, res) => {
+  try {
+    const { method, amount, tip, reference, note } = req.body;
+    const validation = validatePaymentLine({ method, amount, tip });
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const session = await db.getTableSessionById(req.params.sessionId);
+    if (!session) return res.status(404).json({ success: false, message: 'Table session not found' });
+    if (session.status !== 'open') {
+      return res.status(409).json({ success: false, message: 'Table session is already closed' });
+    }
+
+    const summaries = await db.withTransaction(async query => {
+      const orders = await db.lockSessionOrders(session.id, query);
+      const openOrders = orders
+        .filter(order => order.status !== 'cancelled')
+        .map(order => ({ id: order.id, dueCents: toCents(order.totalPrice) - toCents(order.amount_paid) }))
+        .filter(order => order.dueCents > 0);
+
+      const balanceCents = openOrders.reduce((sum, order) => sum + order.dueCents, 0);
+      if (toCents(amount) > balanceCents) {
+        throw paymentError(
+          `Payment of ${parseFloat(amount).toFixed(2)} exceeds the balance due (${(balanceCents / 100).toFixed(2)})`,
+          400,
+          { balanceDue: balanceCents / 100 }
+        );
+      }
+
+      let remainingCents = toCents(amount);
+      let tipCents = tip ? toCents(tip) : 0;
+      const summaries = [];
+
+      for (const order of openOrders) {
+        if (remainingCents === 0) break;
+
+        const appliedCents = Math.min(order.dueCents, remainingCents);
+        await db.createPayment({
+          orderId: order.id,
+          method,
+          amount: appliedCents / 100,
+          tip: tipCents / 100,
+          reference,
+          note: note || `Table session ${session.id}`,
+          recordedBy: req.session.user.username
+        }, query);
+        remainingCents -= appliedCents;
+        tipCents = 0;
+
+        summaries.push(await db.refreshOrderPaymentStatus(order.id, query));
+      }
+      return summaries;
+    });
+
+    if (io) {
+      summaries.forEach(summary => emitTo(io, audience('payments:read'), 'order_payment_updated', { ...summary, timestamp: new Date().toISOString() }));
+    }
+
+    const sessionClosed = await closeSessionIfSettled(session.id, req.session.user.username);
+
+    console.log(`💳 Table session ${session.id}: ${parseFloat(amount).toFixed(2)} (${method}) across ${summaries.length} order(s) by ${req.session.user.username}`);
+    if (io) {
+      emitTo(io, audience('payments:read'), 'payment_recorded', {
+        sessionId: session.id,
+        orderIds: summaries.map(summary => summary.orderId),
+        recordedBy: req.session.user.username,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(201).json({ success: true, message: 'Payment recorded', orders: summaries, sessionClosed });
+  } catch (err) {
+    sendError(res, err, 'Failed to record payment');
+  }
+});
+
+// Refund all or part of a payment: { amount, tip, reason }
+// Without amount/tip the whole remaining payment is refunded
+router.post('/:paymentId/refund', requirePermission('payments:refund'), async (req, res) => {
+  try {
+    // The payment stays locked from the refundable check to the insert: two refunds at once cannot both
+    // take what is left on it
+    const { payment, refundId, summary } = await db.withTransaction(async query => {
+      const payment = await db.getPaymentById(req.params.paymentId, query, true);
+      if (!payment) throw paymentError('Payment not found', 404);
+
+      if (payment.type !== 'payment') {
+        throw paymentError('Only payments can be refunded', 400);
+      }
+
+      const refunded = await db.getRefundedTotals(payment.id, query);
+      const refundableCents = toCents(payment.amount) - toCents(refunded.amount);
+      const refundableTipCents = toCents(payment.tip) - toCents(refunded.tip);
+      const fullRefund = req.body.amount === undefined && req.body.tip === undefined;
+
+      const amountCents = fullRefund ? refundableCents : toCents(req.body.amount || 0);
+      const tipCents = fullRefund ? refundableTipCents : toCents(req.body.tip || 0);
+
+      if (isNaN(amountCents) || isNaN(tipCents) || amountCents < 0 || tipCents < 0 || amountCents + tipCents === 0) {
+        throw paymentError('Refund amount must be greater than 0', 400);
+      }
+
+      if (amountCents > refundableCents || tipCents > refundableTipCents) {
+        throw paymentError('Refund exceeds what is left on this payment', 400, {
+          refundable: { amount: refundableCents / 100, tip: refundableTipCents / 100 }
+        });
+      }
+
+      const refundId = await db.createPayment({
+        orderId: payment.order_id,
+        type: 'refund',
+        method: payment.method,
+        amount: amountCents / 100,
+        tip: tipCents / 100,
+        refundOf: payment.id,
+        note: req.body.reason,
+        recordedBy: req.session.user.username
+      }, query);
+
+      return { payment, refundId, summary: await db.refreshOrderPaymentStatus(payment.order_id, query) };
+    });
+
+    const refund = formatPayment(await db.getPaymentById(refundId));
+
+    console.log(`↩️ Refund ${refundId} of payment ${payment.id} (order ${payment.order_id}) by ${req.session.user.username}`);
+    notifyPaymentChange('payment_refunded', {
+      orderId: payment.order_id,
+      refund,
+      recordedBy: req.session.user.username
+    }, summary);
+
+    res.status(201).json({ success: true, message: 'Refund recorded', refund, summary });
+  } catch (err) {
+    sendError(res, err, 'Failed to record refund');
+  }
+});
+
+module.exports = router;
+module.exports.setSocketIO = setSocketIO;
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
@@ -0,0 +1,94 @@
+// permissions.js
+// Server-side permission matrix. The dashboard's rolePermissions only hides
+// buttons - every protected route must check here as well.
+
+// Which roles hold each permission
+const PERMISSIONS = {
+  // Orders
+  'orders:read':          ['admin', 'manager', 'kitchen', 'cashier', 'robot'],
+  'orders:update-status': ['admin', 'manager', 'kitchen', 'cashier', 'robot'], // per-transition roles: order-lifecycle.js
+  'orders:cancel':        ['admin', 'manager', 'cashier'],
+  'orders:auto-update':   ['admin', 'manager', 'robot'],
+
+  // Users
+  'users:manage':         ['admin'],
+
+  // Menu
+  'menu:manage':          ['admin', 'manager'],
+  'menu:availability':    ['admin', 'manager', 'kitchen'],
+  'discounts:manage':     ['admin', 'manager'],
+
+  // Payments
+  'payments:read':        ['admin', 'manager', 'cashier'],
+  'payments:record':      ['admin', 'manager', 'cashier'],
+  'payments:refund':      ['admin', 'manager'],
+
+  // Table sessions (bills)
+  'sessions:read':        ['admin', 'manager', 'cashier'],
+  'sessions:close':       ['admin', 'manager', 'cashier'],
+  'sessions:force-close': ['admin', 'manager'],
+
+  // Receipts, settings & reports
+  'receipts:print':       ['admin', 'manager', 'cashier'],
+  'settings:read':        ['admin', 'manager'],
+  'settings:manage':      ['admin'],
+  'reports:read':         ['admin', 'manager'],
+
+  // Kitchen display (station tickets)
+  'kitchen:read':         ['admin', 'manager', 'kitchen'],
+  'kitchen:bump':         ['admin', 'manager', 'kitchen'],
+
+  // Delivery dispatch queue
+  'dispatch:read':        ['admin', 'manager', 'kitchen', 'robot'],
+  'dispatch:manage':      ['admin', 'manager'],
+
+  // Robot / MQTT
+  'robot:status':         ['admin', 'manager', 'robot'],
+  'robot:control':        ['admin', 'robot'],
+  'robot:emergency-stop': ['admin', 'manager', 'robot'],
+  'robot:emergency-resume': ['admin', 'manager'],
+  'robot:manage':         ['admin'],
+  'robot:alerts':         ['admin', 'manager'],
+
+  // Floor plan (table poses for robot navigation)
+  'floor:read':           ['admin', 'manager', 'kitchen', 'robot'],
+  'floor:manage':         ['admin', 'manager'],
+
+  // QR table tokens (which table a customer order is for)
+  'tables:qr':            ['admin', 'manager']
+};
+
+function hasPermission(role, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    console.warn(`⚠️ Unknown permission checked: ${permission}`);
+    return false;
+  }
+  return roles.includes(role);
+}
+
+// Express middleware - 401 without a session, 403 when the role lacks the permission
+function requirePermission(permission) {
+  return function(req, res, next) {
+    const user = req.session && req.session.user;
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    if (!hasPermission(user.role, permission)) {
+      console.warn(`🚫 ${user.username} (${user.role}) denied '${permission}' on ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        message: `Access denied: your role '${user.role}' cannot perform '${permission}'`
+      });
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  hasPermission,
+  requirePermission
+};
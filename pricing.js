@@ -0,0 +1,236 @@
+// pricing.js
+// Order totals: subtotal -> discounts -> service charge -> VAT per category.
+// All amounts are computed in cents to avoid float drift.
+const db = require('./db.js');
+const { getSettings } = require('./settings');
+
+const DISCOUNT_TYPES = ['percent', 'fixed', 'bogo'];
+
+// Discounts apply in this order, each on what is left after the previous ones
+const DISCOUNT_ORDER = { percent: 0, bogo: 1, fixed: 2 };
+
+function toCents(value) {
+  return Math.round(parseFloat(value || 0) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function pricingError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 400;
+  return error;
+}
+
+// 'HH:MM[:SS]' -> minutes since midnight
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part));
+  return hours * 60 + (minutes || 0);
+}
+
+// Date range, days of the week (0 = Sunday) and daily time window (happy hour).
+// Times use the server's local clock; a window like 22:00-02:00 crosses midnight.
+function isDiscountActive(discount, now) {
+  if (!discount.active) return false;
+  if (discount.starts_at && now < new Date(discount.starts_at)) return false;
+  if (discount.ends_at && now > new Date(discount.ends_at)) return false;
+
+  if (discount.days) {
+    const days = String(discount.days).split(',').map(day => parseInt(day));
+    if (!days.includes(now.getDay())) return false;
+  }
+
+  if (discount.time_from && discount.time_to) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const from = timeToMinutes(discount.time_from);
+    const to = timeToMinutes(discount.time_to);
+    const inWindow = from <= to ? (minutes >= from && minutes < to) : (minutes >= from || minutes < to);
+    if (!inWindow) return false;
+  }
+
+  return true;
+}
+
+function appliesTo(discount, entry) {
+  if (discount.menu_item_id && entry.line.menuItemId !== discount.menu_item_id) return false;
+  if (discount.category_id && entry.categoryId !== discount.category_id) return false;
+  return true;
+}
+
+function netCents(entry) {
+  return entry.grossCents - entry.discountCents;
+}
+
+// Spread an amount over entries in proportion to their net amount; the last entry takes the rounding rest
+function allocate(entries, amountCents) {
+  const base = entries.reduce((sum, entry) => sum + netCents(entry), 0);
+  let remaining = amountCents;
+
+  entries.forEach((entry, index) => {
+    const share = index === entries.length - 1
+      ? remaining
+      : Math.min(remaining, Math.round(amountCents * netCents(entry) / base));
+    entry.discountCents += share;
+    remaining -= share;
+  });
+}
+
+// Returns the discount amount in cents and applies it to the entries
+function applyDiscount(discount, entries) {
+  const eligible = entries.filter(entry => appliesTo(discount, entry) && netCents(entry) > 0);
+  const eligibleCents = eligible.reduce((sum, entry) => sum + netCents(entry), 0);
+
+  if (!eligible.length) return 0;
+  if (discount.min_subtotal && eligibleCents < toCents(discount.min_subtotal)) return 0;
+
+  if (discount.type === 'percent') {
+    const percent = Math.min(100, parseFloat(discount.value));
+    return eligible.reduce((sum, entry) => {
+      const cents = Math.round(netCents(entry) * percent / 100);
+      entry.discountCents += cents;
+      return sum + cents;
+    }, 0);
+  }
+
+  if (discount.type === 'fixed') {
+    const cents = Math.min(toCents(discount.value), eligibleCents);
+    allocate(eligible, cents);
+    return cents;
+  }
+
+  if (discount.type === 'bogo') {
+    // Buy X get Y: for every X + Y units, the cheapest Y are free.
+    // A unit is worth its price after the discounts applied before this one.
+    const buy = parseInt(discount.buy_quantity);
+    const get = parseInt(discount.get_quantity);
+    if (!(buy > 0 && get > 0)) return 0;
+
+    const unitCents = entry => Math.round(netCents(entry) / entry.line.quantity);
+    const totalUnits = eligible.reduce((sum, entry) => sum + entry.line.quantity, 0);
+    let freeUnits = Math.floor(totalUnits / (buy + get)) * get;
+    let total = 0;
+
+    [...eligible]
+      .sort((a, b) => unitCents(a) - unitCents(b))
+      .forEach(entry => {
+        if (freeUnits === 0) return;
+        const units = Math.min(freeUnits, entry.line.quantity);
+        const cents = Math.min(units * unitCents(entry), netCents(entry));
+        entry.discountCents += cents;
+        total += cents;
+        freeUnits -= units;
+      });
+
+    return total;
+  }
+
+  return 0;
+}
+
+// Pure calculation on consolidated lines (processOrderItems output).
+// context: { settings, categoryByItem: Map(menuItemId -> { categoryId, vatRate }), discounts, now }
+function calculatePricing(lines, context) {
+  const { settings, categoryByItem, discounts, now } = context;
+  const defaultVatRate = parseFloat(settings['tax.rate']) || 0;
+  const taxInclusive = settings['tax.inclusive'] !== false;
+
+  const entries = lines.map(line => {
+    const category = categoryByItem.get(line.menuItemId) || {};
+    return {
+      line,
+      categoryId: category.categoryId || null,
+      vatRate: category.vatRate !== null && category.vatRate !== undefined ? parseFloat(category.vatRate) : defaultVatRate,
+      grossCents: toCents(line.price) * line.quantity,
+      discountCents: 0
+    };
+  });
+
+  const subtotalCents = entries.reduce((sum, entry) => sum + entry.grossCents, 0);
+
+  const appliedDiscounts = [];
+  discounts
+    .filter(discount => isDiscountActive(discount, now))
+    .sort((a, b) => DISCOUNT_ORDER[a.type] - DISCOUNT_ORDER[b.type] || a.id - b.id)
+    .forEach(discount => {
+      const cents = applyDiscount(discount, entries);
+      if (cents > 0) {
+        appliedDiscounts.push({ id: discount.id, name: discount.name, type: discount.type, amount: fromCents(cents) });
+      }
+    });
+
+  const discountCents = entries.reduce((sum, entry) => sum + entry.discountCents, 0);
+  const netSubtotalCents = subtotalCents - discountCents;
+
+  const serviceRate = parseFloat(settings['service.rate']) || 0;
+  const serviceCents = Math.round(netSubtotalCents * serviceRate / 100);
+
+  // VAT is rounded once per rate, not per line
+  const taxableByRate = new Map();
+  entries.forEach(entry => {
+    taxableByRate.set(entry.vatRate, (taxableByRate.get(entry.vatRate) || 0) + netCents(entry));
+  });
+
+  const taxes = [];
+  let taxCents = 0;
+  taxableByRate.forEach((taxableCents, rate) => {
+    if (rate <= 0 || taxableCents <= 0) return;
+    const cents = taxInclusive
+      ? Math.round(taxableCents * rate / (100 + rate))
+      : Math.round(taxableCents * rate / 100);
+    taxes.push({ label: settings['tax.label'], rate, taxable: fromCents(taxableCents), amount: fromCents(cents) });
+    taxCents += cents;
+  });
+
+  return {
+    lines: entries.map(entry => ({
+      ...entry.line,
+      vatRate: entry.vatRate,
+      discount: fromCents(entry.discountCents)
+    })),
+    subtotal: fromCents(subtotalCents),
+    discounts: appliedDiscounts,
+    discountTotal: fromCents(discountCents),
+    service: serviceRate > 0 ? { label: settings['service.label'], rate: serviceRate, amount: fromCents(serviceCents) } : null,
+    serviceCharge: fromCents(serviceCents),
+    taxes,
+    taxTotal: fromCents(taxCents),
+    taxInclusive,
+    total: fromCents(netSubtotalCents + serviceCents + (taxInclusive ? 0 : taxCents))
+  };
+}
+
+// Resolve client lines against the menu and price the order.
+// options: { discountCode, now }
+async function priceOrder(items, options = {}) {
+  const resolvedItems = await db.resolveMenuItems(items);
+  const lines = db.processOrderItems(resolvedItems);
+  const now = options.now || new Date();
+  const discountCode = options.discountCode ? String(options.discountCode).trim().toUpperCase() : null;
+
+  const settings = await getSettings();
+  const categoryRows = await db.getItemCategoryRates(lines.map(line => line.menuItemId).filter(Boolean));
+  const discounts = await db.getActiveDiscounts(discountCode);
+
+  if (discountCode) {
+    const coded = discounts.find(discount => discount.code === discountCode);
+    if (!coded || !isDiscountActive(coded, now)) {
+      throw pricingError('INVALID_DISCOUNT_CODE', `Discount code '${options.discountCode}' is not valid right now`);
+    }
+  }
+
+  return calculatePricing(lines, {
+    settings,
+    categoryByItem: new Map(categoryRows.map(row => [row.id, { categoryId: row.category_id, vatRate: row.vat_rate }])),
+    discounts,
+    now
+  });
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  isDiscountActive,
+  calculatePricing,
+  priceOrder
+};
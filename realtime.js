@@ -0,0 +1,236 @@
+// realtime.js
+// Who gets which Socket.IO event. Staff sockets are authenticated with the dashboard's express-session cookie and
+// join one room per role; events go to the rooms of the roles holding the permission the matching REST route
+// needs (permissions.js), e.g. emitTo(io, audience('robot:status'), ...). Besides the role rooms:
+//   table:{tableId}  guests (the customer app) following their table's orders - handshake auth: { tableToken }
+//                    from the table's QR code (table-tokens.js); a bare { tableId } only while they are not required
+//   order:{orderId}  guests tracking one order - auth: { trackingToken } or 'track_order' (tracking.js)
+//   robot:{robotId}  sockets watching one robot ('watch_robot'), for its location stream
+//   session:{id}     every socket of one login, disconnected on logout
+// Broadcasts go out through emitTo, which numbers them (`seq`) and keeps them in event-log.js; a client
+// reconnecting with auth: { lastSeq, epoch } is sent the events it missed, then 'event_sync'.
+const { ROLES } = require('./auth');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+const { EventLog } = require('./event-log');
+const { verifyTrackingToken, getTracking } = require('./tracking');
+const { verifyTableToken, tableTokensInForce } = require('./table-tokens');
+
+const TABLE_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+// Pages on other origins allowed to open sockets (comma-separated), e.g. the customer app on its own domain
+const SOCKET_ORIGINS = (process.env.SOCKET_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+let eventLog = null;
+
+function roleRoom(role) {
+  return `role:${role}`;
+}
+
+function tableRoom(tableId) {
+  return `table:${tableId}`;
+}
+
+function robotRoom(robotId) {
+  return `robot:${robotId}`;
+}
+
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+function orderRoom(orderId) {
+  return `order:${orderId}`;
+}
+
+// Role rooms of the roles that hold the permission
+function audience(permission) {
+  return (PERMISSIONS[permission] || []).map(roleRoom);
+}
+
+// Every signed-in staff member, for events that are not tied to one area (emergency stop, broker status)
+function staff() {
+  return ROLES.map(roleRoom);
+}
+
+// What a guest following a table may see of an order: no prices, no staff names
+function guestOrder(order) {
+  return {
+    orderId: order.id,
+    tableId: order.tableId,
+    status: order.status,
+    items: (order.items || []).map(item => ({ name: item.name, quantity: item.quantity })),
+    createdAt: order.created_at
+  };
+}
+
+function guestLabel(socket) {
+  const { tableId, orderIds } = socket.data;
+  return tableId ? `guest of table ${tableId}` : `guest tracking order(s) ${orderIds.join(', ')}`;
+}
+
+// Sends a broadcast to the room(s) - null for every socket - numbered and logged for replay
+function emitTo(io, rooms, event, data) {
+  const roomList = rooms ? [].concat(rooms) : [];
+  const payload = eventLog ? eventLog.record(event, data, roomList) : data;
+  (roomList.length ? io.to(roomList) : io).emit(event, payload);
+}
+
+// Socket.IO allowRequest, for every handshake request and the WebSocket upgrade (which CORS does not cover):
+// a page on another site must not open a socket with a staff member's session cookie. Clients without an Origin
+// header (apps, robots) carry no browser cookies and are let through.
+function allowRequest(req, callback) {
+  const { origin, host } = req.headers;
+  let allowed = !origin || SOCKET_ORIGINS.includes(origin);
+  if (!allowed) {
+    try {
+      allowed = new URL(origin).host === host;
+    } catch (error) {
+      allowed = false;
+    }
+  }
+
+  if (!allowed) console.warn(`🚫 Socket from origin ${origin} refused`);
+  callback(allowed ? null : 'Origin not allowed', allowed);
+}
+
+// Staff by session; a guest only with a table or an order to follow
+async function authenticateSocket(socket, next) {
+  const session = socket.request.session;
+  const user = session && session.user;
+  if (user) {
+    socket.data.user = { id: user.id, username: user.username, role: user.role };
+    socket.data.sessionId = socket.request.sessionID;
+    return next();
+  }
+
+  const auth = socket.handshake.auth || {};
+  const orderId = auth.trackingToken ? verifyTrackingToken(auth.trackingToken) : null;
+  socket.data.orderIds = orderId ? [orderId] : [];
+  try {
+    if (auth.tableToken) {
+      const token = await verifyTableToken(auth.tableToken);
+      if (token) socket.data.tableId = token.table_id;
+    } else if (auth.tableId !== undefined && TABLE_ID_PATTERN.test(String(auth.tableId)) && !(await tableTokensInForce())) {
+      socket.data.tableId = String(auth.tableId);
+    }
+  } catch (error) {
+    console.error('❌ Failed to check socket table:', error.message);
+  }
+  if (socket.data.tableId || orderId) return next();
+
+  next(new Error('Authentication required'));
+}
+
+// The socket counterpart of requirePermission; tells the client why with a socket_error
+function socketCan(socket, permission, event) {
+  const user = socket.data.user;
+  if (user && hasPermission(user.role, permission)) return true;
+
+  console.warn(`🚫 ${user ? `${user.username} (${user.role})` : guestLabel(socket)} denied '${permission}' on socket event ${event}`);
+  socket.emit('socket_error', {
+    event,
+    message: user ? `Access denied: your role '${user.role}' cannot perform '${permission}'` : 'Authentication required'
+  });
+  return false;
+}
+
+// Current progress of one order, to the customers tracking it
+async function publishTracking(io, orderId) {
+  try {
+    const tracking = await getTracking(orderId);
+    if (tracking) emitTo(io, orderRoom(orderId), 'order_tracking', tracking);
+  } catch (error) {
+    console.error(`❌ Failed to publish tracking of order #${orderId}:`, error.message);
+  }
+}
+
+async function sendTracking(socket, orderId) {
+  try {
+    const tracking = await getTracking(orderId);
+    if (tracking) socket.emit('order_tracking', tracking);
+  } catch (error) {
+    console.error(`❌ Failed to send tracking of order #${orderId}:`, error.message);
+  }
+}
+
+// Replays what the socket missed since its lastSeq, or tells it to reload everything
+function syncEvents(socket) {
+  const { lastSeq, epoch } = socket.handshake.auth || {};
+  const result = lastSeq === undefined ? { events: [] } : eventLog.since(Number(lastSeq), epoch, socket.rooms);
+
+  if (result.resync) {
+    console.log(`🔁 Socket ${socket.id} must resync (${result.resync})`);
+  } else if (result.events.length) {
+    console.log(`🔁 Replaying ${result.events.length} missed event(s) to socket ${socket.id} (after #${lastSeq})`);
+    result.events.forEach(entry => socket.emit(entry.event, entry.data));
+  }
+
+  socket.emit('event_sync', {
+    epoch: eventLog.epoch,
+    seq: eventLog.seq,
+    replayed: result.events ? result.events.length : 0,
+    resync: Boolean(result.resync),
+    reason: result.resync || null
+  });
+}
+
+function joinRooms(socket) {
+  const { user, tableId, sessionId, orderIds } = socket.data;
+  if (user) {
+    socket.join([roleRoom(user.role), sessionRoom(sessionId)]);
+  } else {
+    if (tableId) socket.join(tableRoom(tableId));
+    socket.join(orderIds.map(orderRoom));
+    orderIds.forEach(orderId => sendTracking(socket, orderId));
+  }
+  syncEvents(socket);
+
+  // One more order on the same socket, e.g. a second round at the table
+  socket.on('track_order', (token) => {
+    const orderId = verifyTrackingToken(token);
+    if (!orderId) {
+      socket.emit('socket_error', { event: 'track_order', message: 'Invalid or expired tracking token' });
+      return;
+    }
+    socket.join(orderRoom(orderId));
+    sendTracking(socket, orderId);
+  });
+
+  socket.on('watch_robot', (robotId) => {
+    if (!socketCan(socket, 'robot:status', 'watch_robot')) return;
+    socket.join(robotRoom(String(robotId)));
+  });
+
+  socket.on('unwatch_robot', (robotId) => {
+    socket.leave(robotRoom(String(robotId)));
+  });
+}
+
+// sessionMiddleware: the express-session middleware the app uses, so sockets see req.session
+function setup(io, sessionMiddleware) {
+  eventLog = new EventLog();
+
+  io.engine.use(sessionMiddleware);
+  io.use(authenticateSocket);
+  io.on('connection', joinRooms);
+  return eventLog;
+}
+
+function disconnectSession(io, sessionId) {
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+}
+
+module.exports = {
+  SOCKET_ORIGINS,
+  allowRequest,
+  setup,
+  emitTo,
+  audience,
+  staff,
+  socketCan,
+  guestLabel,
+  guestOrder,
+  tableRoom,
+  robotRoom,
+  publishTracking,
+  disconnectSession
+};
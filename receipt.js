@@ -0,0 +1,461 @@
+// receipt.js
+// Receipts / invoices for an order or a table session, rendered as HTML, PDF or
+// plain text for 58mm / 80mm thermal printers.
+const PDFDocument = require('pdfkit');
+const db = require('./db.js');
+const { getSettings } = require('./settings');
+const { summarizePricing, buildSessionBill } = require('./table-bill');
+
+const RECEIPT_FORMATS = ['html', 'pdf', 'text', 'escpos'];
+
+// Characters per line with the printer's default font A
+const PAPER_WIDTHS = { 58: 32, 80: 48 };
+
+// ESC/POS control sequences
+const ESC_POS_INIT = Buffer.from([0x1b, 0x40]);       // ESC @
+const ESC_POS_CUT = Buffer.from([0x1d, 0x56, 0x42, 0x00]); // GS V B 0 - feed and partial cut
+
+// The PDF standard fonts (Helvetica) have no Persian glyphs; Vazirmatn covers Latin and Persian
+const PDF_FONTS = {
+  Regular: require.resolve('vazirmatn/fonts/ttf/Vazirmatn-Regular.ttf'),
+  Bold: require.resolve('vazirmatn/fonts/ttf/Vazirmatn-Bold.ttf')
+};
+
+function toCents(value) {
+  return Math.round(parseFloat(value || 0) * 100);
+}
+
+// Snapshot of the lines stored with the invoice
+function invoiceLines(items) {
+  return items.map(item => ({
+    name: item.name,
+    modifiers: (item.modifiers || []).map(modifier => modifier.name),
+    notes: item.notes || '',
+    quantity: item.quantity,
+    unitPrice: toCents(item.unitPrice !== undefined ? item.unitPrice : item.price) / 100,
+    total: toCents(item.total !== undefined ? item.total : item.totalItemPrice) / 100
+  }));
+}
+
+// Totals frozen on the invoice: summary of the orders' stored pricing
+function invoiceTotals(pricing) {
+  return {
+    subtotal: pricing.subtotal,
+    discountTotal: pricing.discountTotal,
+    serviceCharge: pricing.serviceCharge,
+    tax: pricing.taxTotal,
+    total: pricing.total,
+    pricing: {
+      discounts: pricing.discounts,
+      service: pricing.service,
+      taxes: pricing.taxes,
+      taxInclusive: pricing.taxInclusive
+    }
+  };
+}
+
+function totalsFromInvoice(invoice) {
+  const breakdown = invoice.pricing ? JSON.parse(invoice.pricing) : {};
+  return {
+    subtotal: parseFloat(invoice.subtotal),
+    discounts: breakdown.discounts || [],
+    service: breakdown.service || null,
+    taxes: breakdown.taxes || [],
+    taxInclusive: breakdown.taxInclusive !== false,
+    total: parseFloat(invoice.total)
+  };
+}
+
+function buildReceipt(settings, data) {
+  const { totals } = data;
+
+  return {
+    cafe: {
+      name: settings['cafe.name'],
+      address: settings['cafe.address'],
+      phone: settings['cafe.phone'],
+      taxId: settings['cafe.taxId']
+    },
+    currency: settings['currency'],
+    footer: settings['receipt.footer'],
+    invoiceNumber: data.invoice ? data.invoice.invoice_number : null,
+    proforma: !data.invoice,
+    // Set when the orders are on another invoice: the session's, or their own ones
+    coveredBy: data.coveredBy || null,
+    separateInvoices: data.separateInvoices || [],
+    issuedAt: data.invoice ? data.invoice.issued_at : new Date(),
+    tableId: data.tableId,
+    orderIds: data.orderIds,
+    lines: data.lines,
+    subtotal: totals.subtotal,
+    discounts: totals.discounts,
+    service: totals.service,
+    taxes: totals.taxes.map(tax => ({ ...tax, included: totals.taxInclusive })),
+    total: totals.total,
+    amountPaid: data.amountPaid,
+    tipTotal: data.tipTotal,
+    balanceDue: Math.max(0, toCents(totals.total) - toCents(data.amountPaid)) / 100
+  };
+}
+
+// Whether a session invoice includes the order (older ones without order_ids cover the whole session)
+function sessionInvoiceCovers(invoice, orderId) {
+  return !invoice.order_ids || JSON.parse(invoice.order_ids).includes(orderId);
+}
+
+// Issues the order's invoice on first print; reprints reuse the stored snapshot.
+// An order already on its closed session's invoice gets no second invoice - the receipt names that one.
+async function getOrderReceipt(order, issuedBy) {
+  const settings = await getSettings();
+  let invoice = await db.getInvoice({ orderId: order.id });
+
+  const sessionInvoice = !invoice && order.session_id ? await db.getInvoice({ sessionId: order.session_id }) : null;
+  if (sessionInvoice && sessionInvoiceCovers(sessionInvoice, order.id)) {
+    return buildReceipt(settings, {
+      invoice: null,
+      coveredBy: sessionInvoice.invoice_number,
+      tableId: order.tableId,
+      orderIds: [order.id],
+      lines: invoiceLines(order.items),
+      totals: summarizePricing([order]),
+      amountPaid: parseFloat(order.amount_paid || 0),
+      tipTotal: parseFloat(order.tip_total || 0)
+    });
+  }
+
+  if (!invoice) {
+    invoice = await db.createInvoice({
+      orderId: order.id,
+      items: invoiceLines(order.items),
+      ...invoiceTotals(summarizePricing([order])),
+      issuedBy
+    }, settings['invoice.prefix']);
+  }
+
+  return buildReceipt(settings, {
+    invoice,
+    tableId: order.tableId,
+    orderIds: [order.id],
+    lines: JSON.parse(invoice.items),
+    totals: totalsFromInvoice(invoice),
+    amountPaid: parseFloat(order.amount_paid || 0),
+    tipTotal: parseFloat(order.tip_total || 0)
+  });
+}
+
+// Combined receipt for a table session (bill from table-bill.js). While the
+// session is open more orders can arrive, so it prints as a pro-forma bill
+// without an invoice number; the invoice is issued once the session is closed.
+// Orders that were invoiced on their own are left out and listed by invoice number instead.
+async function getSessionReceipt(bill, issuedBy) {
+  const settings = await getSettings();
+  let invoice = await db.getInvoice({ sessionId: bill.session.id });
+
+  const activeIds = bill.orders.filter(order => order.status !== 'cancelled').map(order => order.id);
+  const separate = (await db.getOrderInvoices(activeIds))
+    .filter(orderInvoice => !invoice || !sessionInvoiceCovers(invoice, orderInvoice.order_id));
+
+  let billed = bill;
+  if (separate.length) {
+    const invoicedIds = new Set(separate.map(orderInvoice => orderInvoice.order_id));
+    const [session, orders] = await Promise.all([
+      db.getTableSessionById(bill.session.id),
+      db.getOrdersBySession(bill.session.id)
+    ]);
+    billed = buildSessionBill(session, orders.filter(order => !invoicedIds.has(order.id)));
+  }
+  const orderIds = billed.orders.filter(order => order.status !== 'cancelled').map(order => order.id);
+
+  if (!invoice && bill.session.status === 'closed' && orderIds.length) {
+    invoice = await db.createInvoice({
+      sessionId: bill.session.id,
+      orderIds,
+      items: invoiceLines(billed.lines),
+      ...invoiceTotals(billed.pricing),
+      issuedBy
+    }, settings['invoice.prefix']);
+  }
+
+  return buildReceipt(settings, {
+    invoice,
+    separateInvoices: separate.map(orderInvoice => orderInvoice.invoice_number),
+    tableId: bill.session.tableId,
+    orderIds,
+    lines: invoice ? JSON.parse(invoice.items) : invoiceLines(billed.lines),
+    totals: invoice ? totalsFromInvoice(invoice) : billed.pricing,
+    amountPaid: billed.amountPaid,
+    tipTotal: billed.tipTotal
+  });
+}
+
+// ========== RENDERING ==========
+
+function formatMoney(amount, currency) {
+  return `${parseFloat(amount).toFixed(2)}${currency ? ' ' + currency : ''}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleString('en-GB', { hour12: false });
+}
+
+function receiptTitle(receipt) {
+  if (receipt.coveredBy) return `Copy - invoiced on ${receipt.coveredBy}`;
+  return receipt.proforma ? 'BILL (not an invoice)' : `Invoice ${receipt.invoiceNumber}`;
+}
+
+// Shown under the order numbers of a session receipt
+function separateInvoicesNote(receipt) {
+  return receipt.separateInvoices.length ? `Invoiced separately: ${receipt.separateInvoices.join(', ')}` : null;
+}
+
+// Rows under the item lines, shared by every format: subtotal, discounts, service,
+// VAT added on top, TOTAL, VAT included in the prices, then payments
+function summaryRows(receipt) {
+  const rows = [];
+  const addedTaxes = receipt.taxes.filter(tax => !tax.included);
+  const includedTaxes = receipt.taxes.filter(tax => tax.included);
+
+  if (receipt.discounts.length || receipt.service || addedTaxes.length) {
+    rows.push({ label: 'Subtotal', amount: receipt.subtotal });
+  }
+  receipt.discounts.forEach(discount => rows.push({ label: discount.name, amount: -discount.amount }));
+  if (receipt.service) {
+    rows.push({ label: `${receipt.service.label} ${receipt.service.rate}%`, amount: receipt.service.amount });
+  }
+  addedTaxes.forEach(tax => rows.push({ label: `${tax.label} ${tax.rate}%`, amount: tax.amount }));
+
+  rows.push({ label: 'TOTAL', amount: receipt.total, total: true });
+
+  includedTaxes.forEach(tax => rows.push({ label: `incl. ${tax.label} ${tax.rate}%`, amount: tax.amount, minor: true }));
+  if (receipt.amountPaid > 0) rows.push({ label: 'Paid', amount: receipt.amountPaid });
+  if (receipt.tipTotal > 0) rows.push({ label: 'Tip', amount: receipt.tipTotal });
+  if (receipt.balanceDue > 0) rows.push({ label: 'Balance due', amount: receipt.balanceDue });
+
+  return rows.map(row => ({
+    ...row,
+    amount: row.total ? formatMoney(row.amount, receipt.currency) : parseFloat(row.amount).toFixed(2)
+  }));
+}
+
+function padLine(left, right, width) {
+  const space = width - right.length - 1;
+  const text = left.length > space ? left.substring(0, space - 1) + '~' : left;
+  return text + ' '.repeat(width - text.length - right.length) + right;
+}
+
+function centerLine(text, width) {
+  const line = text.substring(0, width);
+  return ' '.repeat(Math.floor((width - line.length) / 2)) + line;
+}
+
+function renderText(receipt, paper = 80) {
+  const width = PAPER_WIDTHS[paper] || PAPER_WIDTHS[80];
+  const separator = '-'.repeat(width);
+  const out = [];
+
+  out.push(centerLine(receipt.cafe.name, width));
+  [receipt.cafe.address, receipt.cafe.phone, receipt.cafe.taxId && `Tax ID: ${receipt.cafe.taxId}`]
+    .filter(Boolean)
+    .forEach(line => out.push(centerLine(line, width)));
+  out.push(separator);
+
+  out.push(receiptTitle(receipt));
+  out.push(formatDate(receipt.issuedAt));
+  out.push(`Table ${receipt.tableId}  Order${receipt.orderIds.length > 1 ? 's' : ''} #${receipt.orderIds.join(', #')}`);
+  if (separateInvoicesNote(receipt)) out.push(separateInvoicesNote(receipt).substring(0, width));
+  out.push(separator);
+
+  receipt.lines.forEach(line => {
+    out.push(padLine(`${line.quantity} x ${line.name}`, parseFloat(line.total).toFixed(2), width));
+    line.modifiers.forEach(modifier => out.push(`   + ${modifier}`.substring(0, width)));
+    if (line.notes) out.push(`   * ${line.notes}`.substring(0, width));
+  });
+  out.push(separator);
+
+  summaryRows(receipt).forEach(row => {
+    out.push(padLine(row.minor ? `  ${row.label}` : row.label, row.amount, width));
+  });
+
+  if (receipt.footer) {
+    out.push(separator);
+    out.push(centerLine(receipt.footer, width));
+  }
+
+  return out.join('\n') + '\n';
+}
+
+// Plain text wrapped in ESC/POS init and cut commands, ready to send to the printer
+function renderEscPos(receipt, paper = 80) {
+  return Buffer.concat([ESC_POS_INIT, Buffer.from(renderText(receipt, paper) + '\n\n\n', 'utf8'), ESC_POS_CUT]);
+}
+
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderHtml(receipt) {
+  const lines = receipt.lines.map(line => `
+      <tr>
+        <td>${line.quantity} x ${escapeHtml(line.name)}
+          ${line.modifiers.map(modifier => `<div class="sub">+ ${escapeHtml(modifier)}</div>`).join('')}
+          ${line.notes ? `<div class="sub">* ${escapeHtml(line.notes)}</div>` : ''}
+        </td>
+        <td class="amount">${parseFloat(line.total).toFixed(2)}</td>
+      </tr>`).join('');
+
+  const summary = summaryRows(receipt).map(row => `
+      <tr class="${row.total ? 'total' : (row.minor ? 'sub' : '')}">
+        <td>${escapeHtml(row.label)}</td><td class="amount">${escapeHtml(row.amount)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(receiptTitle(receipt))}</title>
+  <style>
+    body { font-family: monospace; max-width: 80mm; margin: 0 auto; padding: 10px; }
+    .center { text-align: center; }
+    table { width: 100%; border-collapse: collapse; }
+    td { vertical-align: top; padding: 2px 0; }
+    .amount { text-align: right; white-space: nowrap; }
+    .sub { font-size: 0.85em; color: #555; padding-left: 10px; }
+    .total td { font-weight: bold; border-top: 1px dashed #000; padding-top: 5px; }
+    hr { border: none; border-top: 1px dashed #000; }
+    @media print { .no-print { display: none; } }
+  </style>
+</head>
+<body>
+  <div class="center">
+    <h2>${escapeHtml(receipt.cafe.name)}</h2>
+    ${receipt.cafe.address ? `<div>${escapeHtml(receipt.cafe.address)}</div>` : ''}
+    ${receipt.cafe.phone ? `<div>${escapeHtml(receipt.cafe.phone)}</div>` : ''}
+    ${receipt.cafe.taxId ? `<div>Tax ID: ${escapeHtml(receipt.cafe.taxId)}</div>` : ''}
+  </div>
+  <hr>
+  <div><strong>${escapeHtml(receiptTitle(receipt))}</strong></div>
+  <div>${escapeHtml(formatDate(receipt.issuedAt))}</div>
+  <div>Table ${escapeHtml(receipt.tableId)} &middot; Order #${receipt.orderIds.join(', #')}</div>
+  ${separateInvoicesNote(receipt) ? `<div class="sub">${escapeHtml(separateInvoicesNote(receipt))}</div>` : ''}
+  <hr>
+  <table>
+    ${lines}
+    ${summary}
+  </table>
+  ${receipt.footer ? `<hr><div class="center">${escapeHtml(receipt.footer)}</div>` : ''}
+  <div class="center no-print"><button onclick="window.print()">🖨️ Print</button></div>
+</body>
+</html>`;
+}
+
+// Embeds the fonts as 'Regular' and 'Bold'
+function registerPdfFonts(doc) {
+  Object.entries(PDF_FONTS).forEach(([name, file]) => doc.registerFont(name, file));
+}
+
+function renderPdf(receipt) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A5', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    registerPdfFonts(doc);
+
+    const contentWidth = doc.page.width - 80;
+    const row = (label, amount, options = {}) => {
+      const y = doc.y;
+      doc.font(options.bold ? 'Bold' : 'Regular').fontSize(options.size || 10);
+      doc.text(label, 40, y, { width: contentWidth - 80 });
+      const endY = doc.y;
+      doc.text(amount, 40 + contentWidth - 80, y, { width: 80, align: 'right' });
+      doc.y = Math.max(endY, doc.y);
+    };
+
+    doc.font('Bold').fontSize(16).text(receipt.cafe.name, { align: 'center' });
+    doc.font('Regular').fontSize(9);
+    [receipt.cafe.address, receipt.cafe.phone, receipt.cafe.taxId && `Tax ID: ${receipt.cafe.taxId}`]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, { align: 'center' }));
+    doc.moveDown();
+
+    doc.font('Bold').fontSize(11).text(receiptTitle(receipt));
+    doc.font('Regular').fontSize(9)
+      .text(formatDate(receipt.issuedAt))
+      .text(`Table ${receipt.tableId} - Order #${receipt.orderIds.join(', #')}`);
+    if (separateInvoicesNote(receipt)) doc.text(separateInvoicesNote(receipt));
+    doc.moveDown();
+
+    receipt.lines.forEach(line => {
+      // A line is laid out right-to-left when its first letters are Persian; '×' (unlike 'x') leaves that to the name
+      row(`${line.quantity} × ${line.name}`, parseFloat(line.total).toFixed(2));
+      doc.font('Regular').fontSize(8).fillColor('#555555');
+      line.modifiers.forEach(modifier => doc.text(`   + ${modifier}`, 40));
+      if (line.notes) doc.text(`   * ${line.notes}`, 40);
+      doc.fillColor('#000000');
+    });
+
+    doc.moveDown(0.5);
+    doc.moveTo(40, doc.y).lineTo(40 + contentWidth, doc.y).dash(2, { space: 2 }).stroke().undash();
+    doc.moveDown(0.5);
+
+    summaryRows(receipt).forEach(summaryRow => {
+      row(summaryRow.label, summaryRow.amount, summaryRow.total ? { bold: true, size: 12 } : { size: 9 });
+    });
+
+    if (receipt.footer) {
+      doc.moveDown();
+      doc.font('Regular').fontSize(9).text(receipt.footer, 40, doc.y, { width: contentWidth, align: 'center' });
+    }
+
+    doc.end();
+  });
+}
+
+// ?format=html|pdf|text|escpos&paper=58|80
+async function sendReceipt(res, receipt, query) {
+  const format = query.format || 'html';
+  const paper = parseInt(query.paper) || 80;
+
+  if (!RECEIPT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, message: 'Invalid format. Allowed: ' + RECEIPT_FORMATS.join(', ') });
+  }
+  if (!PAPER_WIDTHS[paper]) {
+    return res.status(400).json({ success: false, message: 'Invalid paper width. Allowed: 58, 80' });
+  }
+
+  const filename = receipt.invoiceNumber || `bill-table-${receipt.tableId}`;
+
+  switch (format) {
+    case 'pdf':
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+      return res.send(await renderPdf(receipt));
+    case 'text':
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(renderText(receipt, paper));
+    case 'escpos':
+      res.set('Content-Type', 'application/octet-stream');
+      res.set('Content-Disposition', `attachment; filename="${filename}.bin"`);
+      return res.send(renderEscPos(receipt, paper));
+    default:
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderHtml(receipt));
+  }
+}
+
+module.exports = {
+  RECEIPT_FORMATS,
+  getOrderReceipt,
+  getSessionReceipt,
+  renderText,
+  renderEscPos,
+  renderHtml,
+  renderPdf,
+  registerPdfFonts,
+  sendReceipt
+};
@@ -0,0 +1,249 @@
+// reportRouter.js
+// Sales reports for managers. Every route takes ?from=YYYY-MM-DD&to=YYYY-MM-DD (both days included,
+// default: the last 30 days) and ?format=csv for a spreadsheet download instead of JSON.
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js');
+const { requirePermission } = require('./permissions');
+
+const DEFAULT_RANGE_DAYS = 30;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function parseDay(value) {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return null;
+  const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  return date.getDate() === parseInt(match[3]) ? date : null;
+}
+
+function formatDay(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Returns { valid: true, range: { from, to, label } } with `to` exclusive, or { valid: false, message }
+function parseRange(query) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const lastDay = query.to ? parseDay(query.to) : today;
+  const firstDay = query.from ? parseDay(query.from) : new Date(lastDay || today);
+  if (!query.from && firstDay) firstDay.setDate(firstDay.getDate() - (DEFAULT_RANGE_DAYS - 1));
+
+  if (!firstDay || !lastDay) {
+    return { valid: false, message: 'from and to must be dates as YYYY-MM-DD' };
+  }
+  if (firstDay > lastDay) {
+    return { valid: false, message: 'from must not be after to' };
+  }
+
+  const to = new Date(lastDay);
+  to.setDate(to.getDate() + 1);
+
+  return { valid: true, range: { from: firstDay, to, label: { from: formatDay(firstDay), to: formatDay(lastDay) } } };
+}
+
+function money(value) {
+  return Math.round(parseFloat(value || 0) * 100) / 100;
+}
+
+// A spreadsheet runs cells starting with = + - @ as formulas; table ids and item names come from clients
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [[header, row => value], ...]
+function toCsv(rows, columns) {
+  const lines = [columns.map(([header]) => csvCell(header)).join(',')];
+  rows.forEach(row => lines.push(columns.map(([, value]) => csvCell(value(row))).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function sendReport(req, res, name, report, rows, columns) {
+  if (req.query.format === 'csv') {
+    const { from, to } = report.range;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}-${from}-${to}.csv"`);
+    return res.send(toCsv(rows, columns));
+  }
+  res.json({ success: true, ...report });
+}
+
+// Parses the range and answers 400 itself when it is invalid
+function withRange(handler, errorMessage) {
+  return async (req, res) => {
+    const parsed = parseRange(req.query);
+    if (!parsed.valid) return res.status(400).json({ success: false, message: parsed.message });
+
+    try {
+      await handler(req, res, parsed.range);
+    } catch (err) {
+      res.status(500).json({ success: false, message: errorMessage, error: err.message });
+    }
+  };
+}
+
+function salesTotals(row) {
+  return {
+    orders: parseInt(row.orders) || 0,
+    revenue: money(row.revenue),
+    subtotal: money(row.subtotal),
+    discounts: money(row.discounts),
+    service: money(row.service),
+    tax: money(row.tax),
+    tips: money(row.tips)
+  };
+}
+
+const SALES_CSV_COLUMNS = [
+  ['orders', row => row.orders],
+  ['revenue', row => row.revenue],
+  ['subtotal', row => row.subtotal],
+  ['discounts', row => row.discounts],
+  ['service', row => row.service],
+  ['tax', row => row.tax],
+  ['tips', row => row.tips]
+];
+
+function deliveryStats(row) {
+  const seconds = value => (value === null || value === undefined ? null : Math.round(parseFloat(value)));
+  return {
+    orders: parseInt(row.orders) || 0,
+    averageSeconds: seconds(row.averageSeconds),
+    minSeconds: seconds(row.minSeconds),
+    maxSeconds: seconds(row.maxSeconds)
+  };
+}
+
+// Revenue, average order value and delivery time in one object
+router.get('/summary', requirePermission('reports:read'), withRange(async (req, res, range) => {
+  const [sales, delivery] = await Promise.all([db.getSalesSummary(range), db.getDeliveryTimes(range)]);
+  const summary = {
+    ...salesTotals(sales),
+    averageOrderValue: money(sales.averageOrderValue),
+    averageDeliverySeconds: deliveryStats(delivery).averageSeconds
+  };
+
+  sendReport(req, res, 'summary', { range: range.label, summary }, [summary], [
+    ...SALES_CSV_COLUMNS,
+    ['averageOrderValue', row => row.averageOrderValue],
+    ['averageDeliverySeconds', row => row.averageDeliverySeconds]
+  ]);
+}, 'Failed to get sales summary'));
+
+// ?groupBy=day (default) or hour (hour of the day, for peak times)
+router.get('/revenue', requirePermission('reports:read'), (req, res, next) => {
+  const groupBy = req.query.groupBy || 'day';
+  if (!['day', 'hour'].includes(groupBy)) {
+    return res.status(400).json({ success: false, message: 'Invalid groupBy. Allowed: day, hour' });
+  }
+  next();
+}, withRange(async (req, res, range) => {
+  const groupBy = req.query.groupBy || 'day';
+  const rows = await db.getRevenueByPeriod(range, groupBy);
+  const revenue = rows.map(row => ({
+    [groupBy]: groupBy === 'hour' ? parseInt(row.period) : row.period,
+    ...salesTotals(row)
+  }));
+
+  sendReport(req, res, `revenue-by-${groupBy}`, { range: range.label, groupBy, revenue }, revenue, [
+    [groupBy, row => row[groupBy]],
+    ...SALES_CSV_COLUMNS
+  ]);
+}, 'Failed to get revenue report'));
+
+// Best-selling menu items by quantity; modifiers and notes are not split out. ?limit=N (default 20)
+router.get('/items', requirePermission('reports:read'), withRange(async (req, res, range) => {
+  const limit = Math.max(1, parseInt(req.query.limit) || 20);
+  const orders = await db.getSoldItems(range);
+  const byItem = new Map();
+
+  orders.forEach(lines => {
+    lines.forEach(line => {
+      const key = line.menuItemId ? `menu:${line.menuItemId}` : `name:${line.name}`;
+      const entry = byItem.get(key) || { menuItemId: line.menuItemId || null, name: line.name, quantity: 0, orders: 0, revenue: 0 };
+      entry.quantity += line.quantity;
+      entry.orders += 1;
+      entry.revenue = money(entry.revenue + line.totalItemPrice - (line.discount || 0));
+      byItem.set(key, entry);
+    });
+  });
+
+  const items = [...byItem.values()]
+    .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+    .slice(0, limit);
+
+  sendReport(req, res, 'best-sellers', { range: range.label, items }, items, [
+    ['menuItemId', row => row.menuItemId],
+    ['name', row => row.name],
+    ['quantity', row => row.quantity],
+    ['orders', row => row.orders],
+    ['revenue', row => row.revenue]
+  ]);
+}, 'Failed to get best-selling items'));
+
+router.get('/tables', requirePermission('reports:read'), withRange(async (req, res, range) => {
+  const rows = await db.getOrdersPerTable(range);
+  const tables = rows.map(row => ({
+    tableId: row.tableId,
+    orders: parseInt(row.orders) || 0,
+    revenue: money(row.revenue),
+    averageOrderValue: money(row.averageOrderValue)
+  }));
+
+  sendReport(req, res, 'orders-per-table', { range: range.label, tables }, tables, [
+    ['tableId', row => row.tableId],
+    ['orders', row => row.orders],
+    ['revenue', row => row.revenue],
+    ['averageOrderValue', row => row.averageOrderValue]
+  ]);
+}, 'Failed to get orders per table'));
+
+// Time from pending to delivered, from order_status_history
+router.get('/delivery-times', requirePermission('reports:read'), withRange(async (req, res, range) => {
+  const delivery = deliveryStats(await db.getDeliveryTimes(range));
+
+  sendReport(req, res, 'delivery-times', { range: range.label, delivery }, [delivery], [
+    ['orders', row => row.orders],
+    ['averageSeconds', row => row.averageSeconds],
+    ['minSeconds', row => row.minSeconds],
+    ['maxSeconds', row => row.maxSeconds]
+  ]);
+}, 'Failed to get delivery times'));
+
+const ORDER_EXPORT_COLUMNS = [
+  'id', 'createdAt', 'tableId', 'tableLocation', 'status', 'paymentStatus', 'items',
+  'subtotal', 'discounts', 'service', 'tax', 'total', 'amountPaid', 'tips'
+];
+
+// Every order in the range, cancelled ones included - the export that replaces crunching GET /api/orders/all
+router.get('/orders', requirePermission('reports:read'), withRange(async (req, res, range) => {
+  const rows = await db.getOrdersForExport(range);
+  const orders = rows.map(row => ({
+    id: row.id,
+    createdAt: row.created_at,
+    tableId: row.tableId,
+    tableLocation: row.tableLocation,
+    status: row.status,
+    paymentStatus: row.payment_status,
+    items: db.processOrderItems(row.items).reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: row.subtotal === null ? null : money(row.subtotal),
+    discounts: money(row.discount_total),
+    service: money(row.service_charge),
+    tax: money(row.tax_total),
+    total: money(row.totalPrice),
+    amountPaid: money(row.amount_paid),
+    tips: money(row.tip_total)
+  }));
+
+  sendReport(req, res, 'orders', { range: range.label, count: orders.length, orders }, orders,
+    ORDER_EXPORT_COLUMNS.map(key => [key, row => row[key]]));
+}, 'Failed to export orders'));
+
+module.exports = router;
@@ -0,0 +1,321 @@
+// robot-monitor.js
+// Stores robot telemetry (status, location, ROS odometry and navigation results) in robot_telemetry and
+// raises alerts for low battery, a silent robot, a robot stuck on the way and failed navigation goals.
+// Location and odometry arrive every second or so; only one sample per robot per interval is kept.
+const db = require('./db.js');
+const { audience, emitTo } = require('./realtime');
+
+// Statuses in which a robot should be moving
+const MOVING_STATUSES = ['delivering', 'moving', 'returning', 'en_route'];
+
+// actionlib GoalStatus codes in /move_base/result
+const NAVIGATION_SUCCEEDED = 3;
+const NAVIGATION_FAILED = { 4: 'aborted', 5: 'rejected' };
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Pose from our own location messages ({ x, y, heading } or { position }) or a ROS Odometry message
+function poseFrom(data) {
+  if (data.pose && data.pose.pose) {
+    const { position, orientation } = data.pose.pose;
+    return { x: position.x, y: position.y, theta: 2 * Math.atan2(orientation.z || 0, orientation.w || 1) };
+  }
+
+  const position = data.position || data.location || data;
+  if (!Number.isFinite(parseFloat(position.x)) || !Number.isFinite(parseFloat(position.y))) return null;
+
+  let theta = null;
+  if (position.theta !== undefined) theta = parseFloat(position.theta);
+  else if (data.heading !== undefined) theta = parseFloat(data.heading) * Math.PI / 180;
+  return { x: parseFloat(position.x), y: parseFloat(position.y), theta: Number.isFinite(theta) ? theta : null };
+}
+
+function formatAlert(row) {
+  return {
+    id: row.id,
+    robotId: row.robot_id,
+    type: row.type,
+    severity: row.severity,
+    message: row.message,
+    data: row.data ? JSON.parse(row.data) : null,
+    raisedAt: row.raised_at,
+    resolvedAt: row.resolved_at,
+    acknowledgedBy: row.acknowledged_by,
+    acknowledgedAt: row.acknowledged_at
+  };
+}
+
+// In-memory alerts carry their pending insert; callers only see the data
+function formatActive(alert) {
+  const { saved, ...data } = alert;
+  return data;
+}
+
+class RobotMonitor {
+  constructor(mqttService, options = {}) {
+    this.mqttService = mqttService;
+    this.io = null;
+
+    this.options = {
+      sampleInterval: options.sampleInterval || envNumber('ROBOT_TELEMETRY_INTERVAL', 5),            // seconds
+      retentionDays: options.retentionDays || envNumber('ROBOT_TELEMETRY_RETENTION_DAYS', 14),
+      lowBattery: options.lowBattery || envNumber('ROBOT_LOW_BATTERY', 20),                          // percent
+      criticalBattery: options.criticalBattery || envNumber('ROBOT_CRITICAL_BATTERY', 10),
+      staleAfter: options.staleAfter || envNumber('ROBOT_STALE_AFTER', 60),                          // seconds
+      stuckAfter: options.stuckAfter || envNumber('ROBOT_STUCK_AFTER', 120),                         // seconds
+      stuckDistance: options.stuckDistance || envNumber('ROBOT_STUCK_DISTANCE', 0.2)                 // metres
+    };
+
+    // robotId -> { status, battery, orderId, lastSeen, lastSample: { kind: time }, anchor, movingSince }
+    this.robots = new Map();
+    // `${robotId}:${type}` -> alert; only one active alert per robot and type
+    this.alerts = new Map();
+    this.buffer = [];
+    this.timers = [];
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  async start() {
+    this.mqttService.on('robotStatus', data => this.handleStatus(data));
+    this.mqttService.on('robotLocation', data => this.handleLocation(data, 'location'));
+    this.mqttService.on('rosOdometry', data => this.handleLocation(data, 'odometry'));
+    this.mqttService.on('rosNavigationResult', data => this.handleNavigationResult(data));
+
+    this.timers = [
+      setInterval(() => this.flush(), 2000),
+      setInterval(() => this.checkRobots(), 5000),
+      setInterval(() => this.purge(), 60 * 60 * 1000)
+    ];
+    this.timers.forEach(timer => timer.unref());
+    console.log('🩺 Robot monitor started', this.options);
+
+    try {
+      const active = await db.getRobotAlerts({ active: true, limit: 500 });
+      active.forEach(row => this.alerts.set(`${row.robot_id}:${row.type}`, { ...formatAlert(row), saved: Promise.resolve() }));
+      await this.purge();
+    } catch (error) {
+      console.error('❌ Failed to load robot alerts:', error);
+    }
+  }
+
+  robot(robotId) {
+    if (!this.robots.has(robotId)) {
+      this.robots.set(robotId, { status: null, battery: null, orderId: null, lastSeen: null, lastSample: {}, anchor: null, movingSince: null });
+    }
+    return this.robots.get(robotId);
+  }
+
+  // ========== TELEMETRY ==========
+
+  record(robotId, kind, sample, force = false) {
+    const robot = this.robot(robotId);
+    const now = Date.now();
+    if (!force && robot.lastSample[kind] && now - robot.lastSample[kind] < this.options.sampleInterval * 1000) return;
+
+    robot.lastSample[kind] = now;
+    this.buffer.push({ robotId, kind, orderId: robot.orderId, ...sample, recordedAt: new Date(now) });
+  }
+
+  async flush() {
+    if (!this.buffer.length) return;
+    const samples = this.buffer.splice(0, this.buffer.length);
+    try {
+      await db.insertTelemetry(samples);
+    } catch (error) {
+      console.error(`❌ Dropped ${samples.length} telemetry sample(s):`, error.message);
+    }
+  }
+
+  async purge() {
+    try {
+      const result = await db.purgeTelemetry(this.options.retentionDays);
+      if (result.affectedRows > 0) {
+        console.log(`🧹 Removed ${result.affectedRows} telemetry sample(s) older than ${this.options.retentionDays} days`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to purge robot telemetry:', error);
+    }
+  }
+
+  handleStatus(data) {
+    const robotId = data.robotId || data.robot_id || 'robot';
+    const robot = this.robot(robotId);
+    const statusChanged = !!data.status && data.status !== robot.status;
+    const battery = data.battery !== undefined && data.battery !== null ? parseFloat(data.battery) : null;
+
+    robot.lastSeen = Date.now();
+    if (data.status) robot.status = data.status;
+    if (Number.isFinite(battery)) robot.battery = battery;
+    if (data.orderId !== undefined || data.order_id !== undefined) robot.orderId = parseInt(data.orderId || data.order_id) || null;
+
+    const pose = data.position ? poseFrom({ position: data.position }) : null;
+    if (pose) this.updatePose(robotId, robot, pose);
+
+    // Status changes are always kept; unchanged heartbeats only once per interval
+    this.record(robotId, 'status', {
+      status: robot.status,
+      battery: robot.battery,
+      x: pose ? pose.x : null,
+      y: pose ? pose.y : null,
+      data: data.reason ? { reason: data.reason } : null
+    }, statusChanged);
+
+    this.resolve(robotId, 'stale_heartbeat');
+    this.checkBattery(robotId, robot);
+    if (statusChanged && !MOVING_STATUSES.includes(robot.status)) {
+      robot.movingSince = null;
+      this.resolve(robotId, 'stuck');
+    }
+  }
+
+  handleLocation(data, kind) {
+    const pose = poseFrom(data);
+    if (!pose) return;
+
+    const robotId = data.robotId || data.robot_id || 'robot';
+    const robot = this.robot(robotId);
+    robot.lastSeen = Date.now();
+    if (data.battery !== undefined && Number.isFinite(parseFloat(data.battery))) robot.battery = parseFloat(data.battery);
+    this.resolve(robotId, 'stale_heartbeat');
+
+    this.updatePose(robotId, robot, pose);
+    this.record(robotId, kind, {
+      status: robot.status,
+      battery: robot.battery,
+      x: round(pose.x, 3),
+      y: round(pose.y, 3),
+      theta: pose.theta === null ? null : round(pose.theta, 5)
+    });
+  }
+
+  // Resets the stuck timer whenever the robot got far enough from where it was
+  updatePose(robotId, robot, pose) {
+    const moved = !robot.anchor ||
+      Math.hypot(pose.x - robot.anchor.x, pose.y - robot.anchor.y) > this.options.stuckDistance;
+    if (moved) {
+      robot.anchor = { x: pose.x, y: pose.y };
+      robot.movingSince = Date.now();
+      this.resolve(robotId, 'stuck');
+    }
+  }
+
+  handleNavigationResult(data) {
+    const robotId = data.robotId || data.robot_id || 'robot';
+    const goalStatus = data.status || {};
+    const code = parseInt(goalStatus.status);
+    this.robot(robotId).lastSeen = Date.now();
+
+    this.record(robotId, 'navigation', {
+      status: NAVIGATION_FAILED[code] || (code === NAVIGATION_SUCCEEDED ? 'succeeded' : String(code)),
+      data: { code, text: goalStatus.text || null }
+    }, true);
+
+    if (code === NAVIGATION_SUCCEEDED) {
+      this.resolve(robotId, 'navigation_failed');
+    } else if (NAVIGATION_FAILED[code]) {
+      this.raise(robotId, 'navigation_failed', 'critical',
+        `Navigation goal ${NAVIGATION_FAILED[code]}${goalStatus.text ? `: ${goalStatus.text}` : ''}`, { code });
+    }
+  }
+
+  // ========== ALERT RULES ==========
+
+  checkBattery(robotId, robot) {
+    if (robot.battery === null) return;
+
+    if (robot.battery < this.options.lowBattery) {
+      const critical = robot.battery < this.options.criticalBattery;
+      const active = this.alerts.get(`${robotId}:low_battery`);
+      // A warning that became critical is raised again so the dashboard sees the new severity
+      if (active && critical && active.severity !== 'critical') this.resolve(robotId, 'low_battery');
+      this.raise(robotId, 'low_battery', critical ? 'critical' : 'warning', `Battery at ${Math.round(robot.battery)}%`, { battery: robot.battery });
+    } else if (robot.battery >= this.options.lowBattery + 5) {
+      this.resolve(robotId, 'low_battery');
+    }
+  }
+
+  checkRobots() {
+    const now = Date.now();
+    this.robots.forEach((robot, robotId) => {
+      if (robot.lastSeen && now - robot.lastSeen > this.options.staleAfter * 1000) {
+        this.raise(robotId, 'stale_heartbeat', 'critical',
+          `No message for ${Math.round((now - robot.lastSeen) / 1000)} s`, { lastSeen: new Date(robot.lastSeen) });
+      }
+
+      if (!MOVING_STATUSES.includes(robot.status)) {
+        robot.movingSince = null;
+        return;
+      }
+      if (!robot.movingSince) robot.movingSince = now;
+      if (now - robot.movingSince > this.options.stuckAfter * 1000) {
+        this.raise(robotId, 'stuck', 'warning',
+          `Not moved more than ${this.options.stuckDistance} m for ${Math.round((now - robot.movingSince) / 1000)} s while ${robot.status}`,
+          { position: robot.anchor, orderId: robot.orderId });
+      }
+    });
+  }
+
+  raise(robotId, type, severity, message, data) {
+    const key = `${robotId}:${type}`;
+    if (this.alerts.has(key)) return;
+
+    const alert = { id: null, robotId, type, severity, message, data, raisedAt: new Date(), resolvedAt: null, acknowledgedBy: null, acknowledgedAt: null };
+    alert.saved = db.createRobotAlert(alert)
+      .then(id => {
+        alert.id = id;
+        console.warn(`🚨 Robot alert #${id} (${severity}) ${robotId}: ${message}`);
+        if (this.io) emitTo(this.io, audience('robot:status'), 'robot_alert', formatActive(alert));
+      })
+      .catch(error => {
+        console.error('❌ Failed to save robot alert:', error);
+        this.alerts.delete(key);
+      });
+    this.alerts.set(key, alert);
+  }
+
+  resolve(robotId, type) {
+    const key = `${robotId}:${type}`;
+    const alert = this.alerts.get(key);
+    if (!alert) return;
+    this.alerts.delete(key);
+
+    alert.saved
+      .then(() => alert.id && db.resolveRobotAlert(alert.id))
+      .then(() => {
+        alert.resolvedAt = new Date();
+        console.log(`✅ Robot alert #${alert.id} (${type}) for ${robotId} resolved`);
+        if (this.io) emitTo(this.io, audience('robot:status'), 'robot_alert_resolved', formatActive(alert));
+      })
+      .catch(error => console.error('❌ Failed to resolve robot alert:', error));
+  }
+
+  async acknowledge(alertId, username) {
+    const result = await db.acknowledgeRobotAlert(alertId, username);
+    const alert = [...this.alerts.values()].find(candidate => candidate.id === alertId);
+    if (alert && result.affectedRows > 0) {
+      Object.assign(alert, { acknowledgedBy: username, acknowledgedAt: new Date() });
+      if (this.io) emitTo(this.io, audience('robot:status'), 'robot_alert_updated', formatActive(alert));
+    }
+    return result.affectedRows > 0;
+  }
+
+  getActiveAlerts() {
+    return [...this.alerts.values()].filter(alert => alert.id).map(formatActive);
+  }
+}
+
+module.exports = {
+  RobotMonitor,
+  formatAlert
+};
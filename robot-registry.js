@@ -0,0 +1,163 @@
+// robot-registry.js
+// The robot fleet: who is out there, what they can carry and whether they are still alive.
+// Robots announce themselves on /cafe/robot/{id}/announce; every status message counts as a heartbeat.
+const EventEmitter = require('events');
+const db = require('./db.js');
+
+const ROBOT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Robot ids become an MQTT topic level, so they must not look like one of the shared topics
+const RESERVED_IDS = ['orders', 'status', 'location', 'commands', 'feedback', 'delivery', 'emergency'];
+
+function isValidRobotId(robotId) {
+  return typeof robotId === 'string' && ROBOT_ID_PATTERN.test(robotId) && !RESERVED_IDS.includes(robotId.toLowerCase());
+}
+
+function parseCapabilities(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+class RobotRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.heartbeatTimeout = options.heartbeatTimeout || parseInt(process.env.ROBOT_HEARTBEAT_TIMEOUT) || 30; // seconds
+    this.robots = new Map();
+  }
+
+  // Known robots from earlier runs; they show as offline until they are heard from
+  async load() {
+    const rows = await db.getRobots();
+    rows.forEach(row => {
+      if (this.robots.has(row.id)) return; // heard from since startup, newer than the row
+      this.robots.set(row.id, {
+        id: row.id,
+        name: row.name || row.id,
+        capabilities: parseCapabilities(row.capabilities),
+        trayCapacity: row.tray_capacity || 1,
+        firmware: row.firmware,
+        status: row.status,
+        battery: row.battery === null ? null : parseFloat(row.battery),
+        location: null,
+        lastHeartbeat: row.last_heartbeat ? new Date(row.last_heartbeat) : null,
+        registeredAt: row.registered_at
+      });
+    });
+    console.log(`🤖 Loaded ${rows.length} robot(s) from the registry`);
+  }
+
+  attach(mqttService) {
+    mqttService.on('robotAnnounce', data => this.handleAnnounce(data));
+    mqttService.on('robotStatus', data => this.handleHeartbeat(data));
+    mqttService.on('robotLocation', data => this.handleLocation(data));
+  }
+
+  entry(robotId) {
+    if (!this.robots.has(robotId)) {
+      this.robots.set(robotId, {
+        id: robotId,
+        name: robotId,
+        capabilities: [],
+        trayCapacity: 1,
+        firmware: null,
+        status: null,
+        battery: null,
+        location: null,
+        lastHeartbeat: null,
+        registeredAt: new Date()
+      });
+    }
+    return this.robots.get(robotId);
+  }
+
+  async handleAnnounce(data) {
+    const robotId = data.robotId;
+    if (!isValidRobotId(robotId)) {
+      console.warn(`⚠️ Ignoring announcement with invalid robot id: ${robotId}`);
+      return;
+    }
+
+    const robot = Object.assign(this.entry(robotId), {
+      name: data.name ? String(data.name).substring(0, 100) : robotId,
+      capabilities: parseCapabilities(data.capabilities),
+      trayCapacity: Math.max(1, parseInt(data.trayCapacity || data.tray_capacity) || 1),
+      firmware: data.firmware ? String(data.firmware).substring(0, 50) : null,
+      lastHeartbeat: new Date()
+    });
+
+    try {
+      await db.upsertRobot(robot);
+      console.log(`🤖 Robot ${robotId} (${robot.name}) announced, tray capacity ${robot.trayCapacity}`);
+    } catch (error) {
+      console.error(`❌ Failed to save robot ${robotId}:`, error);
+    }
+    this.emit('updated', this.get(robotId));
+  }
+
+  async handleHeartbeat(data) {
+    const robotId = data.robotId || data.robot_id;
+    if (!isValidRobotId(robotId)) return;
+
+    const battery = data.battery !== undefined && data.battery !== null ? parseFloat(data.battery) : undefined;
+    const robot = this.entry(robotId);
+    robot.status = data.status || robot.status;
+    if (battery !== undefined && !isNaN(battery)) robot.battery = battery;
+    robot.lastHeartbeat = new Date();
+
+    try {
+      await db.updateRobotHeartbeat(robotId, data.status, isNaN(battery) ? undefined : battery);
+    } catch (error) {
+      console.error(`❌ Failed to save heartbeat of robot ${robotId}:`, error);
+    }
+    this.emit('updated', this.get(robotId));
+  }
+
+  // Location changes too often to store; only kept in memory for the dashboard
+  handleLocation(data) {
+    const robotId = data.robotId || data.robot_id;
+    if (!isValidRobotId(robotId) || !this.robots.has(robotId)) return;
+
+    const robot = this.robots.get(robotId);
+    robot.location = data.location || data.position || { x: data.x, y: data.y };
+    robot.lastHeartbeat = new Date();
+  }
+
+  isOnline(robot) {
+    return !!robot.lastHeartbeat && Date.now() - robot.lastHeartbeat.getTime() <= this.heartbeatTimeout * 1000;
+  }
+
+  get(robotId) {
+    const robot = this.robots.get(robotId);
+    return robot ? { ...robot, online: this.isOnline(robot) } : null;
+  }
+
+  list() {
+    return [...this.robots.keys()].sort().map(robotId => this.get(robotId));
+  }
+
+  trayCapacity(robotId) {
+    const robot = this.robots.get(robotId);
+    return robot ? robot.trayCapacity : null;
+  }
+
+  async remove(robotId) {
+    const existed = this.robots.delete(robotId);
+    const result = await db.deleteRobot(robotId);
+    if (existed || result.affectedRows > 0) {
+      this.emit('removed', robotId);
+      return true;
+    }
+    return false;
+  }
+}
+
+module.exports = {
+  RobotRegistry,
+  isValidRobotId
+};
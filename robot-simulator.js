@@ -0,0 +1,471 @@
+// robot-simulator.js
+// Simulated delivery robots for testing the order -> robot -> delivered loop without hardware.
+// Speaks the same MQTT topics as mqtt-service.js, each robot on its own /cafe/robot/{id}/... topics:
+//   in:  {id}/orders/next, {id}/commands, {id}/emergency and the fleet-wide
+//        /cafe/robot/orders/next, /cafe/robot/commands, /cafe/emergency
+//   out: {id}/announce (retained), {id}/status, {id}/location, {id}/delivery/status, {id}/delivery/complete,
+//        {id}/feedback (ack / completed / failed for every command with a commandId)
+//
+// Usage: npm run simulate -- --robots 3 --travel-time 8 --failure-rate 0.1
+require('dotenv').config();
+const mqtt = require('mqtt');
+
+// Fleet-wide topics, for commands without a robot
+const TOPICS = {
+  ROBOT_ORDERS: '/cafe/robot/orders/next',
+  ROBOT_COMMANDS: '/cafe/robot/commands',
+  EMERGENCY: '/cafe/emergency'
+};
+
+const FLEET_TOPIC_KINDS = {
+  [TOPICS.ROBOT_ORDERS]: 'orders/next',
+  [TOPICS.ROBOT_COMMANDS]: 'commands',
+  [TOPICS.EMERGENCY]: 'emergency'
+};
+
+// Answers to fleet-wide commands that no single robot took on
+const FLEET_FEEDBACK_TOPIC = '/cafe/robot/feedback';
+
+const ROBOT_TOPIC = /^\/cafe\/robot\/([A-Za-z0-9_-]+)\/(orders\/next|commands|emergency)$/;
+
+function robotTopic(robotId, suffix) {
+  return `/cafe/robot/${robotId}/${suffix}`;
+}
+
+const DEFAULT_OPTIONS = {
+  brokerUrl: process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883',
+  username: process.env.MQTT_USERNAME || 'cafe_user',
+  password: process.env.MQTT_PASSWORD || 'cafe_password_2024',
+  robots: 1,
+  travelTime: 10,         // seconds from the kitchen to a table (each way), +-20% jitter
+  dwellTime: 5,           // seconds waiting at the table for the guest to take the order
+  locationInterval: 1,    // seconds between location updates while moving
+  batteryDrain: 0.5,      // percent per second of driving
+  chargeRate: 2,          // percent per second at the charging dock
+  lowBattery: 20,         // below this a robot goes charging instead of taking orders
+  failureRate: 0,         // chance (0-1) that a delivery fails on the way
+  trayCapacity: 3,        // orders per trip, announced to the server's fleet registry
+  heartbeat: 10           // seconds between status reports of every robot, so a restarted server sees them
+};
+
+const FAILURE_REASONS = ['obstacle_blocked', 'navigation_timeout', 'tray_sensor_error'];
+
+// Kitchen / charging dock at (0, 0); tables on a 4-wide grid, 2 m apart
+function tablePosition(tableNumber) {
+  const index = Math.max(0, (parseInt(tableNumber) || 1) - 1);
+  return { x: 2 + (index % 4) * 2, y: 2 + Math.floor(index / 4) * 2 };
+}
+
+const HOME = { x: 0, y: 0 };
+
+class SimulatedRobot {
+  constructor(id, simulator) {
+    this.id = id;
+    this.simulator = simulator;
+    this.options = simulator.options;
+    this.status = 'idle';
+    this.battery = 100;
+    this.position = { ...HOME };
+    this.trip = null;     // { batchId, commandId, stops: [{ orderId, tableNumber }] }
+    this.order = null;    // the stop the robot is driving to
+    this.command = null;  // commandId of a go_to_table in progress
+    this.timer = null;
+  }
+
+  get available() {
+    return this.status === 'idle' && this.battery > this.options.lowBattery;
+  }
+
+  publish(suffix, data) {
+    return this.simulator.publish(robotTopic(this.id, suffix), data);
+  }
+
+  // Retained, so a server that starts later still learns about the robot
+  announce() {
+    return this.simulator.publish(robotTopic(this.id, 'announce'), {
+      robotId: this.id,
+      name: `Simulated ${this.id}`,
+      capabilities: ['delivery', 'simulated'],
+      trayCapacity: this.options.trayCapacity,
+      firmware: 'simulator'
+    }, { retain: true });
+  }
+
+  publishStatus(extra = {}) {
+    return this.publish('status', {
+      robotId: this.id,
+      status: this.status,
+      orderId: this.order ? this.order.orderId : null,
+      battery: Math.round(this.battery),
+      position: this.position,
+      ...extra
+    });
+  }
+
+  publishDeliveryStatus(status, order, extra = {}) {
+    return this.publish('delivery/status', {
+      order_id: order ? order.orderId : undefined,
+      batchId: this.trip ? this.trip.batchId : undefined,
+      robotId: this.id,
+      tableNumber: order ? order.tableNumber : undefined,
+      status,
+      ...extra
+    });
+  }
+
+  setStatus(status, extra) {
+    this.status = status;
+    console.log(`🤖 ${this.id}: ${status}${this.order ? ` (order #${this.order.orderId})` : ''} 🔋${Math.round(this.battery)}%`);
+    return this.publishStatus(extra);
+  }
+
+  // Moves in a straight line, publishing location and draining the battery; calls done() on arrival
+  driveTo(target, done) {
+    const seconds = this.options.travelTime * (0.8 + Math.random() * 0.4);
+    const steps = Math.max(1, Math.round(seconds / this.options.locationInterval));
+    const start = { ...this.position };
+    let step = 0;
+
+    const tick = () => {
+      step++;
+      const progress = step / steps;
+      this.position = {
+        x: Math.round((start.x + (target.x - start.x) * progress) * 100) / 100,
+        y: Math.round((start.y + (target.y - start.y) * progress) * 100) / 100
+      };
+      this.battery = Math.max(0, this.battery - this.options.batteryDrain * seconds / steps);
+
+      this.publish('location', {
+        robotId: this.id,
+        orderId: this.order ? this.order.orderId : null,
+        x: this.position.x,
+        y: this.position.y,
+        heading: Math.round(Math.atan2(target.y - start.y, target.x - start.x) * 180 / Math.PI),
+        progress: Math.round(progress * 100),
+        battery: Math.round(this.battery)
+      });
+
+      if (step >= steps) {
+        this.timer = null;
+        return done();
+      }
+      this.timer = setTimeout(tick, seconds * 1000 / steps);
+    };
+
+    this.timer = setTimeout(tick, seconds * 1000 / steps);
+  }
+
+  // Drives to every stop of the trip in turn, then back to the kitchen
+  deliver(trip) {
+    this.trip = trip;
+    this.deliverNext();
+  }
+
+  deliverNext() {
+    const order = this.trip.stops.shift();
+    if (!order) {
+      this.simulator.feedback(this.id, this.trip.commandId, 'completed');
+      return this.returnHome();
+    }
+
+    this.order = order;
+    this.setStatus('delivering');
+    this.publishDeliveryStatus('en_route', order);
+
+    // Failures happen half way: the robot reports every undelivered stop and drives back
+    const fails = Math.random() < this.options.failureRate;
+    const target = tablePosition(order.tableNumber);
+    const destination = fails
+      ? { x: (this.position.x + target.x) / 2, y: (this.position.y + target.y) / 2 }
+      : target;
+
+    this.driveTo(destination, () => {
+      if (fails) {
+        const reason = FAILURE_REASONS[Math.floor(Math.random() * FAILURE_REASONS.length)];
+        console.warn(`⚠️ ${this.id}: delivery of order #${order.orderId} failed (${reason})`);
+        [order, ...this.trip.stops].forEach(stop => this.publishDeliveryStatus('failed', stop, { reason }));
+        this.simulator.feedback(this.id, this.trip.commandId, 'failed', { reason });
+        this.setStatus('error', { reason });
+        return this.returnHome();
+      }
+
+      this.publishDeliveryStatus('arrived', order);
+      this.setStatus('waiting_at_table');
+
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.publish('delivery/complete', {
+          order_id: order.orderId,
+          orderId: order.orderId,
+          batchId: this.trip.batchId,
+          robotId: this.id,
+          tableNumber: order.tableNumber,
+          delivered_at: new Date().toISOString()
+        });
+        console.log(`✅ ${this.id}: order #${order.orderId} delivered to table ${order.tableNumber}`);
+        this.order = null;
+        this.deliverNext();
+      }, this.options.dwellTime * 1000);
+    });
+  }
+
+  goToTable(tableNumber, commandId) {
+    this.command = commandId;
+    this.setStatus('moving', { targetTable: tableNumber });
+    this.driveTo(tablePosition(tableNumber), () => {
+      this.simulator.feedback(this.id, this.command, 'completed');
+      this.command = null;
+      this.setStatus('at_table', { targetTable: tableNumber });
+      this.returnHome();
+    });
+  }
+
+  returnHome() {
+    this.trip = null;
+    this.order = null;
+    this.setStatus('returning');
+    this.driveTo(HOME, () => {
+      if (this.battery <= this.options.lowBattery) return this.charge();
+      this.setStatus('idle');
+      this.simulator.dispatch();
+    });
+  }
+
+  charge() {
+    this.setStatus('charging');
+    const tick = () => {
+      this.battery = Math.min(100, this.battery + this.options.chargeRate);
+      if (this.battery >= 100) {
+        this.timer = null;
+        this.setStatus('idle');
+        return this.simulator.dispatch();
+      }
+      this.timer = setTimeout(tick, 1000);
+    };
+    this.timer = setTimeout(tick, 1000);
+  }
+
+  // Undelivered stops are reported failed so the server's dispatch queue hands them out again;
+  // untargeted orders go back into the simulator's own queue and are delivered after a resume
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (this.trip) {
+      const stops = [this.order, ...this.trip.stops].filter(Boolean);
+      if (this.trip.batchId) {
+        stops.forEach(stop => this.publishDeliveryStatus('failed', stop, { reason: 'emergency_stop' }));
+        this.simulator.feedback(this.id, this.trip.commandId, 'failed', { reason: 'emergency_stop' });
+      } else {
+        this.simulator.queue.unshift({ batchId: null, commandId: this.trip.commandId, stops });
+      }
+    }
+    this.simulator.feedback(this.id, this.command, 'failed', { reason: 'emergency_stop' });
+    this.trip = null;
+    this.order = null;
+    this.command = null;
+    this.setStatus('emergency_stopped');
+  }
+}
+
+class RobotSimulator {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.robots = Array.from({ length: this.options.robots }, (_, index) => new SimulatedRobot(`robot-${index + 1}`, this));
+    this.queue = [];
+    this.seenCommands = new Set();
+    this.stopped = false;
+    this.client = null;
+  }
+
+  start() {
+    console.log(`🔄 Robot simulator connecting to ${this.options.brokerUrl} with ${this.robots.length} robot(s)`);
+
+    this.client = mqtt.connect(this.options.brokerUrl, {
+      clientId: `cafe_robot_sim_${Math.random().toString(16).substr(2, 8)}`,
+      username: this.options.username,
+      password: this.options.password,
+      reconnectPeriod: 2000
+    });
+
+    this.client.on('connect', () => {
+      console.log('✅ Robot simulator connected');
+      this.client.subscribe([
+        ...Object.values(TOPICS),
+        ...this.robots.flatMap(robot => ['orders/next', 'commands', 'emergency'].map(suffix => robotTopic(robot.id, suffix)))
+      ], { qos: 1 });
+      this.robots.forEach(robot => {
+        robot.announce();
+        robot.publishStatus();
+      });
+    });
+
+    this.heartbeat = setInterval(() => this.robots.forEach(robot => robot.publishStatus()), this.options.heartbeat * 1000);
+
+    this.client.on('message', (topic, message) => {
+      if (!message.length) return; // a retained message being cleared
+      let data;
+      try {
+        data = JSON.parse(message.toString());
+      } catch {
+        return console.warn(`⚠️ Ignoring non-JSON message on ${topic}`);
+      }
+      this.handleMessage(topic, data);
+    });
+
+    this.client.on('error', (error) => console.error('❌ Robot simulator MQTT error:', error.message));
+  }
+
+  handleMessage(topic, data) {
+    const match = ROBOT_TOPIC.exec(topic);
+    const kind = match ? match[2] : FLEET_TOPIC_KINDS[topic];
+    // Messages on a fleet topic may still name one robot in the payload
+    const robotId = match ? match[1] : data.robotId;
+    if (robotId && !this.robots.some(robot => robot.id === robotId)) return; // another (real) robot on the same broker
+
+    // The server resends commands it got no ack for; a command is only executed once
+    const commandId = data.commandId;
+    if (commandId && this.seenCommands.has(commandId)) return this.feedback(robotId, commandId, 'ack', { duplicate: true });
+    if (commandId) this.seenCommands.add(commandId);
+
+    if (kind === 'orders/next') {
+      if (!data.orderId) return console.warn('⚠️ Order message without orderId ignored');
+      const stops = (data.orders || [data]).map(order => ({ orderId: order.orderId, tableNumber: order.tableNumber }));
+
+      // Trips from the server's dispatch queue name the robot, which accepts or rejects them
+      if (robotId) return this.offerTrip(robotId, { batchId: data.batchId, commandId, stops });
+
+      console.log(`📨 Order #${data.orderId} for table ${data.tableNumber} queued`);
+      this.feedback(null, commandId, 'ack');
+      this.queue.push({ batchId: null, commandId, stops });
+      return this.dispatch();
+    }
+
+    if (kind === 'emergency' && data.action === 'emergency_stop') {
+      this.feedback(robotId, commandId, 'ack');
+      if (robotId) {
+        console.warn(`🚨 Emergency stop - ${robotId} halted`);
+        this.robots.find(robot => robot.id === robotId).stop();
+      } else {
+        console.warn('🚨 Emergency stop - all robots halted');
+        this.stopped = true;
+        this.robots.forEach(robot => robot.stop());
+      }
+      return this.feedback(robotId, commandId, 'completed');
+    }
+
+    if (kind === 'commands') {
+      return this.handleCommand(data, robotId);
+    }
+  }
+
+  handleCommand(command, robotId) {
+    const targets = robotId ? this.robots.filter(robot => robot.id === robotId) : this.robots;
+    const { commandId } = command;
+
+    switch (command.action) {
+      case 'resume':
+        console.log(`▶️ ${robotId || 'Robots'} resumed`);
+        if (!robotId) this.stopped = false;
+        targets
+          .filter(robot => robot.status === 'emergency_stopped' && !(command.except || []).includes(robot.id))
+          .forEach(robot => robot.returnHome());
+        this.feedback(robotId, commandId, 'completed');
+        break;
+      case 'go_to_table': {
+        const robot = targets.find(candidate => candidate.available);
+        if (this.stopped || !robot) {
+          console.warn(`⚠️ No robot available for ${command.action}`);
+          return this.feedback(robotId, commandId, 'failed', { reason: 'no_robot_available' });
+        }
+        this.feedback(robot.id, commandId, 'ack');
+        robot.goToTable(command.target_table, commandId);
+        break;
+      }
+      case 'return_home':
+        targets.filter(robot => robot.status === 'idle' || robot.status === 'at_table').forEach(robot => robot.returnHome());
+        this.feedback(robotId, commandId, 'completed');
+        break;
+      default:
+        console.log(`🔍 Unknown robot command: ${command.action}`);
+        this.feedback(robotId, commandId, 'failed', { reason: 'unknown_command' });
+    }
+  }
+
+  // Only commands from the server carry a commandId
+  feedback(robotId, commandId, status, extra = {}) {
+    if (!commandId) return;
+    this.publish(robotId ? robotTopic(robotId, 'feedback') : FLEET_FEEDBACK_TOPIC, { commandId, robotId: robotId || undefined, status, ...extra });
+  }
+
+  offerTrip(robotId, trip) {
+    const robot = this.robots.find(candidate => candidate.id === robotId);
+    if (this.stopped || !robot.available) {
+      console.warn(`⚠️ ${robotId} rejects trip ${trip.batchId} (${robot.status})`);
+      this.feedback(robotId, trip.commandId, 'rejected', { reason: robot.status });
+      return robot.publishDeliveryStatus('rejected', null, { batchId: trip.batchId, reason: robot.status });
+    }
+
+    console.log(`📨 ${robotId} accepts trip ${trip.batchId}: order(s) ${trip.stops.map(stop => stop.orderId).join(', ')}`);
+    robot.trip = trip;
+    this.feedback(robotId, trip.commandId, 'ack');
+    robot.publishDeliveryStatus('accepted', null);
+    robot.deliver(trip);
+  }
+
+  // Hands queued orders to idle robots
+  dispatch() {
+    if (this.stopped) return;
+    while (this.queue.length) {
+      const robot = this.robots.find(candidate => candidate.available);
+      if (!robot) return;
+      robot.deliver(this.queue.shift());
+    }
+  }
+
+  publish(topic, data, options = {}) {
+    if (!this.client || !this.client.connected) return;
+    this.client.publish(topic, JSON.stringify({ ...data, timestamp: new Date().toISOString() }), { qos: 1, ...options });
+  }
+
+  stop() {
+    clearInterval(this.heartbeat);
+    this.robots.forEach(robot => robot.timer && clearTimeout(robot.timer));
+    if (this.client) this.client.end();
+  }
+}
+
+// --robots 3 --travel-time 8 --failure-rate 0.1 -> { robots: 3, travelTime: 8, failureRate: 0.1 }
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)$/.exec(argv[i]);
+    if (!match) continue;
+
+    const key = match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (!(key in DEFAULT_OPTIONS)) throw new Error(`Unknown option --${match[1]}`);
+
+    const value = argv[++i];
+    options[key] = typeof DEFAULT_OPTIONS[key] === 'number' ? parseFloat(value) : value;
+    if (Number.isNaN(options[key])) throw new Error(`--${match[1]} needs a number`);
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let simulator;
+  try {
+    simulator = new RobotSimulator(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  simulator.start();
+  process.on('SIGINT', () => {
+    console.log('🛑 Stopping robot simulator');
+    simulator.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = { RobotSimulator, parseArgs, tablePosition };
@@ -0,0 +1,94 @@
+// robotRouter.js
+// The robot fleet (robot-registry.js) and commands for a single robot
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('./permissions');
+const { sendRobotToTable, toPose } = require('./floor-plan');
+
+let robotRegistry;
+let mqttService;
+let emergencyStop;
+
+function setRobotRegistry(registry) {
+  robotRegistry = registry;
+}
+
+function setMQTTService(service) {
+  mqttService = service;
+}
+
+function setEmergencyStop(service) {
+  emergencyStop = service;
+}
+
+// Commands only go to robots the registry knows
+function requireKnownRobot(req, res, next) {
+  if (!robotRegistry.get(req.params.robotId)) {
+    return res.status(404).json({ success: false, message: `Robot ${req.params.robotId} not found` });
+  }
+  next();
+}
+
+router.get('/', requirePermission('robot:status'), (req, res) => {
+  const robots = robotRegistry.list();
+  res.json({ success: true, count: robots.length, online: robots.filter(robot => robot.online).length, robots });
+});
+
+router.get('/:robotId', requirePermission('robot:status'), requireKnownRobot, (req, res) => {
+  res.json({ success: true, robot: robotRegistry.get(req.params.robotId) });
+});
+
+// Forget a decommissioned robot; it comes back if it announces itself again
+router.delete('/:robotId', requirePermission('robot:manage'), async (req, res) => {
+  try {
+    const removed = await robotRegistry.remove(req.params.robotId);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: `Robot ${req.params.robotId} not found` });
+    }
+    console.log(`🗑️ Robot ${req.params.robotId} removed by ${req.session.user.username}`);
+    res.json({ success: true, message: `Robot ${req.params.robotId} removed` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to remove robot', error: err.message });
+  }
+});
+
+router.post('/:robotId/goto-table/:tableNumber', requirePermission('robot:control'), requireKnownRobot, async (req, res) => {
+  const { robotId, tableNumber } = req.params;
+  try {
+    emergencyStop.assertNotStopped(robotId);
+    const { location, commandId } = await sendRobotToTable(mqttService, tableNumber, robotId);
+    console.log(`🤖 Robot ${robotId} sent to table ${tableNumber} by ${req.session.user.username}`);
+    res.json({ success: true, message: `Robot ${robotId} sent to table ${tableNumber}`, pose: location ? toPose(location) : null, commandId });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ success: false, message: err.message, code: err.code });
+    }
+    res.status(500).json({ success: false, message: 'Failed to send robot to table', error: err.message });
+  }
+});
+
+// Same as POST /api/emergency-stop with this robotId: { reason }
+router.post('/:robotId/emergency-stop', requirePermission('robot:emergency-stop'), requireKnownRobot, async (req, res) => {
+  const { robotId } = req.params;
+  try {
+    const { stop, alreadyActive } = await emergencyStop.trigger({
+      robotId,
+      reason: req.body && req.body.reason ? String(req.body.reason).trim() : null,
+      source: 'api',
+      user: req.session.user
+    });
+    res.json({
+      success: true,
+      message: alreadyActive ? `Robot ${robotId} is already emergency stopped` : `Emergency stop sent to robot ${robotId}`,
+      stop,
+      commandId: stop.commandId
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to trigger emergency stop', error: err.message });
+  }
+});
+
+module.exports = router;
+module.exports.setRobotRegistry = setRobotRegistry;
+module.exports.setMQTTService = setMQTTService;
+module.exports.setEmergencyStop = setEmergencyStop;
@@ -0,0 +1,171 @@
+// sessionRouter.js
+// Table sessions group every order of one table visit. A session opens with the
+// table's first order (db.createOrder) and closes once all its orders are paid.
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js');
+const { requirePermission, hasPermission } = require('./permissions');
+const { audience, emitTo } = require('./realtime');
+const { buildSessionBill, splitEvenly, splitByItem } = require('./table-bill');
+const { getSessionReceipt, sendReceipt } = require('./receipt');
+
+let io;
+
+// تابع برای تنظیم io reference
+function setSocketIO(socketIo) {
+  io = socketIo;
+}
+
+async function loadBill(sessionId) {
+  const session = await db.getTableSessionById(sessionId);
+  if (!session) return null;
+
+  const orders = await db.getOrdersBySession(session.id);
+  return buildSessionBill(session, orders);
+}
+
+// ?status=open | closed
+router.get('/', requirePermission('sessions:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['open', 'closed'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status. Allowed: open, closed' });
+    }
+
+    const sessions = await db.getTableSessions(status);
+    res.json({ success: true, count: sessions.length, sessions });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get table sessions', error: err.message });
+  }
+});
+
+// The open session of a table, e.g. /table/4?restaurantId=main
+router.get('/table/:tableId', requirePermission('sessions:read'), async (req, res) => {
+  try {
+    const session = await db.getOpenTableSession(req.params.tableId, req.query.restaurantId);
+    if (!session) return res.status(404).json({ success: false, message: 'No open session for this table' });
+
+    res.json({ success: true, bill: await loadBill(session.id) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get table session', error: err.message });
+  }
+});
+
+// Combined bill: all orders of the visit with per-item totals
+router.get('/:id/bill', requirePermission('sessions:read'), async (req, res) => {
+  try {
+    const bill = await loadBill(req.params.id);
+    if (!bill) return res.status(404).json({ success: false, message: 'Table session not found' });
+
+    res.json({ success: true, bill });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get bill', error: err.message });
+  }
+});
+
+// Receipt for the whole visit - same formats as /api/orders/:orderId/receipt
+router.get('/:id/receipt', requirePermission('receipts:print'), async (req, res) => {
+  try {
+    const bill = await loadBill(req.params.id);
+    if (!bill) return res.status(404).json({ success: false, message: 'Table session not found' });
+
+    const receipt = await getSessionReceipt(bill, req.session.user.username);
+    await sendReceipt(res, receipt, req.query);
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to generate receipt', error: err.message });
+  }
+});
+
+// Split the bill
+// { mode: 'even', guests: 3 }  - the balance due split evenly
+// { mode: 'item', guests: [{ name: 'Ali', items: [{ lineId: 1, quantity: 1 }] }, ...] }
+router.post('/:id/split', requirePermission('sessions:read'), async (req, res) => {
+  try {
+    const { mode, guests } = req.body;
+    const bill = await loadBill(req.params.id);
+    if (!bill) return res.status(404).json({ success: false, message: 'Table session not found' });
+
+    if (mode === 'even') {
+      const guestCount = parseInt(guests);
+      if (!(guestCount >= 1 && guestCount <= 50)) {
+        return res.status(400).json({ success: false, message: 'guests must be a number between 1 and 50' });
+      }
+
+      return res.json({
+        success: true,
+        mode,
+        total: bill.total,
+        balanceDue: bill.balanceDue,
+        shares: splitEvenly(bill.balanceDue, guestCount)
+      });
+    }
+
+    if (mode === 'item') {
+      if (!Array.isArray(guests) || !guests.length) {
+        return res.status(400).json({ success: false, message: 'guests must be a non-empty array' });
+      }
+
+      const { shares, unassigned } = splitByItem(bill, guests);
+      return res.json({ success: true, mode, total: bill.total, balanceDue: bill.balanceDue, shares, unassigned });
+    }
+
+    res.status(400).json({ success: false, message: "Invalid mode. Allowed: 'even', 'item'" });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to split bill', error: err.message });
+  }
+});
+
+// Close a session by hand. Sessions with unpaid orders need { force: true } and a manager.
+router.post('/:id/close', requirePermission('sessions:close'), async (req, res) => {
+  try {
+    const { user } = req.session;
+    const force = req.body.force === true;
+
+    if (force && !hasPermission(user.role, 'sessions:force-close')) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied: your role '${user.role}' cannot close a session with unpaid orders`
+      });
+    }
+
+    const session = await db.getTableSessionById(req.params.id);
+    if (!session) return res.status(404).json({ success: false, message: 'Table session not found' });
+    if (session.status !== 'open') {
+      return res.status(409).json({ success: false, message: 'Table session is already closed' });
+    }
+
+    const closed = await db.closeTableSession(session.id, user.username, force);
+    if (!closed) {
+      const bill = await loadBill(session.id);
+      return res.status(409).json({
+        success: false,
+        message: `Table session still has ${bill.balanceDue.toFixed(2)} unpaid`,
+        balanceDue: bill.balanceDue
+      });
+    }
+
+    if (force) {
+      console.warn(`⚠️ Table session ${session.id} force-closed with unpaid orders by ${user.username}`);
+    }
+
+    if (io) {
+      emitTo(io, audience('sessions:read'), 'table_session_closed', {
+        sessionId: session.id,
+        tableId: session.table_id,
+        closedBy: user.username,
+        forced: force,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({ success: true, message: 'Table session closed' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to close table session', error: err.message });
+  }
+});
+
+module.exports = router;
+module.exports.setSocketIO = setSocketIO;
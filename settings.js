@@ -0,0 +1,93 @@
+// settings.js
+// Cafe settings stored in the settings table. Only keys listed here can be set;
+// the default decides the type a value must have.
+const db = require('./db.js');
+
+const DEFAULT_SETTINGS = {
+  // Receipt / invoice header
+  'cafe.name': 'Cafe Robot',
+  'cafe.address': '',
+  'cafe.phone': '',
+  'cafe.taxId': '',
+  'receipt.footer': 'Thank you for your visit!',
+  'invoice.prefix': 'INV-',
+  'currency': '',
+
+  // Default VAT rate; menu categories can override it (menu_categories.vat_rate).
+  // With tax.inclusive menu prices already contain VAT, otherwise it is added on top.
+  'tax.label': 'VAT',
+  'tax.rate': 0,
+  'tax.inclusive': true,
+
+  // Optional service charge in percent of the discounted subtotal
+  'service.label': 'Service',
+  'service.rate': 0,
+
+  // Minutes a kitchen station ticket may take before it shows as overdue (kitchen-display.js)
+  'kitchen.target.kitchen': 12,
+  'kitchen.target.bar': 5,
+  'kitchen.target.grill': 15,
+  'kitchen.target.pastry': 10,
+
+  // Customer orders and guest sockets must carry a table QR token (table-tokens.js). Only this setting turns
+  // it off - revoking every token does not - e.g. while the tables are given their QR codes.
+  'orders.requireTableToken': true
+};
+
+async function getSettings() {
+  const stored = await db.getSettings();
+  const settings = { ...DEFAULT_SETTINGS };
+
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (stored[key] !== undefined) settings[key] = stored[key];
+  });
+
+  return settings;
+}
+
+// Returns { valid: true, values } with normalized values, or { valid: false, message }
+function validateSettings(values) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { valid: false, message: 'Settings must be an object of key/value pairs' };
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      return { valid: false, message: `Unknown setting '${key}'. Allowed: ${Object.keys(DEFAULT_SETTINGS).join(', ')}` };
+    }
+
+    const type = typeof DEFAULT_SETTINGS[key];
+    if (type === 'number') {
+      const number = parseFloat(value);
+      if (isNaN(number) || number < 0) {
+        return { valid: false, message: `Setting '${key}' must be a number greater than or equal to 0` };
+      }
+      normalized[key] = number;
+    } else if (type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        return { valid: false, message: `Setting '${key}' must be true or false` };
+      }
+      normalized[key] = value;
+    } else {
+      if (typeof value !== 'string' || value.length > 255) {
+        return { valid: false, message: `Setting '${key}' must be text of at most 255 characters` };
+      }
+      normalized[key] = value.trim();
+    }
+  }
+
+  return { valid: true, values: normalized };
+}
+
+async function saveSettings(values, updatedBy) {
+  await db.saveSettings(values, updatedBy);
+  return getSettings();
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSettings,
+  validateSettings,
+  saveSettings
+};
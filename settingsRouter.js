@@ -0,0 +1,28 @@
+// settingsRouter.js
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('./permissions');
+const { getSettings, validateSettings, saveSettings } = require('./settings');
+
+router.get('/', requirePermission('settings:read'), async (req, res) => {
+  try {
+    res.json({ success: true, settings: await getSettings() });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get settings', error: err.message });
+  }
+});
+
+// Partial update: { "cafe.name": "...", "tax.rate": 9 }
+router.put('/', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const validation = validateSettings(req.body);
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const settings = await saveSettings(validation.values, req.session.user.username);
+    res.json({ success: true, message: 'Settings updated', settings });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to update settings', error: err.message });
+  }
+});
+
+module.exports = router;
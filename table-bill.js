@@ -0,0 +1,249 @@
+// table-bill.js
+// Combined bill for a table session and the two ways of splitting it.
+const { getItemKey } = require('./db.js');
+
+function toCents(value) {
+  return Math.round(parseFloat(value || 0) * 100);
+}
+
+// Add up the stored pricing of several orders: discounts merged by name, VAT by rate.
+// Orders priced before the pricing engine have no breakdown and count as subtotal only.
+function summarizePricing(orders) {
+  const discounts = new Map();
+  const taxes = new Map();
+  let service = null;
+  let subtotalCents = 0;
+  let discountCents = 0;
+  let serviceCents = 0;
+  let taxCents = 0;
+  let totalCents = 0;
+  let taxInclusive = true;
+
+  orders.forEach(order => {
+    const pricing = order.pricing || {};
+    const orderTotalCents = toCents(order.totalPrice);
+
+    totalCents += orderTotalCents;
+    subtotalCents += order.subtotal === null || order.subtotal === undefined ? orderTotalCents : toCents(order.subtotal);
+    discountCents += toCents(order.discount_total);
+    serviceCents += toCents(order.service_charge);
+    taxCents += toCents(order.tax_total);
+    if (order.tax_inclusive === 0) taxInclusive = false;
+
+    (pricing.discounts || []).forEach(discount => {
+      const entry = discounts.get(discount.name) || { name: discount.name, type: discount.type, amount: 0 };
+      entry.amount = (toCents(entry.amount) + toCents(discount.amount)) / 100;
+      discounts.set(discount.name, entry);
+    });
+
+    (pricing.taxes || []).forEach(tax => {
+      const entry = taxes.get(tax.rate) || { label: tax.label, rate: tax.rate, taxable: 0, amount: 0 };
+      entry.taxable = (toCents(entry.taxable) + toCents(tax.taxable)) / 100;
+      entry.amount = (toCents(entry.amount) + toCents(tax.amount)) / 100;
+      taxes.set(tax.rate, entry);
+    });
+
+    if (pricing.service) service = { label: pricing.service.label, rate: pricing.service.rate };
+  });
+
+  return {
+    subtotal: subtotalCents / 100,
+    discounts: Array.from(discounts.values()),
+    discountTotal: discountCents / 100,
+    service: service ? { ...service, amount: serviceCents / 100 } : null,
+    serviceCharge: serviceCents / 100,
+    taxes: Array.from(taxes.values()),
+    taxTotal: taxCents / 100,
+    taxInclusive,
+    total: totalCents / 100
+  };
+}
+
+// What one unit of the line weighs when the order's balance is spread: its price after the line's own discounts
+// (pricing.js stores them per line, e.g. the free unit of a BOGO), plus its VAT when VAT is added on top.
+// Service charge is a flat rate of the net, so it does not change the weights.
+function unitWeight(item, order) {
+  const grossCents = item.totalItemPrice !== undefined ? toCents(item.totalItemPrice) : toCents(item.price) * item.quantity;
+  const netCents = Math.max(0, grossCents - toCents(item.discount));
+  const vatRate = order.tax_inclusive === 0 ? parseFloat(item.vatRate) || 0 : 0;
+  return netCents * (100 + vatRate) / 100 / item.quantity;
+}
+
+// What each unit of the order's lines still owes, in cents: the order's balance (its total after discounts,
+// service charge and exclusive VAT, less what was already paid) spread over the units by unitWeight.
+// Returns one array per item; leftover cents go to the first of the heaviest units so the units add up to the balance.
+function unitDueCents(order) {
+  const units = [];
+  order.items.forEach((item, index) => {
+    const weight = unitWeight(item, order);
+    for (let i = 0; i < item.quantity; i++) units.push({ index, weight });
+  });
+
+  const dueCents = Math.max(0, toCents(order.totalPrice) - toCents(order.amount_paid));
+  const totalWeight = units.reduce((sum, unit) => sum + unit.weight, 0);
+  const shares = units.map(unit => totalWeight > 0
+    ? Math.floor(dueCents * unit.weight / totalWeight)
+    : Math.floor(dueCents / units.length));
+
+  if (units.length) {
+    const heaviest = units.reduce((best, unit, i) => (unit.weight > units[best].weight ? i : best), 0);
+    shares[heaviest] += dueCents - shares.reduce((sum, cents) => sum + cents, 0);
+  }
+
+  const perItem = order.items.map(() => []);
+  units.forEach((unit, i) => perItem[unit.index].push(shares[i]));
+  return perItem;
+}
+
+// Merge the lines of every non-cancelled order in the session. Lines only merge
+// when the item configuration and the unit price match, so a price change between
+// two orders shows up as two lines. unitDues: what each unit of the line still owes (see unitDueCents).
+function buildSessionBill(session, orders) {
+  const activeOrders = orders.filter(order => order.status !== 'cancelled');
+  const lineMap = new Map();
+
+  activeOrders.forEach(order => {
+    const dues = unitDueCents(order);
+
+    order.items.forEach((item, index) => {
+      const key = `${getItemKey(item)}|${toCents(item.price)}`;
+
+      if (lineMap.has(key)) {
+        const line = lineMap.get(key);
+        line.quantity += item.quantity;
+        line.total = (toCents(line.unitPrice) * line.quantity) / 100;
+        line.unitDues.push(...dues[index].map(cents => cents / 100));
+        if (!line.orderIds.includes(order.id)) line.orderIds.push(order.id);
+      } else {
+        lineMap.set(key, {
+          lineId: lineMap.size + 1,
+          menuItemId: item.menuItemId || null,
+          name: item.name,
+          modifiers: item.modifiers || [],
+          notes: item.notes || '',
+          unitPrice: toCents(item.price) / 100,
+          quantity: item.quantity,
+          total: (toCents(item.price) * item.quantity) / 100,
+          unitDues: dues[index].map(cents => cents / 100),
+          orderIds: [order.id]
+        });
+      }
+    });
+  });
+
+  lineMap.forEach(line => {
+    line.amountDue = sumDues(line.unitDues);
+  });
+
+  const totalCents = activeOrders.reduce((sum, order) => sum + toCents(order.totalPrice), 0);
+  const paidCents = activeOrders.reduce((sum, order) => sum + toCents(order.amount_paid), 0);
+
+  return {
+    session: {
+      id: session.id,
+      tableId: session.table_id,
+      tableLocation: session.table_location,
+      restaurantId: session.restaurant_id,
+      status: session.status,
+      openedAt: session.opened_at,
+      closedAt: session.closed_at
+    },
+    orders: orders.map(order => ({
+      id: order.id,
+      status: order.status,
+      totalPrice: parseFloat(order.totalPrice),
+      paymentStatus: order.payment_status,
+      amountPaid: parseFloat(order.amount_paid || 0),
+      createdAt: order.created_at
+    })),
+    lines: Array.from(lineMap.values()),
+    pricing: summarizePricing(activeOrders),
+    total: totalCents / 100,
+    amountPaid: paidCents / 100,
+    tipTotal: activeOrders.reduce((sum, order) => sum + toCents(order.tip_total), 0) / 100,
+    balanceDue: Math.max(0, totalCents - paidCents) / 100
+  };
+}
+
+// Split an amount across N guests. Leftover cents go to the first guests so the
+// shares always add up to the amount.
+function splitEvenly(amount, guests) {
+  const cents = toCents(amount);
+  const base = Math.floor(cents / guests);
+  const remainder = cents - base * guests;
+
+  return Array.from({ length: guests }, (_, index) => ({
+    guest: index + 1,
+    amount: (base + (index < remainder ? 1 : 0)) / 100
+  }));
+}
+
+// guests: [{ name, items: [{ lineId, quantity }] }]
+// Each guest pays what their units still owe (discounts, service and VAT included, payments deducted), so the
+// shares of a fully assigned bill add up to its balanceDue.
+// Throws an Error with statusCode 400 for unknown lines or over-assigned quantities.
+function splitByItem(bill, guests) {
+  const assigned = new Map();
+  const linesById = new Map(bill.lines.map(line => [line.lineId, line]));
+
+  const shares = guests.map((guest, index) => {
+    const lines = (guest.items || []).map(entry => {
+      const line = linesById.get(parseInt(entry.lineId));
+      if (!line) throw billError(`Bill line ${entry.lineId} not found`);
+
+      const quantity = parseInt(entry.quantity || 1);
+      if (!(quantity > 0)) throw billError(`Invalid quantity for ${line.name}`);
+
+      const taken = assigned.get(line.lineId) || 0;
+      const total = taken + quantity;
+      if (total > line.quantity) {
+        throw billError(`${line.name} is assigned ${total} times but only ${line.quantity} were ordered`);
+      }
+      assigned.set(line.lineId, total);
+
+      return {
+        lineId: line.lineId,
+        name: line.name,
+        quantity,
+        unitPrice: line.unitPrice,
+        total: (toCents(line.unitPrice) * quantity) / 100,
+        amountDue: sumDues(line.unitDues.slice(taken, total))
+      };
+    });
+
+    return {
+      guest: guest.name || index + 1,
+      lines,
+      amount: lines.reduce((sum, line) => sum + toCents(line.amountDue), 0) / 100
+    };
+  });
+
+  const unassigned = bill.lines
+    .filter(line => (assigned.get(line.lineId) || 0) < line.quantity)
+    .map(line => ({
+      lineId: line.lineId,
+      name: line.name,
+      quantity: line.quantity - (assigned.get(line.lineId) || 0),
+      unitPrice: line.unitPrice,
+      amountDue: sumDues(line.unitDues.slice(assigned.get(line.lineId) || 0))
+    }));
+
+  return { shares, unassigned };
+}
+
+function sumDues(unitDues) {
+  return unitDues.reduce((sum, amount) => sum + toCents(amount), 0) / 100;
+}
+
+function billError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = {
+  summarizePricing,
+  buildSessionBill,
+  splitEvenly,
+  splitByItem
+};
@@ -0,0 +1,245 @@
+// table-tokens.js
+// Signed QR tokens for the tables. The QR code on a table opens the customer app with the table's token, and
+// POST /api/orders/submit takes the table (and restaurant) from that token instead of the tableId in the body.
+// The token is `{nonce}.{signature}`: a forged one is rejected without a database lookup, and rotating a table
+// revokes its nonce, so the old QR code stops working.
+//
+// A token issued with expiresWithSession belongs to one visit: it is tied to the table session that is open
+// (or to the session of its first order) and stops working once that session is closed.
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const db = require('./db.js');
+const { resolveTable, tableLabel } = require('./floor-plan');
+const { getSettings } = require('./settings');
+const { registerPdfFonts } = require('./receipt');
+
+const TABLE_TOKEN_SECRET = process.env.TABLE_TOKEN_SECRET || process.env.SESSION_SECRET || startupSecret();
+// Page the QR codes open; the token is added as ?table=. Default: the server's own address (the Flutter app)
+const TABLE_QR_URL = process.env.TABLE_QR_URL || null;
+
+function tableTokenError(code, message, statusCode = 401) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+// A key published in the repository would let anyone make QR codes; a random one lasts only until the restart,
+// and so do the printed codes signed with it
+function startupSecret() {
+  console.warn('⚠️ TABLE_TOKEN_SECRET / SESSION_SECRET not set - table QR codes issued now stop working when the server restarts');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(nonce) {
+  return crypto.createHmac('sha256', TABLE_TOKEN_SECRET).update(`table.${nonce}`).digest('base64url');
+}
+
+function tokenFor(row) {
+  return `${row.nonce}.${sign(row.nonce)}`;
+}
+
+// The nonce of a correctly signed token, else null
+function signedNonce(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2) return null;
+
+  const [nonce, signature] = parts;
+  const expected = Buffer.from(sign(nonce));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return nonce;
+}
+
+function tokenExpired(row) {
+  return Boolean(row.session_bound && row.session_id && row.session_status === 'closed');
+}
+
+function tableQrUrl(token, baseUrl) {
+  const url = new URL(TABLE_QR_URL || baseUrl || 'http://localhost:3000/');
+  url.searchParams.set('table', token);
+  return url.toString();
+}
+
+// baseUrl: where the QR codes point when TABLE_QR_URL is not set
+function formatToken(row, baseUrl) {
+  const token = tokenFor(row);
+  return {
+    id: row.id,
+    tableId: row.table_id,
+    restaurantId: row.restaurant_id,
+    token,
+    url: tableQrUrl(token, baseUrl),
+    expiresWithSession: Boolean(row.session_bound),
+    sessionId: row.session_id,
+    expired: tokenExpired(row),
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+// The token's row; throws for a forged, revoked or expired token
+async function findTableToken(token) {
+  const nonce = signedNonce(token);
+  const row = nonce ? await db.getTableTokenByNonce(nonce) : null;
+  if (!row || row.revoked_at) {
+    throw tableTokenError('INVALID_TABLE_TOKEN', 'This table QR code is not valid any more - please scan the code on your table');
+  }
+  if (tokenExpired(row)) {
+    throw tableTokenError('TABLE_TOKEN_EXPIRED', 'This table QR code was for an earlier visit - please ask for a new one');
+  }
+  return row;
+}
+
+// For guest sockets: the token's row, or null
+async function verifyTableToken(token) {
+  try {
+    return await findTableToken(token);
+  } catch (error) {
+    if (!error.statusCode) console.error('❌ Failed to check table token:', error.message);
+    return null;
+  }
+}
+
+// Customers may name their table only once orders.requireTableToken has been turned off (while tokens are rolled out)
+async function tableTokensInForce() {
+  const settings = await getSettings();
+  return settings['orders.requireTableToken'] === true;
+}
+
+// { tableId, restaurantId, token } for a customer order - from the body's tableToken; from its tableId only with
+// the setting off, and then token is null (the order is stored as table_verified = 0)
+async function resolveOrderTable(body) {
+  if (body.tableToken) {
+    const row = await findTableToken(body.tableToken);
+    return { tableId: row.table_id, restaurantId: row.restaurant_id, token: row };
+  }
+
+  if (await tableTokensInForce()) {
+    throw tableTokenError('TABLE_TOKEN_REQUIRED', 'Please scan the QR code on your table to order');
+  }
+  return { tableId: body.tableId, restaurantId: body.restaurantId || null, token: null };
+}
+
+// After an order: a visit token that is not tied to a session yet belongs to this order's session
+async function tokenUsed(row, sessionId) {
+  if (row && row.session_bound && !row.session_id && sessionId) {
+    await db.bindTableToken(row.id, sessionId);
+  }
+}
+
+async function getTableTokens(tableId = null, baseUrl) {
+  const rows = await db.getActiveTableTokens(tableId);
+  return rows.map(row => formatToken(row, baseUrl));
+}
+
+// Revokes the table's tokens and issues a new one.
+// options: { restaurantId, expiresWithSession, user, baseUrl }
+async function rotateTableToken(tableId, options = {}) {
+  await resolveTable(tableId); // UNKNOWN_TABLE once the floor plan has tables
+  const createdBy = options.user ? options.user.username : null;
+
+  const revoked = await db.revokeTableTokens(tableId, createdBy);
+  const session = options.expiresWithSession ? await db.getOpenTableSession(String(tableId), options.restaurantId || null) : null;
+  const row = {
+    table_id: String(tableId),
+    restaurant_id: options.restaurantId || null,
+    nonce: crypto.randomBytes(12).toString('base64url'),
+    session_bound: options.expiresWithSession ? 1 : 0,
+    session_id: session ? session.id : null,
+    session_status: session ? session.status : null,
+    created_by: createdBy,
+    created_at: new Date()
+  };
+  row.id = await db.createTableToken({
+    tableId: row.table_id,
+    restaurantId: row.restaurant_id,
+    nonce: row.nonce,
+    sessionBound: row.session_bound,
+    sessionId: row.session_id,
+    createdBy
+  });
+
+  console.log(`🔑 New QR token for table ${tableId}${revoked ? ` (${revoked} old one(s) revoked)` : ''}${createdBy ? ` by ${createdBy}` : ''}`);
+  return { token: formatToken(row, options.baseUrl), revoked };
+}
+
+// Resolves with the number of tokens revoked
+async function revokeTableTokens(tableId, user) {
+  const revoked = await db.revokeTableTokens(tableId, user ? user.username : null);
+  if (revoked) console.log(`🔑 QR token(s) of table ${tableId} revoked${user ? ` by ${user.username}` : ''}`);
+  return revoked;
+}
+
+// A token for every active table on the floor plan that has none
+async function issueMissingTokens(options = {}) {
+  const [tables, tokens] = await Promise.all([db.getFloorLocations('table'), db.getActiveTableTokens()]);
+  const withToken = new Set(tokens.map(row => row.table_id));
+
+  const issued = [];
+  for (const table of tables.filter(table => table.active && !withToken.has(table.code))) {
+    const { token } = await rotateTableToken(table.code, { ...options, expiresWithSession: false });
+    issued.push(token);
+  }
+  return issued;
+}
+
+function renderQrPng(url) {
+  return QRCode.toBuffer(url, { type: 'png', width: 512, margin: 2, errorCorrectionLevel: 'M' });
+}
+
+// A4 sheet of cards to cut out, six per page: cafe name, table, QR code
+async function renderQrSheet(tokens, settings) {
+  const tables = await db.getFloorLocations('table');
+  const names = new Map(tables.map(table => [table.code, tableLabel(table)]));
+  const images = await Promise.all(tokens.map(token => renderQrPng(token.url)));
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    registerPdfFonts(doc); // cafe and table names may be Persian
+
+    const cardWidth = (doc.page.width - 80) / 2;
+    const cardHeight = (doc.page.height - 80) / 3;
+    const qrSize = Math.min(cardWidth, cardHeight) - 90;
+
+    tokens.forEach((token, index) => {
+      if (index > 0 && index % 6 === 0) doc.addPage();
+      const x = 40 + (index % 2) * cardWidth;
+      const y = 40 + (Math.floor(index / 2) % 3) * cardHeight;
+
+      doc.rect(x, y, cardWidth, cardHeight).dash(3, { space: 3 }).strokeColor('#999999').stroke().undash();
+      doc.fillColor('#000000').font('Bold').fontSize(14)
+        .text(settings['cafe.name'], x, y + 14, { width: cardWidth, align: 'center' });
+      doc.font('Regular').fontSize(12)
+        .text(names.get(token.tableId) || `Table ${token.tableId}`, x, y + 34, { width: cardWidth, align: 'center' });
+      doc.image(images[index], x + (cardWidth - qrSize) / 2, y + 54, { width: qrSize });
+      doc.font('Regular').fontSize(10)
+        .text(token.expiresWithSession ? 'Scan to order - valid for this visit' : 'Scan to order',
+          x, y + 60 + qrSize, { width: cardWidth, align: 'center' });
+    });
+
+    if (!tokens.length) {
+      doc.font('Regular').fontSize(12).text('No table has a QR token yet.');
+    }
+    doc.end();
+  });
+}
+
+module.exports = {
+  signedNonce,
+  verifyTableToken,
+  tableTokensInForce,
+  resolveOrderTable,
+  tokenUsed,
+  getTableTokens,
+  rotateTableToken,
+  revokeTableTokens,
+  issueMissingTokens,
+  renderQrPng,
+  renderQrSheet
+};
@@ -0,0 +1,115 @@
+// tableTokenRouter.js
+// QR tokens for the tables (table-tokens.js): issue, rotate and revoke them, print the QR codes
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('./permissions');
+const { getSettings } = require('./settings');
+const tableTokens = require('./table-tokens');
+
+const TABLE_NUMBER_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+function sendError(res, err, message) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, message: err.message, code: err.code });
+  }
+  res.status(500).json({ success: false, message, error: err.message });
+}
+
+// Where the QR codes point unless TABLE_QR_URL is set
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}/`;
+}
+
+function checkTableNumber(req, res, next) {
+  if (!TABLE_NUMBER_PATTERN.test(req.params.tableId)) {
+    return res.status(400).json({ success: false, message: 'Table number may only contain letters, digits, - and _' });
+  }
+  next();
+}
+
+// Every table's current token(s)
+router.get('/', requirePermission('tables:qr'), async (req, res) => {
+  try {
+    const [tokens, required] = await Promise.all([tableTokens.getTableTokens(null, baseUrl(req)), tableTokens.tableTokensInForce()]);
+    res.json({ success: true, required, count: tokens.length, tokens });
+  } catch (err) {
+    sendError(res, err, 'Failed to get table tokens');
+  }
+});
+
+// Printable PDF with the QR code of every table that has a token
+router.get('/qr-sheet.pdf', requirePermission('tables:qr'), async (req, res) => {
+  try {
+    const [tokens, settings] = await Promise.all([tableTokens.getTableTokens(null, baseUrl(req)), getSettings()]);
+    const pdf = await tableTokens.renderQrSheet(tokens.filter(token => !token.expired), settings);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', 'inline; filename="table-qr-codes.pdf"');
+    res.send(pdf);
+  } catch (err) {
+    sendError(res, err, 'Failed to generate QR sheet');
+  }
+});
+
+// A token for every table on the floor plan that has none yet
+router.post('/generate', requirePermission('tables:qr'), async (req, res) => {
+  try {
+    const tokens = await tableTokens.issueMissingTokens({ user: req.session.user, baseUrl: baseUrl(req) });
+    res.status(tokens.length ? 201 : 200).json({ success: true, message: `${tokens.length} table token(s) issued`, tokens });
+  } catch (err) {
+    sendError(res, err, 'Failed to issue table tokens');
+  }
+});
+
+router.get('/:tableId', requirePermission('tables:qr'), checkTableNumber, async (req, res) => {
+  try {
+    const tokens = await tableTokens.getTableTokens(req.params.tableId, baseUrl(req));
+    res.json({ success: true, tableId: req.params.tableId, tokens });
+  } catch (err) {
+    sendError(res, err, 'Failed to get table tokens');
+  }
+});
+
+// New token for the table; its old QR codes stop working. { restaurantId, expiresWithSession }
+router.post('/:tableId/rotate', requirePermission('tables:qr'), checkTableNumber, async (req, res) => {
+  try {
+    const result = await tableTokens.rotateTableToken(req.params.tableId, {
+      restaurantId: req.body.restaurantId ? String(req.body.restaurantId).substring(0, 50) : null,
+      expiresWithSession: req.body.expiresWithSession === true,
+      user: req.session.user,
+      baseUrl: baseUrl(req)
+    });
+    res.status(201).json({ success: true, message: `New QR token for table ${req.params.tableId}`, ...result });
+  } catch (err) {
+    sendError(res, err, 'Failed to rotate table token');
+  }
+});
+
+// The table takes no more QR orders until it gets a new token
+router.delete('/:tableId', requirePermission('tables:qr'), checkTableNumber, async (req, res) => {
+  try {
+    const revoked = await tableTokens.revokeTableTokens(req.params.tableId, req.session.user);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: `Table ${req.params.tableId} has no token` });
+    }
+    res.json({ success: true, message: `${revoked} token(s) of table ${req.params.tableId} revoked`, revoked });
+  } catch (err) {
+    sendError(res, err, 'Failed to revoke table tokens');
+  }
+});
+
+// QR code of the table's newest token
+router.get('/:tableId/qr.png', requirePermission('tables:qr'), checkTableNumber, async (req, res) => {
+  try {
+    const [token] = await tableTokens.getTableTokens(req.params.tableId, baseUrl(req));
+    if (!token) {
+      return res.status(404).json({ success: false, message: `Table ${req.params.tableId} has no token` });
+    }
+
+    res.set('Content-Type', 'image/png');
+    res.send(await tableTokens.renderQrPng(token.url));
+  } catch (err) {
+    sendError(res, err, 'Failed to generate QR code');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+// telemetryRouter.js
+// Robot telemetry history and alerts (robot-monitor.js), e.g. to see what happened during a failed delivery
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js');
+const { requirePermission } = require('./permissions');
+const { formatAlert } = require('./robot-monitor');
+
+const TELEMETRY_KINDS = ['status', 'location', 'odometry', 'navigation'];
+const DEFAULT_WINDOW_MINUTES = 60;
+const MAX_SAMPLES = 5000;
+
+let robotMonitor;
+
+function setRobotMonitor(monitor) {
+  robotMonitor = monitor;
+}
+
+function formatSample(row) {
+  const number = value => (value === null ? null : parseFloat(value));
+  return {
+    robotId: row.robot_id,
+    kind: row.kind,
+    status: row.status,
+    battery: number(row.battery),
+    x: number(row.x),
+    y: number(row.y),
+    theta: number(row.theta),
+    orderId: row.order_id,
+    data: row.data ? JSON.parse(row.data) : null,
+    recordedAt: row.recorded_at
+  };
+}
+
+// ?from / ?to as ISO date-times (default: the last hour), ?kind=status,location, ?limit
+function parseTelemetryQuery(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_WINDOW_MINUTES * 60 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { valid: false, message: 'from and to must be ISO date-times, e.g. 2024-05-01T18:30:00Z' };
+  }
+  if (from >= to) {
+    return { valid: false, message: 'from must be before to' };
+  }
+
+  const kinds = query.kind ? String(query.kind).split(',') : [];
+  const unknown = kinds.filter(kind => !TELEMETRY_KINDS.includes(kind));
+  if (unknown.length) {
+    return { valid: false, message: 'Invalid kind. Allowed: ' + TELEMETRY_KINDS.join(', ') };
+  }
+
+  const limit = Math.min(MAX_SAMPLES, Math.max(1, parseInt(query.limit) || 1000));
+  return { valid: true, filters: { from, to, kinds, limit, robotId: query.robotId || null } };
+}
+
+// ========== TELEMETRY ==========
+
+router.get('/telemetry', requirePermission('robot:status'), async (req, res) => {
+  const parsed = parseTelemetryQuery(req.query);
+  if (!parsed.valid) return res.status(400).json({ success: false, message: parsed.message });
+
+  try {
+    await robotMonitor.flush();
+    const rows = await db.getTelemetry(parsed.filters);
+    res.json({
+      success: true,
+      from: parsed.filters.from,
+      to: parsed.filters.to,
+      count: rows.length,
+      truncated: rows.length === parsed.filters.limit,
+      telemetry: rows.map(formatSample)
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get telemetry', error: err.message });
+  }
+});
+
+// Everything the delivering robot reported from the moment the order was ready until it was delivered
+// (or until now), plus the alerts raised meanwhile
+router.get('/telemetry/orders/:orderId', requirePermission('robot:status'), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.orderId);
+    const delivery = orderId > 0 ? await db.getOrderDeliveryWindow(orderId) : null;
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const robotId = delivery.delivered_by || delivery.robot_id;
+    const start = delivery.assigned_at || delivery.ready_at;
+    if (!robotId || !start) {
+      return res.json({ success: true, orderId, robotId: robotId || null, telemetry: [], alerts: [], message: 'Order was never handed to a robot' });
+    }
+
+    const from = new Date(new Date(start).getTime() - 60 * 1000);
+    const to = new Date(delivery.delivered_at || delivery.finished_at || Date.now());
+    to.setTime(to.getTime() + 60 * 1000);
+
+    await robotMonitor.flush();
+    const [rows, alerts] = await Promise.all([
+      db.getTelemetry({ robotId, from, to, limit: MAX_SAMPLES }),
+      db.getRobotAlerts({ robotId, limit: 500 })
+    ]);
+
+    res.json({
+      success: true,
+      orderId,
+      orderStatus: delivery.status,
+      robotId,
+      from,
+      to,
+      telemetry: rows.map(formatSample),
+      alerts: alerts
+        .filter(alert => new Date(alert.raised_at) <= to && (!alert.resolved_at || new Date(alert.resolved_at) >= from))
+        .map(formatAlert)
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get order telemetry', error: err.message });
+  }
+});
+
+// ========== ALERTS ==========
+
+// ?active=true for unresolved alerts only, ?robotId
+router.get('/alerts', requirePermission('robot:status'), async (req, res) => {
+  try {
+    const rows = await db.getRobotAlerts({
+      active: req.query.active === 'true',
+      robotId: req.query.robotId || null,
+      limit: Math.min(500, parseInt(req.query.limit) || 100)
+    });
+    res.json({ success: true, count: rows.length, alerts: rows.map(formatAlert) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get robot alerts', error: err.message });
+  }
+});
+
+router.post('/alerts/:alertId/acknowledge', requirePermission('robot:alerts'), async (req, res) => {
+  try {
+    const acknowledged = await robotMonitor.acknowledge(parseInt(req.params.alertId), req.session.user.username);
+    if (!acknowledged) {
+      return res.status(404).json({ success: false, message: 'Alert not found or already acknowledged' });
+    }
+    res.json({ success: true, message: `Alert #${req.params.alertId} acknowledged` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to acknowledge alert', error: err.message });
+  }
+});
+
+module.exports = router;
+module.exports.setRobotMonitor = setRobotMonitor;
@@ -0,0 +1,107 @@
+// tracking.js
+// Order tracking for customers. POST /api/orders/submit returns a signed token for the new order; with it the
+// customer app can read the order's progress (GET /api/track/:token) and follow it live in the order's
+// Socket.IO room (realtime.js). The token is `{orderId}.{expires}.{signature}`, so no lookup is needed to check it.
+//
+// The ETA is a rough estimate: the kitchen's remaining target time (kitchen-display.js), plus one robot trip of
+// `TRACKING_TRIP_MINUTES` for every order ahead in the delivery queue and one for the order itself.
+const crypto = require('crypto');
+const db = require('./db.js');
+
+const TRACKING_SECRET = process.env.TRACKING_SECRET || process.env.SESSION_SECRET || startupSecret();
+const TOKEN_TTL_HOURS = parseInt(process.env.TRACKING_TOKEN_TTL) || 24;
+const TRIP_MINUTES = parseFloat(process.env.TRACKING_TRIP_MINUTES) || 4;
+
+// pending -> preparing -> ready -> on_the_way -> delivered (or cancelled)
+const TRACKING_STEPS = ['pending', 'preparing', 'ready', 'on_the_way', 'delivered'];
+
+// No secret configured: sign with a random key of this run, never one that is in the repository.
+// Tracking links then stop working when the server restarts.
+function startupSecret() {
+  console.warn('⚠️ TRACKING_SECRET / SESSION_SECRET not set - tracking tokens are signed with a random key until the next restart');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', TRACKING_SECRET).update(payload).digest('base64url');
+}
+
+function createTrackingToken(orderId) {
+  const expires = Math.floor(Date.now() / 1000) + TOKEN_TTL_HOURS * 3600;
+  const payload = `${orderId}.${expires}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the order ID, or null for a forged, malformed or expired token
+function verifyTrackingToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  const [orderId, expires, signature] = parts;
+  const expected = Buffer.from(sign(`${orderId}.${expires}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  if (parseInt(expires) * 1000 < Date.now()) return null;
+
+  const id = parseInt(orderId);
+  return id > 0 ? id : null;
+}
+
+function minutesUntil(date) {
+  return Math.max(0, Math.round((new Date(date) - Date.now()) / 60000));
+}
+
+// Seconds the kitchen still needs by the tickets' targets
+function kitchenRemainingSeconds(tickets) {
+  const now = Date.now();
+  return tickets
+    .filter(ticket => ticket.status === 'open' || ticket.status === 'in_progress')
+    .reduce((longest, ticket) => {
+      const remaining = ticket.target_minutes * 60 - (now - new Date(ticket.opened_at)) / 1000;
+      return Math.max(longest, remaining);
+    }, 0);
+}
+
+// What the customer may see of an order: step, items and ETA - no prices, no staff or robot names
+async function getTracking(orderId) {
+  const order = await db.getOrderById(orderId);
+  if (!order) return null;
+
+  const dispatch = await db.getDispatchEntry(order.id);
+  const onTheWay = order.status === 'ready' && dispatch && ['assigned', 'delivering'].includes(dispatch.status);
+  const step = onTheWay ? 'on_the_way' : order.status;
+
+  let eta = null;
+  if (['pending', 'preparing'].includes(order.status)) {
+    const tickets = await db.getKitchenTickets({ orderId: order.id });
+    eta = new Date(Date.now() + (kitchenRemainingSeconds(tickets) + TRIP_MINUTES * 60) * 1000);
+  } else if (onTheWay) {
+    eta = new Date(new Date(dispatch.assigned_at).getTime() + TRIP_MINUTES * 60000);
+    if (eta < new Date()) eta = new Date(Date.now() + 60000); // late: "any minute now"
+  } else if (order.status === 'ready') {
+    const queue = await db.getDispatchQueue(['queued']);
+    const ahead = Math.max(0, queue.findIndex(entry => entry.order_id === order.id));
+    eta = new Date(Date.now() + (ahead + 1) * TRIP_MINUTES * 60000);
+  }
+
+  return {
+    orderId: order.id,
+    tableId: order.tableId,
+    status: step,
+    step: TRACKING_STEPS.indexOf(step),
+    steps: TRACKING_STEPS,
+    items: (order.items || []).map(item => ({ name: item.name, quantity: item.quantity })),
+    eta,
+    etaMinutes: eta ? minutesUntil(eta) : null,
+    createdAt: order.created_at,
+    deliveredAt: order.delivered_at || null,
+    updatedAt: order.updated_at
+  };
+}
+
+module.exports = {
+  TRACKING_STEPS,
+  createTrackingToken,
+  verifyTrackingToken,
+  getTracking
+};
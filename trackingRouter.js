@@ -0,0 +1,24 @@
+// trackingRouter.js
+// Public order tracking for the customer app: the signed token from POST /api/orders/submit is the only key
+const express = require('express');
+const router = express.Router();
+const { verifyTrackingToken, getTracking } = require('./tracking');
+
+router.get('/:token', async (req, res) => {
+  const orderId = verifyTrackingToken(req.params.token);
+  if (!orderId) {
+    return res.status(404).json({ success: false, message: 'Invalid or expired tracking link' });
+  }
+
+  try {
+    const tracking = await getTracking(orderId);
+    if (!tracking) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    res.json({ success: true, tracking });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get order status', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,52 +1,172 @@
-// userRouter.js
-const express = require('express');
-const router = express.Router();
-const db = require('./db.js'); // باید متدهای مربوط به users هم داخل db اضافه بشه
-
-// همه‌ی کاربرها
-router.get('/all', async (req, res) => {
-  try {
-    const users = await db.getAllUsers();
-    res.json({ success: true, users });
-  } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to get users', error: err.message });
-  }
-});
-
-// اضافه کردن کاربر
-router.post('/add', async (req, res) => {
-  try {
-    const { name, role } = req.body;
-    if (!name || !role) return res.status(400).json({ success: false, message: 'Name and role required' });
-
-    const id = await db.createUser({ name, role });
-    res.json({ success: true, id, message: 'User added' });
-  } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to add user', error: err.message });
-  }
-});
-
-// آپدیت کاربر
-router.put('/update/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, role } = req.body;
-    await db.updateUser(id, { name, role });
-    res.json({ success: true, message: 'User updated' });
-  } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to update user', error: err.message });
-  }
-});
-
-// حذف کاربر
-router.delete('/delete/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    await db.deleteUser(id);
-    res.json({ success: true, message: 'User deleted' });
-  } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to delete user', error: err.message });
-  }
-});
-
-module.exports = router;
+// userRouter.js
+const express = require('express');
+const router = express.Router();
+const db = require('./db.js'); // باید متدهای مربوط به users هم داخل db اضافه بشه
+const { ROLES, hashPassword, verifyPassword, validatePassword } = require('./auth');
+const { requirePermission } = require('./permissions');
+const { disconnectSession } = require('./realtime');
+
+let sessionStore = null;
+let io = null;
+
+// تابع برای تنظیم session store و io reference
+function setSessionStore(store, socketIo) {
+  sessionStore = store;
+  io = socketIo;
+}
+
+function validateUserData({ name, username, role }) {
+  if (!name || !username || !role) {
+    return { valid: false, message: 'Name, username and role required' };
+  }
+
+  if (!ROLES.includes(role)) {
+    return { valid: false, message: 'Invalid role. Allowed: ' + ROLES.join(', ') };
+  }
+
+  return { valid: true };
+}
+
+// A session keeps the role it logged in with, so a changed role, a reset password or a deleted account ends the
+// user's sessions and disconnects their sockets - they log in again as the database has them now.
+// keepSessionId: the session making the change, when it is the user's own
+function endUserSessions(userId, reason, keepSessionId = null) {
+  if (!sessionStore) return Promise.resolve(0);
+
+  return new Promise((resolve, reject) => {
+    sessionStore.all((err, sessions) => {
+      if (err) return reject(err);
+
+      const sessionIds = Object.keys(sessions || {}).filter(sessionId => {
+        const user = sessions[sessionId].user;
+        return sessionId !== keepSessionId && user && String(user.id) === String(userId);
+      });
+      Promise.all(sessionIds.map(sessionId => new Promise((done, fail) => {
+        sessionStore.destroy(sessionId, destroyErr => {
+          if (destroyErr) return fail(destroyErr);
+          if (io) disconnectSession(io, sessionId);
+          done();
+        });
+      })))
+        .then(() => {
+          if (sessionIds.length) console.log(`🔒 Ended ${sessionIds.length} session(s) of user ${userId} (${reason})`);
+          resolve(sessionIds.length);
+        })
+        .catch(reject);
+    });
+  });
+}
+
+// همه‌ی کاربرها
+router.get('/all', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await db.getAllUsers();
+    res.json({ success: true, users });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to get users', error: err.message });
+  }
+});
+
+// اضافه کردن کاربر - با password اختیاری (بعداً از /password/:id قابل تنظیم است)
+router.post('/add', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { name, username, role, password } = req.body;
+    const validation = validateUserData({ name, username, role });
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    let passwordHash = null;
+    if (password) {
+      const passwordCheck = validatePassword(password);
+      if (!passwordCheck.valid) return res.status(400).json({ success: false, message: passwordCheck.message });
+      passwordHash = await hashPassword(password);
+    }
+
+    const id = await db.createUser({ name, username, role, passwordHash });
+    res.json({ success: true, id, message: 'User added' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'Username already exists' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to add user', error: err.message });
+  }
+});
+
+// آپدیت کاربر
+router.put('/update/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, username, role } = req.body;
+    const validation = validateUserData({ name, username, role });
+    if (!validation.valid) return res.status(400).json({ success: false, message: validation.message });
+
+    const before = await db.getUserById(id);
+    await db.updateUser(id, { name, username, role });
+    if (before && (before.role !== role || before.username !== username)) {
+      await endUserSessions(id, 'role or username changed');
+    }
+    res.json({ success: true, message: 'User updated' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'Username already exists' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update user', error: err.message });
+  }
+});
+
+// تنظیم / ریست پسورد کاربر توسط admin
+router.put('/password/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body;
+    const passwordCheck = validatePassword(password);
+    if (!passwordCheck.valid) return res.status(400).json({ success: false, message: passwordCheck.message });
+
+    const user = await db.getUserById(id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    await db.setUserPassword(id, await hashPassword(password));
+    await endUserSessions(id, 'password reset', req.sessionID);
+    console.log(`🔑 Password for user ${user.username} set by ${req.session.user.username}`);
+    res.json({ success: true, message: 'Password updated' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to set password', error: err.message });
+  }
+});
+
+// تغییر پسورد خود کاربر - نیاز به پسورد فعلی دارد (برای همه‌ی roleها)
+router.post('/me/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const passwordCheck = validatePassword(newPassword);
+    if (!passwordCheck.valid) return res.status(400).json({ success: false, message: passwordCheck.message });
+
+    const user = await db.getUserByUsername(req.session.user.username);
+    if (!user || !(await verifyPassword(currentPassword || '', user.password_hash))) {
+      return res.status(403).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    await db.setUserPassword(user.id, await hashPassword(newPassword));
+    res.json({ success: true, message: 'Password changed' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to change password', error: err.message });
+  }
+});
+
+// حذف کاربر
+router.delete('/delete/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (parseInt(id) === req.session.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+    }
+
+    await db.deleteUser(id);
+    await endUserSessions(id, 'user deleted');
+    res.json({ success: true, message: 'User deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to delete user', error: err.message });
+  }
+});
+
+module.exports = router;
+module.exports.setSessionStore = setSessionStore;